@@ -10,6 +10,7 @@ namespace WebtreesLens;
 
 use Fisharebest\Localization\Translation;
 use Fisharebest\Webtrees\Auth;
+use Fisharebest\Webtrees\Contracts\UserInterface;
 use Fisharebest\Webtrees\DB;
 use Fisharebest\Webtrees\I18N;
 use Fisharebest\Webtrees\Individual;
@@ -21,6 +22,7 @@ use Fisharebest\Webtrees\Module\ModuleConfigTrait;
 use Fisharebest\Webtrees\Module\ModuleCustomInterface;
 use Fisharebest\Webtrees\Module\ModuleCustomTrait;
 use Fisharebest\Webtrees\Menu;
+use Fisharebest\Webtrees\Registry;
 use Fisharebest\Webtrees\Tree;
 use Fisharebest\Webtrees\Validator;
 use Fisharebest\Webtrees\View;
@@ -43,6 +45,42 @@ class LensModule extends AbstractModule implements ModuleCustomInterface, Module
     use ModuleConfigTrait;
     use ViewResponseTrait;
 
+    /**
+     * User preference holding the saved views of a user (JSON), removed by webtrees together with the user
+     */
+    private const SAVED_VIEWS_PREFERENCE = 'insight_lens_saved_views';
+
+    /**
+     * Sections of the dashboard tabs, requested separately by the "section" parameter of the data endpoint
+     * so each chart renders as soon as its data is ready: tab => section => response keys it fills
+     */
+    private const DATA_SECTIONS = [
+        'content' => [
+            'records' => ['recordTypeStats', 'mostEditedIndividuals', 'mostEditedIndividualsXrefs'],
+            'facts' => ['mostEditedFacts', 'mostAddedFacts', 'mostDeletedFacts', 'mostChangedFactsPerIndividual'],
+            'largestChanges' => ['largestChanges', 'largestChangesDetails'],
+            'factCompleteness' => ['factCompleteness'],
+            'creationVsModification' => ['creationVsModification'],
+        ],
+        'patterns' => [
+            'editorPatterns' => ['userStats', 'userStatsIds', 'hourStats', 'dayStats', 'dayOfMonthStats', 'monthStats', 'yearStats', 'biggestWorkSessions'],
+            'editingActivityOverTime' => ['editingActivityOverTime'],
+            'contributionCalendar' => ['contributionCalendar'],
+            'commitSizeDistribution' => ['commitSizeDistribution'],
+            'changeStatusStats' => ['changeStatusStats'],
+            'editVelocity' => ['editVelocity'],
+            'sessionDuration' => ['sessionDuration'],
+        ],
+        'activity' => [
+            'authSummary' => ['authSummary'],
+            'searchTimeline' => ['searchTimeline'],
+            'searchTerms' => ['searchTerms'],
+            'failedLogins' => ['failedLogins'],
+            'messageTimeline' => ['messageTimeline'],
+            'userMessageStats' => ['userMessageStats'],
+        ],
+    ];
+
     private LensStatsService $stats_service;
 
     /**
@@ -187,6 +225,9 @@ class LensModule extends AbstractModule implements ModuleCustomInterface, Module
             return $row->year;
         })->all();
 
+        // Saved views are stored on the server for signed-in users, guests keep them in the browser
+        $savedViews = Auth::check() ? $this->getSavedViews($user) : [];
+
         $this->layout = 'layouts/default';
         $color_scheme = $this->getPreference('COLOR_SCHEME', 'modern');
         $timeline_display = $this->getPreference('TIMELINE_DISPLAY', 'skip_empty');
@@ -203,6 +244,16 @@ class LensModule extends AbstractModule implements ModuleCustomInterface, Module
             'jsEditorUrl' => $this->assetUrl('js/lens-charts-editor.js'),
             'jsHeatmapUrl' => $this->assetUrl('js/lens-charts-heatmap.js'),
             'jsActivityUrl' => $this->assetUrl('js/lens-charts-activity.js'),
+            'jsViewsUrl' => $this->assetUrl('js/lens-charts-views.js'),
+            'jsCompareUrl' => $this->assetUrl('js/lens-charts-compare.js'),
+            'jsChangesUrl' => $this->assetUrl('js/lens-charts-changes.js'),
+            'jsExportUrl' => $this->assetUrl('js/lens-charts-export.js'),
+            'jsReportUrl' => $this->assetUrl('js/lens-charts-report.js'),
+            'jsHistoryUrl' => $this->assetUrl('js/lens-charts-history.js'),
+            'jsSvgCanvasUrl' => $this->assetUrl('js/vendor/svgcanvas-2.6.0.esm.js'),
+            'jsSheetJsUrl' => $this->assetUrl('js/vendor/xlsx-0.20.3.esm.js'),
+            'canViewDiff' => Auth::isEditor($tree, $user),
+            'savedViews' => $savedViews,
             'allUsers' => $allUsers,
             'selectedUserIds' => $userIds,
             'availableYears' => $availableYears,
@@ -210,8 +261,46 @@ class LensModule extends AbstractModule implements ModuleCustomInterface, Module
         ]);
     }
 
+    /**
+     * AJAX endpoint to store the current user's saved views (named dashboard presets)
+     * Receives the complete list as JSON and returns the stored list.
+     *
+     * @param ServerRequestInterface $request
+     *
+     * @return ResponseInterface
+     */
+    public function postSavedViewsAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $user = Validator::attributes($request)->user();
+
+        if (!Auth::check()) {
+            return response(json_encode(['error' => I18N::translate('You must be logged in to save views')]))
+                ->withHeader('Content-Type', 'application/json')
+                ->withStatus(403);
+        }
+
+        $params = (array) $request->getParsedBody();
+
+        try {
+            $views = json_decode((string) ($params['views'] ?? '[]'), true, 8, JSON_THROW_ON_ERROR);
+        } catch (\JsonException $e) {
+            return response(json_encode(['error' => 'Invalid saved views data']))
+                ->withHeader('Content-Type', 'application/json')
+                ->withStatus(400);
+        }
+
+        $views = $this->sanitizeSavedViews(is_array($views) ? $views : []);
+        $user->setPreference(self::SAVED_VIEWS_PREFERENCE, json_encode($views, JSON_UNESCAPED_UNICODE));
+
+        return response(json_encode(['views' => $views], JSON_UNESCAPED_UNICODE))
+            ->withHeader('Content-Type', 'application/json; charset=utf-8');
+    }
+
     /**
      * AJAX endpoint for heatmap data
+     * With "cell=1" it returns a page of the changes in one cell instead (drill-down, same shape as getChangesAction),
+     * selected by the raw dimension values "cellX"/"cellY" of the matrix (left out for "N/A") and, in a small
+     * multiple of the optional "facet" dimension, by the raw facet value "cellFacet"
      *
      * @param ServerRequestInterface $request
      *
@@ -223,11 +312,30 @@ class LensModule extends AbstractModule implements ModuleCustomInterface, Module
         $xDimension = Validator::queryParams($request)->string('x', 'hour');
         $yDimension = Validator::queryParams($request)->string('y', 'dayOfWeek');
         $measure = Validator::queryParams($request)->string('measure', 'changes');
+        $facet = Validator::queryParams($request)->string('facet', '');
         $userIds = Validator::queryParams($request)->array('users');
         $recordXrefs = Validator::queryParams($request)->array('records');
         $days = Validator::queryParams($request)->integer('days', 0);
         $years = Validator::queryParams($request)->array('years');
 
+        // Absolute date range replaces days/years
+        [$dateFrom, $dateTo] = $this->getDateRangeParams($request);
+        $this->stats_service->setDateRange($dateFrom, $dateTo);
+
+        // Cross-filter chips
+        [$recordTypes, $facts] = $this->getRecordFilterParams($request);
+        $this->stats_service->setRecordFilter($recordTypes, $facts);
+
+        // Unchanged change log and parameters - the browser keeps the previous response
+        $etag = $this->getDataEtag($request, $tree, Validator::attributes($request)->user(), false);
+        if ($this->isNotModified($request, $etag)) {
+            return $this->notModifiedResponse($etag);
+        }
+
+        if (Validator::queryParams($request)->boolean('cell', false)) {
+            return $this->getHeatmapCellChangesResponse($request, $tree, $xDimension, $yDimension, $measure, $facet, $userIds, $recordXrefs, $days, $years, $etag);
+        }
+
         $heatmapData = $this->stats_service->getHeatmapData(
             $tree,
             $xDimension,
@@ -236,19 +344,108 @@ class LensModule extends AbstractModule implements ModuleCustomInterface, Module
             $userIds,
             $recordXrefs,
             $days,
-            $years
+            $years,
+            $facet
         );
 
         try {
             $json = json_encode($heatmapData, JSON_THROW_ON_ERROR | JSON_UNESCAPED_UNICODE);
         } catch (\JsonException $e) {
-            return response(json_encode(['error' => 'Failed to encode JSON data']))
+            return $this->errorResponse('SERVER_ERROR', 'Failed to encode JSON data', 500);
+        }
+
+        return response($json)
+            ->withHeader('Content-Type', 'application/json; charset=utf-8')
+            ->withHeader('Cache-Control', 'private, no-cache')
+            ->withHeader('ETag', $etag);
+    }
+
+    /**
+     * Changes in one heatmap cell - rows of the change log, so the same access rules as getChangesAction apply
+     *
+     * @param ServerRequestInterface $request
+     * @param Tree $tree
+     * @param string $xDimension
+     * @param string $yDimension
+     * @param string $measure
+     * @param string $facet
+     * @param array<int> $userIds
+     * @param array<string> $recordXrefs
+     * @param int $days
+     * @param array<int> $years
+     * @param string $etag
+     *
+     * @return ResponseInterface
+     */
+    private function getHeatmapCellChangesResponse(
+        ServerRequestInterface $request,
+        Tree $tree,
+        string $xDimension,
+        string $yDimension,
+        string $measure,
+        string $facet,
+        array $userIds,
+        array $recordXrefs,
+        int $days,
+        array $years,
+        string $etag
+    ): ResponseInterface {
+        $user = Validator::attributes($request)->user();
+
+        // Check if authentication is required
+        $require_authentication = (bool) $this->getPreference('REQUIRE_AUTHENTICATION', '0');
+        if ($require_authentication && !Auth::check()) {
+            throw new \Fisharebest\Webtrees\Http\Exceptions\HttpAccessDeniedException(
+                I18N::translate('You must be logged in to view statistics')
+            );
+        }
+
+        // Check component access
+        Auth::checkComponentAccess($this, ModuleChartInterface::class, $tree, $user);
+
+        // Check if user should only see their own statistics
+        $show_own_stats_only = (bool) $this->getPreference('SHOW_OWN_STATS_ONLY', '0');
+        if ($show_own_stats_only && Auth::check()) {
+            $userIds = [$user->id()];
+        }
+
+        $queryParams = $request->getQueryParams();
+        $page = max(1, Validator::queryParams($request)->integer('page', 1));
+        $perPage = min(100, max(1, Validator::queryParams($request)->integer('perPage', 25)));
+
+        try {
+            $changeList = $this->stats_service->getHeatmapCellChanges(
+                $tree,
+                $xDimension,
+                $yDimension,
+                $measure,
+                isset($queryParams['cellX']) ? (string) $queryParams['cellX'] : null,
+                isset($queryParams['cellY']) ? (string) $queryParams['cellY'] : null,
+                $userIds,
+                $recordXrefs,
+                $days,
+                $years,
+                $page,
+                $perPage,
+                $facet,
+                isset($queryParams['cellFacet']) ? (string) $queryParams['cellFacet'] : null
+            );
+
+            $json = json_encode($changeList, JSON_THROW_ON_ERROR | JSON_UNESCAPED_UNICODE);
+        } catch (\Throwable $e) {
+            $this->logError($e);
+
+            return response(json_encode([
+                'error' => I18N::translate('An error occurred while loading data. Please try again.')
+            ]))
                 ->withHeader('Content-Type', 'application/json')
                 ->withStatus(500);
         }
 
         return response($json)
-            ->withHeader('Content-Type', 'application/json; charset=utf-8');
+            ->withHeader('Content-Type', 'application/json; charset=utf-8')
+            ->withHeader('Cache-Control', 'private, no-cache')
+            ->withHeader('ETag', $etag);
     }
 
     /**
@@ -286,6 +483,7 @@ class LensModule extends AbstractModule implements ModuleCustomInterface, Module
     /**
      * UNIFIED DATA ENDPOINT - Replaces Charts, AdvancedAnalytics, ActivityLog
      * Serves data for all 3 tabs based on 'tab' parameter
+     * The optional 'section' parameter limits the response to one section of the tab (see DATA_SECTIONS)
      *
      * @param ServerRequestInterface $request
      *
@@ -310,123 +508,160 @@ class LensModule extends AbstractModule implements ModuleCustomInterface, Module
 
             // Get filter parameters
             $tab = Validator::queryParams($request)->string('tab', 'content');
+            [
+                'days' => $days,
+                'years' => $years,
+                'userIds' => $userIds,
+                'dateFrom' => $dateFrom,
+                'dateTo' => $dateTo,
+                'recordTypes' => $recordTypes,
+                'facts' => $facts,
+            ] = $this->applyDashboardFilters($request, $user);
+
+            // Unchanged change log and parameters - the browser keeps the previous response
+            $etag = $this->getDataEtag($request, $tree, $user, $tab === 'activity');
+            if ($this->isNotModified($request, $etag)) {
+                return $this->notModifiedResponse($etag);
+            }
 
-            // Get days parameter - must be nullable for mutual exclusion with years
-            $queryParams = $request->getQueryParams();
-            $days = isset($queryParams['days']) ? (int)$queryParams['days'] : null;
+            if (!array_key_exists($tab, self::DATA_SECTIONS)) {
+                return $this->errorResponse('UNKNOWN_TAB', 'Unknown tab', 400);
+            }
 
-            $yearsParam = Validator::queryParams($request)->array('years');
-            $years = array_map('intval', $yearsParam);  // Convert to integers
-            $userIds = Validator::queryParams($request)->array('users');
+            // One section (progressive loading) or the whole tab
+            $section = Validator::queryParams($request)->string('section', '');
+            if ($section !== '' && !array_key_exists($section, self::DATA_SECTIONS[$tab])) {
+                return $this->errorResponse('UNKNOWN_SECTION', 'Unknown section', 400);
+            }
+            $sections = $section === '' ? array_keys(self::DATA_SECTIONS[$tab]) : [$section];
 
-            // Check if user should only see their own statistics
-            $show_own_stats_only = (bool) $this->getPreference('SHOW_OWN_STATS_ONLY', '0');
-            if ($show_own_stats_only && Auth::check()) {
-                $userIds = [$user->id()];
+            // Granularity of the timeline charts ('' = the default of each chart)
+            $granularity = Validator::queryParams($request)->string('period', '');
+            if ($granularity !== '' && !in_array($granularity, LensStatsService::PERIODS, true)) {
+                return $this->errorResponse('UNKNOWN_PERIOD', 'Unknown period', 400);
             }
+            $granularity = $granularity === '' ? null : $granularity;
+
+            $jsonData = $this->buildTabData($tree, $tab, $sections, $days, $years, $userIds, $granularity);
+
+            $jsonData['days'] = $days;
+            $jsonData['years'] = $years;
+            $jsonData['from'] = $dateFrom;
+            $jsonData['to'] = $dateTo;
+            $jsonData['userCount'] = count($userIds);
+            $jsonData['recordTypes'] = $recordTypes;
+            $jsonData['facts'] = $facts;
+
+            // Period-over-period comparison (Data Content and Work Patterns only)
+            $compare = Validator::queryParams($request)->string('compare', '');
+            if ($compare !== '' && in_array($tab, ['content', 'patterns'], true)) {
+                $period = $this->getCurrentPeriod($dateFrom, $dateTo, $days, $years);
+                $comparisonPeriod = $this->getComparisonPeriod($request, $compare, $period, $years);
+
+                $jsonData['period'] = $period;
+                $jsonData['comparison'] = null;
+
+                if ($comparisonPeriod !== null) {
+                    // Years mode compares whole years, other modes an absolute date range
+                    if ($comparisonPeriod['years'] !== []) {
+                        $this->stats_service->setDateRange(null, null);
+                    } else {
+                        $this->stats_service->setDateRange($comparisonPeriod['from'], $comparisonPeriod['to']);
+                    }
 
-            $jsonData = [];
-            switch ($tab) {
-                case 'content':
-                    // Tab 1: Data Content
-                    $dataContentStats = $this->stats_service->getDataContentStats($tree, $days, $years, $userIds);
-                    $factCompleteness = $this->stats_service->getFactCompletenessProgress($tree, 'month', $days, $years, $userIds);
-                    $creationVsModification = $this->stats_service->getCreationVsModificationTrend($tree, 'month', $days, $years, $userIds);
-
-                    $jsonData = [
-                        'recordTypeStats' => $dataContentStats['recordTypeStats'],
-                        'mostEditedIndividuals' => $dataContentStats['mostEditedIndividuals'],
-                        'mostEditedFacts' => $dataContentStats['mostEditedFacts'],
-                        'mostAddedFacts' => $dataContentStats['mostAddedFacts'],
-                        'mostDeletedFacts' => $dataContentStats['mostDeletedFacts'],
-                        'mostChangedFactsPerIndividual' => $dataContentStats['mostChangedFactsPerIndividual'],
-                        'largestChanges' => $dataContentStats['largestChanges'],
-                        'factCompleteness' => $factCompleteness,
-                        'creationVsModification' => $creationVsModification,
-                        'days' => $days,
-                        'years' => $years,
-                        'userCount' => count($userIds),
-                    ];
-                    break;
-
-                case 'patterns':
-                    // Tab 2: Work Patterns
-                    $editorPatternsStats = $this->stats_service->getEditorPatternsStats($tree, $days, $years, $userIds);
-                    $editingActivityOverTime = $this->stats_service->getEditingActivityOverTime($tree, $days, $years, $userIds);
-                    $commitSizeDistribution = $this->stats_service->getCommitSizeDistribution($tree, $days, $years, $userIds);
-                    $changeStatusStats = $this->stats_service->getChangeStatusStats($tree, $days, $years, $userIds);
-                    $editVelocity = $this->stats_service->getEditVelocityTrend($tree, 'week', $days, $years, $userIds);
-                    $sessionDuration = $this->stats_service->getSessionDurationDistribution($tree, $days, $years, $userIds);
-
-                    $jsonData = [
-                        'userStats' => $editorPatternsStats['userStats'],
-                        'hourStats' => $editorPatternsStats['hourStats'],
-                        'dayStats' => $editorPatternsStats['dayStats'],
-                        'dayOfMonthStats' => $editorPatternsStats['dayOfMonthStats'],
-                        'monthStats' => $editorPatternsStats['monthStats'],
-                        'yearStats' => $editorPatternsStats['yearStats'],
-                        'biggestWorkSessions' => $editorPatternsStats['biggestWorkSessions'],
-                        'editingActivityOverTime' => $editingActivityOverTime,
-                        'commitSizeDistribution' => $commitSizeDistribution,
-                        'changeStatusStats' => $changeStatusStats,
-                        'editVelocity' => $editVelocity,
-                        'sessionDuration' => $sessionDuration,
-                        'days' => $days,
-                        'years' => $years,
-                        'userCount' => count($userIds),
+                    $jsonData['comparison'] = [
+                        'period' => $comparisonPeriod,
+                        'data' => $this->buildTabData($tree, $tab, $sections, null, $comparisonPeriod['years'], $userIds, $granularity),
                     ];
-                    break;
-
-                case 'activity':
-                    // Tab 4: Activity Log
-                    // Support both days filter and years filter (mutual exclusion)
-                    $authSummary = $this->stats_service->getAuthSummary($tree, 'day', $days, $years, $userIds);
-                    $searchTimeline = $this->stats_service->getSearchTimeline($tree, 'day', $days, $years, $userIds);
-                    $searchTerms = $this->stats_service->getSearchTermsFrequency($tree, $days, $years, 20, $userIds);
-                    $failedLogins = $this->stats_service->getFailedLoginsList($tree, $days, $years, 1, 20, $userIds);
-                    $messageTimeline = $this->stats_service->getMessageTimeline($tree, 'day', $days, $years, $userIds);
-                    $userMessageStats = $this->stats_service->getUserMessageStats($tree, $days, $years, 15, $userIds);
-
-                    // Apply IP masking based on admin preference
-                    $maskIpAddress = $this->getPreference('MASK_IP_ADDRESS', 'hidden');
-                    $failedLogins = $this->maskIpAddresses($failedLogins, $maskIpAddress);
-
-                    $jsonData = [
-                        'authSummary' => $authSummary,
-                        'searchTimeline' => $searchTimeline,
-                        'searchTerms' => $searchTerms,
-                        'failedLogins' => $failedLogins,
-                        'messageTimeline' => $messageTimeline,
-                        'userMessageStats' => $userMessageStats,
-                        'days' => $days,
-                        'years' => $years,
-                        'userCount' => count($userIds),
-                    ];
-                    break;
 
-                default:
-                    return response(json_encode(['error' => 'Unknown tab']))
-                        ->withHeader('Content-Type', 'application/json')
-                        ->withStatus(400);
+                    $this->stats_service->setDateRange($dateFrom, $dateTo);
+                }
             }
 
             // Encode response (inside try/catch to handle JsonException)
             $json = json_encode($jsonData, JSON_THROW_ON_ERROR | JSON_UNESCAPED_UNICODE);
 
+            // Partial failures must be retried, not revalidated from the browser cache
+            if ($jsonData['errors'] !== []) {
+                return response($json)
+                    ->withHeader('Content-Type', 'application/json; charset=utf-8')
+                    ->withHeader('Cache-Control', 'no-store');
+            }
+
             return response($json)
-                ->withHeader('Content-Type', 'application/json; charset=utf-8');
+                ->withHeader('Content-Type', 'application/json; charset=utf-8')
+                ->withHeader('Cache-Control', 'private, no-cache')
+                ->withHeader('ETag', $etag);
 
+        } catch (\Fisharebest\Webtrees\Http\Exceptions\HttpAccessDeniedException $e) {
+            return $this->errorResponse('ACCESS_DENIED', $e->getMessage(), 403);
         } catch (\Throwable $e) {
-            // Log error details server-side for debugging
-            error_log(sprintf(
-                'Insight Lens error: %s in %s:%d (%s)',
-                $e->getMessage(),
-                $e->getFile(),
-                $e->getLine(),
-                get_class($e)
-            ));
+            $this->logError($e);
 
             // Return generic error to client (no sensitive details)
+            return $this->errorResponse(
+                'SERVER_ERROR',
+                I18N::translate('An error occurred while loading data. Please try again.'),
+                500
+            );
+        }
+    }
+
+    /**
+     * Drill-down endpoint - paginated change log rows behind a chart element
+     * Takes the same filters as getDataAction(), narrowed by "xref", "periodFrom"/"periodTo" and/or "status"
+     *
+     * @param ServerRequestInterface $request
+     *
+     * @return ResponseInterface
+     */
+    public function getChangesAction(ServerRequestInterface $request): ResponseInterface
+    {
+        try {
+            $tree = Validator::attributes($request)->tree();
+            $user = Validator::attributes($request)->user();
+
+            // Check if authentication is required
+            $require_authentication = (bool) $this->getPreference('REQUIRE_AUTHENTICATION', '0');
+            if ($require_authentication && !Auth::check()) {
+                throw new \Fisharebest\Webtrees\Http\Exceptions\HttpAccessDeniedException(
+                    I18N::translate('You must be logged in to view statistics')
+                );
+            }
+
+            // Check component access
+            Auth::checkComponentAccess($this, ModuleChartInterface::class, $tree, $user);
+
+            ['days' => $days, 'years' => $years, 'userIds' => $userIds] = $this->applyDashboardFilters($request, $user);
+
+            $xref = Validator::queryParams($request)->string('xref', '');
+            $periodFrom = $this->parseDateTimeParam(Validator::queryParams($request)->string('periodFrom', ''), false);
+            $periodTo = $this->parseDateTimeParam(Validator::queryParams($request)->string('periodTo', ''), true);
+            $page = max(1, Validator::queryParams($request)->integer('page', 1));
+            $perPage = min(100, max(1, Validator::queryParams($request)->integer('perPage', 25)));
+            $status = Validator::queryParams($request)->string('status', '');
+
+            $changeList = $this->stats_service->getChangeList(
+                $tree,
+                $days,
+                $years,
+                $userIds,
+                $xref !== '' ? $xref : null,
+                $periodFrom,
+                $periodTo,
+                in_array($status, ['accepted', 'pending', 'rejected'], true) ? $status : null,
+                $page,
+                $perPage
+            );
+
+            $json = json_encode($changeList, JSON_THROW_ON_ERROR | JSON_UNESCAPED_UNICODE);
+
+            return response($json)
+                ->withHeader('Content-Type', 'application/json; charset=utf-8');
+
+        } catch (\Throwable $e) {
+            $this->logError($e);
+
             return response(json_encode([
                 'error' => I18N::translate('An error occurred while loading data. Please try again.')
             ]))
@@ -435,6 +670,103 @@ class LensModule extends AbstractModule implements ModuleCustomInterface, Module
         }
     }
 
+    /**
+     * Diff viewer endpoint - GEDCOM diff of one change grouped by facts
+     * Raw GEDCOM is not privacy-filtered, so this is limited to editors of the tree.
+     *
+     * @param ServerRequestInterface $request
+     *
+     * @return ResponseInterface
+     */
+    public function getChangeDiffAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $tree = Validator::attributes($request)->tree();
+        $user = Validator::attributes($request)->user();
+
+        // Check component access
+        Auth::checkComponentAccess($this, ModuleChartInterface::class, $tree, $user);
+
+        if (!Auth::isEditor($tree, $user)) {
+            return response(json_encode(['error' => I18N::translate('You do not have permission to view this page.')]))
+                ->withHeader('Content-Type', 'application/json')
+                ->withStatus(403);
+        }
+
+        $changeId = Validator::queryParams($request)->integer('change', 0);
+        $diff = $this->stats_service->getChangeDiff($tree, $changeId);
+
+        if ($diff === null) {
+            return response(json_encode(['error' => I18N::translate('The change could not be found.')]))
+                ->withHeader('Content-Type', 'application/json')
+                ->withStatus(404);
+        }
+
+        try {
+            $json = json_encode($diff, JSON_THROW_ON_ERROR | JSON_UNESCAPED_UNICODE);
+        } catch (\JsonException $e) {
+            return response(json_encode(['error' => 'Failed to encode JSON data']))
+                ->withHeader('Content-Type', 'application/json')
+                ->withStatus(500);
+        }
+
+        return response($json)
+            ->withHeader('Content-Type', 'application/json; charset=utf-8');
+    }
+
+    /**
+     * Record history endpoint - every change made to one record, with the facts it added, edited or deleted
+     * Ignores the dashboard date filters; the user filter (and "own statistics only") still applies.
+     *
+     * @param ServerRequestInterface $request
+     *
+     * @return ResponseInterface
+     */
+    public function getRecordHistoryAction(ServerRequestInterface $request): ResponseInterface
+    {
+        $tree = Validator::attributes($request)->tree();
+        $user = Validator::attributes($request)->user();
+
+        // Check if authentication is required
+        $require_authentication = (bool) $this->getPreference('REQUIRE_AUTHENTICATION', '0');
+        if ($require_authentication && !Auth::check()) {
+            throw new \Fisharebest\Webtrees\Http\Exceptions\HttpAccessDeniedException(
+                I18N::translate('You must be logged in to view statistics')
+            );
+        }
+
+        // Check component access
+        Auth::checkComponentAccess($this, ModuleChartInterface::class, $tree, $user);
+
+        $xref = Validator::queryParams($request)->isXref()->string('xref', '');
+        $userIds = Validator::queryParams($request)->array('users');
+
+        // Check if user should only see their own statistics
+        $show_own_stats_only = (bool) $this->getPreference('SHOW_OWN_STATS_ONLY', '0');
+        if ($show_own_stats_only && Auth::check()) {
+            $userIds = [$user->id()];
+        }
+
+        // Records deleted since then no longer exist - their history is still shown
+        $record = Registry::gedcomRecordFactory()->make($xref, $tree);
+        if ($xref === '' || ($record !== null && !$record->canShow())) {
+            return response(json_encode(['error' => I18N::translate('This record does not exist or you do not have permission to view it.')]))
+                ->withHeader('Content-Type', 'application/json')
+                ->withStatus(404);
+        }
+
+        try {
+            $history = $this->stats_service->getRecordHistory($tree, $xref, $userIds);
+            $json = json_encode($history, JSON_THROW_ON_ERROR | JSON_UNESCAPED_UNICODE);
+        } catch (\JsonException $e) {
+            return response(json_encode(['error' => 'Failed to encode JSON data']))
+                ->withHeader('Content-Type', 'application/json')
+                ->withStatus(500);
+        }
+
+        return response($json)
+            ->withHeader('Content-Type', 'application/json; charset=utf-8');
+    }
+
     /**
      * AJAX endpoint for record search (Select2)
      *
@@ -570,6 +902,490 @@ class LensModule extends AbstractModule implements ModuleCustomInterface, Module
         return redirect($this->getConfigLink());
     }
 
+    /**
+     * Build the chart data of one dashboard tab
+     *
+     * Each section is built on its own: when a query fails, its keys are null and listed in "errors"
+     * (key => error code), so the other charts of the tab still render.
+     *
+     * @param Tree $tree
+     * @param string $tab 'content', 'patterns' or 'activity'
+     * @param array<string> $sections Sections of the tab to build (see DATA_SECTIONS)
+     * @param int|null $days
+     * @param array<int> $years
+     * @param array<int> $userIds
+     * @param string|null $period Granularity of the timeline charts (null = the default of each chart)
+     *
+     * @return array<string,mixed>
+     */
+    private function buildTabData(Tree $tree, string $tab, array $sections, ?int $days, array $years, array $userIds, ?string $period): array
+    {
+        $jsonData = [];
+        $errors = [];
+
+        foreach ($sections as $section) {
+            $keys = self::DATA_SECTIONS[$tab][$section];
+            $sectionData = $this->buildDataSection(
+                fn () => $this->buildSectionData($tree, $tab, $section, $days, $years, $userIds, $period),
+                $errors,
+                $keys
+            );
+
+            foreach ($keys as $key) {
+                $jsonData[$key] = $sectionData[$key] ?? null;
+            }
+        }
+
+        $jsonData['errors'] = $errors;
+
+        return $jsonData;
+    }
+
+    /**
+     * Build the chart data of one tab section
+     *
+     * @param Tree $tree
+     * @param string $tab
+     * @param string $section
+     * @param int|null $days
+     * @param array<int> $years
+     * @param array<int> $userIds
+     * @param string|null $period Granularity of the timeline charts (null = the default of each chart)
+     *
+     * @return array<string,mixed> Response key => chart data
+     */
+    private function buildSectionData(Tree $tree, string $tab, string $section, ?int $days, array $years, array $userIds, ?string $period): array
+    {
+        switch ($tab . '/' . $section) {
+            // Tab 1: Data Content
+            case 'content/records':
+                return $this->stats_service->getDataContentStats($tree, $days, $years, $userIds, ['records']);
+
+            case 'content/facts':
+                return $this->stats_service->getDataContentStats($tree, $days, $years, $userIds, ['facts']);
+
+            case 'content/largestChanges':
+                return $this->stats_service->getDataContentStats($tree, $days, $years, $userIds, ['largestChanges']);
+
+            case 'content/factCompleteness':
+                return ['factCompleteness' => $this->stats_service->getFactCompletenessProgress($tree, $period ?? 'month', $days, $years, $userIds)];
+
+            case 'content/creationVsModification':
+                return ['creationVsModification' => $this->stats_service->getCreationVsModificationTrend($tree, $period ?? 'month', $days, $years, $userIds)];
+
+            // Tab 2: Work Patterns
+            case 'patterns/editorPatterns':
+                $stats = $this->stats_service->getEditorPatternsStats($tree, $days, $years, $userIds);
+                $stats['userStatsIds'] = $stats['userIds'];
+
+                return $stats;
+
+            case 'patterns/editingActivityOverTime':
+                return ['editingActivityOverTime' => $this->stats_service->getEditingActivityOverTime($tree, $days, $years, $userIds, $period ?? 'week')];
+
+            case 'patterns/contributionCalendar':
+                return ['contributionCalendar' => $this->stats_service->getContributionCalendar($tree, $days, $years, $userIds)];
+
+            case 'patterns/commitSizeDistribution':
+                return ['commitSizeDistribution' => $this->stats_service->getCommitSizeDistribution($tree, $days, $years, $userIds)];
+
+            case 'patterns/changeStatusStats':
+                return ['changeStatusStats' => $this->stats_service->getChangeStatusStats($tree, $days, $years, $userIds)];
+
+            case 'patterns/editVelocity':
+                return ['editVelocity' => $this->stats_service->getEditVelocityTrend($tree, $period ?? 'week', $days, $years, $userIds)];
+
+            case 'patterns/sessionDuration':
+                return ['sessionDuration' => $this->stats_service->getSessionDurationDistribution($tree, $days, $years, $userIds)];
+
+            // Tab 4: Activity Log
+            case 'activity/authSummary':
+                return ['authSummary' => $this->stats_service->getAuthSummary($tree, $period ?? 'day', $days, $years, $userIds)];
+
+            case 'activity/searchTimeline':
+                return ['searchTimeline' => $this->stats_service->getSearchTimeline($tree, $period ?? 'day', $days, $years, $userIds)];
+
+            case 'activity/searchTerms':
+                return ['searchTerms' => $this->stats_service->getSearchTermsFrequency($tree, $days, $years, 20, $userIds)];
+
+            case 'activity/failedLogins':
+                $failedLogins = $this->stats_service->getFailedLoginsList($tree, $days, $years, 1, 20, $userIds);
+
+                // Apply IP masking based on admin preference
+                $maskIpAddress = $this->getPreference('MASK_IP_ADDRESS', 'hidden');
+
+                return ['failedLogins' => $this->maskIpAddresses($failedLogins, $maskIpAddress)];
+
+            case 'activity/messageTimeline':
+                return ['messageTimeline' => $this->stats_service->getMessageTimeline($tree, $period ?? 'day', $days, $years, $userIds)];
+
+            case 'activity/userMessageStats':
+                return ['userMessageStats' => $this->stats_service->getUserMessageStats($tree, $days, $years, 15, $userIds)];
+
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Build one section of a tab, logging instead of failing the whole response
+     *
+     * @param callable $build Returns the section data
+     * @param array<string,string> $errors Response keys => error code, the section keys are added on failure
+     * @param array<string> $keys Response keys (charts) fed by the section
+     *
+     * @return mixed Null when the section failed
+     */
+    private function buildDataSection(callable $build, array &$errors, array $keys)
+    {
+        try {
+            return $build();
+        } catch (\Throwable $e) {
+            $this->logError($e);
+
+            foreach ($keys as $key) {
+                $errors[$key] = 'SECTION_FAILED';
+            }
+
+            return null;
+        }
+    }
+
+    /**
+     * JSON error response with a machine-readable code, shown as inline error states in the dashboard
+     *
+     * @param string $code ACCESS_DENIED, UNKNOWN_TAB, UNKNOWN_SECTION or SERVER_ERROR
+     * @param string $message Translated message for the user
+     * @param int $status HTTP status
+     *
+     * @return ResponseInterface
+     */
+    private function errorResponse(string $code, string $message, int $status): ResponseInterface
+    {
+        return response(json_encode(['error' => $message, 'code' => $code], JSON_UNESCAPED_UNICODE))
+            ->withHeader('Content-Type', 'application/json; charset=utf-8')
+            ->withHeader('Cache-Control', 'no-store')
+            ->withStatus($status);
+    }
+
+    /**
+     * Log error details server-side for debugging (clients only get a generic message)
+     *
+     * @param \Throwable $e
+     *
+     * @return void
+     */
+    private function logError(\Throwable $e): void
+    {
+        error_log(sprintf(
+            'Insight Lens error: %s in %s:%d (%s)',
+            $e->getMessage(),
+            $e->getFile(),
+            $e->getLine(),
+            get_class($e)
+        ));
+    }
+
+    /**
+     * Get the effective period of the current date filter
+     *
+     * @param string|null $dateFrom
+     * @param string|null $dateTo
+     * @param int|null $days
+     * @param array<int> $years
+     *
+     * @return array{from: string, to: string}|null Null for all time or a date range without start
+     */
+    private function getCurrentPeriod(?string $dateFrom, ?string $dateTo, ?int $days, array $years): ?array
+    {
+        $now = date('Y-m-d H:i:s');
+
+        if ($dateFrom !== null || $dateTo !== null) {
+            return $dateFrom === null ? null : ['from' => $dateFrom, 'to' => $dateTo ?? $now];
+        }
+
+        if ($days !== null && $days > 0) {
+            return ['from' => date('Y-m-d H:i:s', strtotime("-{$days} days")), 'to' => $now];
+        }
+
+        if ($years !== []) {
+            return ['from' => min($years) . '-01-01 00:00:00', 'to' => max($years) . '-12-31 23:59:59'];
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the reference period for a comparison
+     * - previous: the period of the same length right before the current one
+     * - lastYear: the current period one year earlier
+     * - custom: compareFrom/compareTo from the query string
+     *
+     * @param ServerRequestInterface $request
+     * @param string $compare 'previous', 'lastYear' or 'custom'
+     * @param array{from: string, to: string}|null $period Current period
+     * @param array<int> $years Selected years (compared as whole years)
+     *
+     * @return array{from: string, to: string, years: array<int>}|null Null when no comparison is possible
+     */
+    private function getComparisonPeriod(ServerRequestInterface $request, string $compare, ?array $period, array $years): ?array
+    {
+        if ($compare === 'custom') {
+            $from = $this->parseDateTimeParam(Validator::queryParams($request)->string('compareFrom', ''), false);
+            $to = $this->parseDateTimeParam(Validator::queryParams($request)->string('compareTo', ''), true);
+
+            return $from !== null && $to !== null && $from <= $to ? ['from' => $from, 'to' => $to, 'years' => []] : null;
+        }
+
+        if ($period === null || !in_array($compare, ['previous', 'lastYear'], true)) {
+            return null;
+        }
+
+        if ($years !== []) {
+            $shift = $compare === 'lastYear' ? 1 : max($years) - min($years) + 1;
+            $referenceYears = array_map(static fn (int $year): int => $year - $shift, $years);
+
+            return [
+                'from' => min($referenceYears) . '-01-01 00:00:00',
+                'to' => max($referenceYears) . '-12-31 23:59:59',
+                'years' => $referenceYears,
+            ];
+        }
+
+        $from = new \DateTimeImmutable($period['from']);
+        $to = new \DateTimeImmutable($period['to']);
+
+        if ($compare === 'lastYear') {
+            $from = $from->modify('-1 year');
+            $to = $to->modify('-1 year');
+        } else {
+            $length = $to->getTimestamp() - $from->getTimestamp() + 1;
+            $to = $from->modify('-1 second');
+            $from = $from->modify("-{$length} seconds");
+        }
+
+        return ['from' => $from->format('Y-m-d H:i:s'), 'to' => $to->format('Y-m-d H:i:s'), 'years' => []];
+    }
+
+    /**
+     * Read the absolute date range filter ("from"/"to") from the query string
+     *
+     * @param ServerRequestInterface $request
+     *
+     * @return array{0: string|null, 1: string|null} Start and end as "Y-m-d H:i:s" (null = not set or invalid)
+     */
+    private function getDateRangeParams(ServerRequestInterface $request): array
+    {
+        return [
+            $this->parseDateTimeParam(Validator::queryParams($request)->string('from', ''), false),
+            $this->parseDateTimeParam(Validator::queryParams($request)->string('to', ''), true),
+        ];
+    }
+
+    /**
+     * Build the ETag of a data response
+     *
+     * Covers the request parameters, who is asking (own statistics only, privacy), the language, the module
+     * settings and the state of the change log. The hour is included because relative periods ("last N days")
+     * move with the clock.
+     *
+     * @param ServerRequestInterface $request
+     * @param Tree $tree
+     * @param UserInterface $user
+     * @param bool $includeActivity Also cover the log and message tables (Activity Log tab)
+     *
+     * @return string
+     */
+    private function getDataEtag(ServerRequestInterface $request, Tree $tree, UserInterface $user, bool $includeActivity): string
+    {
+        $params = $request->getQueryParams();
+        ksort($params);
+
+        return '"' . md5(json_encode([
+            $this->customModuleVersion(),
+            $params,
+            $user->id(),
+            I18N::languageTag(),
+            $this->getPreference('SHOW_OWN_STATS_ONLY', '0'),
+            date('Y-m-d H'),
+            $this->stats_service->getDataVersion($tree, $includeActivity),
+        ], JSON_THROW_ON_ERROR)) . '"';
+    }
+
+    /**
+     * Check the If-None-Match request header against an ETag
+     *
+     * @param ServerRequestInterface $request
+     * @param string $etag
+     *
+     * @return bool
+     */
+    private function isNotModified(ServerRequestInterface $request, string $etag): bool
+    {
+        $etags = array_map('trim', explode(',', $request->getHeaderLine('If-None-Match')));
+
+        return in_array($etag, $etags, true) || in_array('W/' . $etag, $etags, true);
+    }
+
+    /**
+     * Empty 304 response - the browser reuses the body it has cached for this ETag
+     *
+     * @param string $etag
+     *
+     * @return ResponseInterface
+     */
+    private function notModifiedResponse(string $etag): ResponseInterface
+    {
+        return response('', 304)
+            ->withHeader('Cache-Control', 'private, no-cache')
+            ->withHeader('ETag', $etag);
+    }
+
+    /**
+     * Read the dashboard filters shared by the data endpoints and set the date range and record filters on the stats service
+     *
+     * @param ServerRequestInterface $request
+     * @param UserInterface $user
+     *
+     * @return array{days: int|null, years: array<int>, userIds: array<int>, dateFrom: string|null, dateTo: string|null, recordTypes: array<string>, facts: array<string>}
+     */
+    private function applyDashboardFilters(ServerRequestInterface $request, UserInterface $user): array
+    {
+        // Get days parameter - must be nullable for mutual exclusion with years
+        $queryParams = $request->getQueryParams();
+        $days = isset($queryParams['days']) ? (int)$queryParams['days'] : null;
+
+        $yearsParam = Validator::queryParams($request)->array('years');
+        $years = array_map('intval', $yearsParam);  // Convert to integers
+        $userIds = Validator::queryParams($request)->array('users');
+
+        // Absolute date range - mutually exclusive with days and years
+        [$dateFrom, $dateTo] = $this->getDateRangeParams($request);
+        if ($dateFrom !== null || $dateTo !== null) {
+            $days = null;
+            $years = [];
+        }
+        $this->stats_service->setDateRange($dateFrom, $dateTo);
+
+        // Cross-filter chips (record types and facts clicked in charts)
+        [$recordTypes, $facts] = $this->getRecordFilterParams($request);
+        $this->stats_service->setRecordFilter($recordTypes, $facts);
+
+        // Check if user should only see their own statistics
+        $show_own_stats_only = (bool) $this->getPreference('SHOW_OWN_STATS_ONLY', '0');
+        if ($show_own_stats_only && Auth::check()) {
+            $userIds = [$user->id()];
+        }
+
+        return [
+            'days' => $days,
+            'years' => $years,
+            'userIds' => $userIds,
+            'dateFrom' => $dateFrom,
+            'dateTo' => $dateTo,
+            'recordTypes' => $recordTypes,
+            'facts' => $facts,
+        ];
+    }
+
+    /**
+     * Read the record type and fact filters ("recordTypes[]"/"facts[]") from the query string
+     *
+     * @param ServerRequestInterface $request
+     *
+     * @return array{0: array<string>, 1: array<string>} Record type labels and GEDCOM fact tags, invalid values dropped
+     */
+    private function getRecordFilterParams(ServerRequestInterface $request): array
+    {
+        $recordTypes = array_intersect(
+            Validator::queryParams($request)->array('recordTypes'),
+            ['Individual', 'Family', 'Source', 'Repository', 'Media object', 'Note', 'Location', 'Submitter', 'Submission', 'Other']
+        );
+
+        $facts = array_filter(
+            Validator::queryParams($request)->array('facts'),
+            static fn ($fact): bool => is_string($fact) && preg_match('/^([A-Z]{3,5}|_[A-Z]+)$/', $fact) === 1
+        );
+
+        return [array_values(array_unique($recordTypes)), array_values(array_unique($facts))];
+    }
+
+    /**
+     * Validate a "YYYY-MM-DD" or "YYYY-MM-DDTHH:MM" value and convert it to "Y-m-d H:i:s"
+     * Dates without a time cover the whole day, so the end of a range includes that day.
+     *
+     * @param string $value
+     * @param bool $endOfRange
+     *
+     * @return string|null
+     */
+    private function parseDateTimeParam(string $value, bool $endOfRange): ?string
+    {
+        if (preg_match('/^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2}))?$/', $value, $match) !== 1) {
+            return null;
+        }
+
+        $time = $match[2] ?? '';
+        $date = \DateTimeImmutable::createFromFormat('!Y-m-d H:i', $match[1] . ' ' . ($time !== '' ? $time : '00:00'));
+
+        // Reject overflowing values such as 2025-02-30 or 25:00
+        if ($date === false || $date->format('Y-m-d H:i') !== $match[1] . ' ' . ($time !== '' ? $time : '00:00')) {
+            return null;
+        }
+
+        if ($time === '') {
+            return $date->format('Y-m-d') . ($endOfRange ? ' 23:59:59' : ' 00:00:00');
+        }
+
+        return $date->format('Y-m-d H:i') . ($endOfRange ? ':59' : ':00');
+    }
+
+    /**
+     * Get the saved views of a user
+     *
+     * @param UserInterface $user
+     *
+     * @return array<int,array{name: string, query: string}>
+     */
+    private function getSavedViews(UserInterface $user): array
+    {
+        $views = json_decode($user->getPreference(self::SAVED_VIEWS_PREFERENCE, '[]'), true);
+
+        return is_array($views) ? $this->sanitizeSavedViews($views) : [];
+    }
+
+    /**
+     * Keep only well-formed saved views: a non-empty name and the dashboard URL query string
+     *
+     * @param array $views
+     *
+     * @return array<int,array{name: string, query: string}>
+     */
+    private function sanitizeSavedViews(array $views): array
+    {
+        $sanitized = [];
+
+        foreach ($views as $view) {
+            if (!is_array($view) || !is_string($view['name'] ?? null) || !is_string($view['query'] ?? null)) {
+                continue;
+            }
+
+            $name = mb_substr(trim($view['name']), 0, 100);
+            if ($name === '' || strlen($view['query']) > 4000) {
+                continue;
+            }
+
+            $sanitized[] = ['name' => $name, 'query' => $view['query']];
+
+            // Limit the list size - module settings are not meant for large data
+            if (count($sanitized) >= 50) {
+                break;
+            }
+        }
+
+        return $sanitized;
+    }
+
     /**
      * Mask IP addresses based on admin preference
      *
@@ -18,7 +18,230 @@ use Illuminate\Support\Collection;
 class LensStatsService
 {
     /**
-     * Apply date filtering to a query (supports both "Last X days" and "Selected years" modes)
+     * Granularities of the timeline charts, see periodExpression()
+     */
+    public const PERIODS = ['day', 'week', 'month', 'quarter', 'year'];
+
+    /**
+     * Heatmap dimensions read from each change in PHP (GEDCOM diff, commit grouping) instead of an SQL column
+     */
+    private const CHANGE_DIMENSIONS = ['fact', 'recordTypeFact', 'commitSize'];
+
+    /**
+     * Heatmap measures read from the GEDCOM diff of each change in PHP
+     */
+    private const FACT_MEASURES = ['factsAdded', 'factsDeleted', 'netFactGain'];
+
+    /**
+     * Dimensions that can split the heatmap into small multiples (SQL columns with a handful of values)
+     */
+    private const FACET_DIMENSIONS = ['dayOfWeek', 'month', 'quarter', 'year', 'user', 'recordType', 'status'];
+
+    /**
+     * Bins of the commit size histogram and heatmap dimension, see getCommitSizeBin()
+     */
+    private const COMMIT_SIZE_BINS = ['1', '2', '3', '4', '5', '6-10', '11-20', '21-50', '51+'];
+
+    /**
+     * Absolute date range filter ("Y-m-d H:i:s", null = open end), see setDateRange()
+     */
+    private ?string $dateFrom = null;
+    private ?string $dateTo = null;
+
+    /**
+     * Record type and fact filter (empty = no filter), see setRecordFilter()
+     *
+     * @var array<string>
+     */
+    private array $recordTypes = [];
+
+    /**
+     * @var array<string>
+     */
+    private array $facts = [];
+
+    /**
+     * IDs of the changes that touched one of the filtered facts (null = not read yet), see getFactFilterChangeIds()
+     *
+     * @var array<int>|null
+     */
+    private ?array $factFilterChangeIds = null;
+
+    /**
+     * Restrict all following queries to an absolute date range.
+     * When a range is set it replaces the "Last X days" and "Selected years" modes.
+     *
+     * @param string|null $from Start of range as "Y-m-d H:i:s" (null = no lower bound)
+     * @param string|null $to End of range as "Y-m-d H:i:s" (null = no upper bound)
+     *
+     * @return void
+     */
+    public function setDateRange(?string $from, ?string $to): void
+    {
+        $this->dateFrom = $from;
+        $this->dateTo = $to;
+    }
+
+    /**
+     * Restrict all following change queries to record types and facts (cross-filtering from charts)
+     *
+     * @param array<string> $recordTypes English record type labels as returned in recordTypeStats (empty = all)
+     * @param array<string> $facts GEDCOM fact tags (empty = all)
+     *
+     * @return void
+     */
+    public function setRecordFilter(array $recordTypes, array $facts): void
+    {
+        $this->recordTypes = $recordTypes;
+        $this->facts = $facts;
+        $this->factFilterChangeIds = null;
+    }
+
+    /**
+     * Apply the record type and fact filter to a query on the change table
+     *
+     * Record types are matched the same way getRecordType() reads them: from the "0 @XREF@ TYPE" line of the
+     * old or new GEDCOM. A fact filter keeps the changes that added, edited or deleted the fact, see getFactFilterChangeIds().
+     *
+     * @param \Illuminate\Database\Query\Builder $query
+     *
+     * @return \Illuminate\Database\Query\Builder
+     */
+    private function applyRecordFilter($query)
+    {
+        if ($this->recordTypes !== []) {
+            $query->where(function ($q) {
+                foreach ($this->recordTypes as $recordType) {
+                    $gedcomTypes = $this->getGedcomTypesForLabel($recordType);
+
+                    if ($gedcomTypes === []) {
+                        // "Other" - none of the known record types
+                        $q->orWhere(function ($other) {
+                            foreach ($this->getGedcomTypesForLabel(null) as $gedcomType) {
+                                $this->whereGedcomLike($other, '0 @%@ ' . $gedcomType . '%', false);
+                            }
+                        });
+                    } else {
+                        foreach ($gedcomTypes as $gedcomType) {
+                            $this->whereGedcomLike($q, '0 @%@ ' . $gedcomType . '%', true);
+                        }
+                    }
+                }
+            });
+        }
+
+        if ($this->facts !== []) {
+            // Integer IDs are inlined, so large fact filters do not run into the placeholder limit
+            $query->whereIntegerInRaw('change.change_id', $this->getFactFilterChangeIds());
+        }
+
+        return $query;
+    }
+
+    /**
+     * Get the IDs of the changes that touched one of the filtered facts (extractTouchedFacts)
+     *
+     * The touched facts come from the GEDCOM diff, which cannot be computed in SQL. SQL narrows the changes down
+     * to those whose old or new GEDCOM has one of the facts, and the GEDCOM is read in chunks. Read once per request.
+     *
+     * @return array<int>
+     */
+    private function getFactFilterChangeIds(): array
+    {
+        if ($this->factFilterChangeIds !== null) {
+            return $this->factFilterChangeIds;
+        }
+
+        $this->factFilterChangeIds = [];
+        DB::table('change')
+            ->where(function ($q) {
+                foreach ($this->facts as $fact) {
+                    $this->whereGedcomHasFact($q, $fact);
+                }
+            })
+            ->select(['change_id', 'old_gedcom', 'new_gedcom'])
+            ->chunkById(500, function ($rows): void {
+                foreach ($rows as $row) {
+                    if (array_intersect($this->facts, $this->extractTouchedFacts($row->old_gedcom, $row->new_gedcom)) !== []) {
+                        $this->factFilterChangeIds[] = (int) $row->change_id;
+                    }
+                }
+            }, 'change_id');
+
+        return $this->factFilterChangeIds;
+    }
+
+    /**
+     * Add "old or new GEDCOM has a level 1 fact" to a query (OR matching, like whereGedcomLike)
+     *
+     * @param \Illuminate\Database\Query\Builder $query
+     * @param string $fact GEDCOM fact tag
+     *
+     * @return void
+     */
+    private function whereGedcomHasFact($query, string $fact): void
+    {
+        // Tag followed by a value, a new line or the end of the record
+        $line = "\n1 " . $fact;
+        foreach (['%' . $line . ' %', '%' . $line . "\n%", '%' . $line] as $pattern) {
+            $this->whereGedcomLike($query, $pattern, true);
+        }
+    }
+
+    /**
+     * Add "old or new GEDCOM matches" (or its negation) to a query
+     *
+     * @param \Illuminate\Database\Query\Builder $query
+     * @param string $pattern LIKE pattern, "_" in GEDCOM tags is escaped here
+     * @param bool $match true = OR matching, false = AND not matching
+     *
+     * @return void
+     */
+    private function whereGedcomLike($query, string $pattern, bool $match): void
+    {
+        $pattern = str_replace('_', '\\_', $pattern);
+
+        if ($match) {
+            $query->orWhere(function ($q) use ($pattern) {
+                $q->where('change.new_gedcom', 'LIKE', $pattern)
+                    ->orWhere('change.old_gedcom', 'LIKE', $pattern);
+            });
+        } else {
+            $query->where('change.new_gedcom', 'NOT LIKE', $pattern)
+                ->where('change.old_gedcom', 'NOT LIKE', $pattern);
+        }
+    }
+
+    /**
+     * Get the GEDCOM record types shown under a label (reverse of mapGedcomTypeToLabel)
+     *
+     * @param string|null $label English label, null = all types with their own label
+     *
+     * @return array<string> Empty for "Other"
+     */
+    private function getGedcomTypesForLabel(?string $label): array
+    {
+        $types = [
+            'Individual' => ['INDI'],
+            'Family' => ['FAM'],
+            'Source' => ['SOUR'],
+            'Repository' => ['REPO'],
+            'Media object' => ['OBJE'],
+            'Note' => ['NOTE', 'SNOTE'],
+            'Submitter' => ['SUBM'],
+            'Submission' => ['SUBN'],
+            'Location' => ['_LOC'],
+        ];
+
+        if ($label === null) {
+            return array_merge(...array_values($types));
+        }
+
+        return $types[$label] ?? [];
+    }
+
+    /**
+     * Apply date filtering to a query (supports "Date range", "Last X days" and "Selected years" modes)
      *
      * @param \Illuminate\Database\Query\Builder $query
      * @param int|null $days Number of days to look back (null = not using this mode)
@@ -29,7 +252,15 @@ class LensStatsService
      */
     private function applyDateFilter($query, ?int $days, array $years, string $dateColumn = 'change.change_time')
     {
-        if ($days !== null && $days > 0) {
+        if ($this->dateFrom !== null || $this->dateTo !== null) {
+            // Mode: Date range (takes precedence over days and years)
+            if ($this->dateFrom !== null) {
+                $query->where($dateColumn, '>=', $this->dateFrom);
+            }
+            if ($this->dateTo !== null) {
+                $query->where($dateColumn, '<=', $this->dateTo);
+            }
+        } elseif ($days !== null && $days > 0) {
             // Mode: Last X days
             $query->where($dateColumn, '>', date('Y-m-d H:i:s', strtotime("-{$days} days")));
         } elseif (!empty($years)) {
@@ -48,6 +279,27 @@ class LensStatsService
         return $query;
     }
 
+    /**
+     * SQL expression grouping a date column into timeline periods
+     *
+     * Period keys: "YYYY-MM-DD" (day), "YYYY-Www" (ISO 8601 week), "YYYY-MM" (month), "YYYY-Qn" (quarter), "YYYY" (year)
+     *
+     * @param string $period One of PERIODS
+     * @param string $dateColumn Column name to group on
+     *
+     * @return string
+     */
+    private function periodExpression(string $period, string $dateColumn): string
+    {
+        return match ($period) {
+            'week' => "DATE_FORMAT({$dateColumn}, '%x-W%v')",
+            'month' => "DATE_FORMAT({$dateColumn}, '%Y-%m')",
+            'quarter' => "CONCAT(YEAR({$dateColumn}), '-Q', QUARTER({$dateColumn}))",
+            'year' => "DATE_FORMAT({$dateColumn}, '%Y')",
+            default => "DATE_FORMAT({$dateColumn}, '%Y-%m-%d')",
+        };
+    }
+
     /**
      * Get statistics about changes by tree
      *
@@ -67,6 +319,7 @@ class LensStatsService
 
         // Use unified date filter
         $query = $this->applyDateFilter($query, $days, $years, 'change_time');
+        $query = $this->applyRecordFilter($query);
 
         if (!empty($userIds)) {
             $query->whereIn('user_id', $userIds);
@@ -195,6 +448,62 @@ class LensStatsService
         return $facts;
     }
 
+    /**
+     * Split GEDCOM text into level 1 fact blocks (same tags as extractFactTags)
+     *
+     * @param string $gedcom
+     *
+     * @return array<string,array<string>> Fact tag => blocks (fact line with its sub-lines)
+     */
+    private function extractFactBlocks(string $gedcom): array
+    {
+        $blocks = [];
+        $tag = null;
+        $excludedTags = ['CHAN', 'OBJE', '_UID', 'RIN', 'REFN', 'RFN', 'AFN'];
+
+        foreach (explode("\n", $gedcom) as $line) {
+            if (preg_match('/^[01] /', $line)) {
+                $tag = null;
+                if (preg_match('/^1 ([A-Z]{3,5}|_[A-Z]+)/', $line, $matches) && !in_array($matches[1], $excludedTags, true)) {
+                    $tag = $matches[1];
+                    $blocks[$tag][] = $line;
+                }
+            } elseif ($tag !== null) {
+                $blocks[$tag][count($blocks[$tag]) - 1] .= "\n" . $line;
+            }
+        }
+
+        return $blocks;
+    }
+
+    /**
+     * Get fact tags whose content differs between two GEDCOM versions (added, edited or deleted)
+     *
+     * @param string $oldGedcom
+     * @param string $newGedcom
+     *
+     * @return array<string> Fact tags in order of first appearance
+     */
+    private function extractTouchedFacts(string $oldGedcom, string $newGedcom): array
+    {
+        $oldBlocks = $this->extractFactBlocks($oldGedcom);
+        $newBlocks = $this->extractFactBlocks($newGedcom);
+
+        $touched = [];
+        foreach (array_unique(array_merge(array_keys($newBlocks), array_keys($oldBlocks))) as $tag) {
+            $old = $oldBlocks[$tag] ?? [];
+            $new = $newBlocks[$tag] ?? [];
+            sort($old);
+            sort($new);
+
+            if ($old !== $new) {
+                $touched[] = $tag;
+            }
+        }
+
+        return $touched;
+    }
+
     /**
      * Determine record type from GEDCOM
      *
@@ -261,23 +570,24 @@ class LensStatsService
     }
 
     /**
-     * Get editing activity over time (weekly aggregation)
+     * Get editing activity over time
      * Shows how work intensity changes over time
      *
      * @param Tree|null $tree Specific tree or all trees
      * @param int|null $days Number of days to analyze (null = not using this mode)
      * @param array<int> $years Array of years to include (empty = not using this mode)
      * @param array<int> $userIds Filter by user IDs (empty = all users)
+     * @param string $period One of PERIODS
      *
-     * @return array<string,int> "YYYY-Www" => count
+     * @return array<string,int> Period key (see periodExpression()) => count
      */
-    public function getEditingActivityOverTime(?Tree $tree = null, ?int $days = null, array $years = [], array $userIds = []): array
+    public function getEditingActivityOverTime(?Tree $tree = null, ?int $days = null, array $years = [], array $userIds = [], string $period = 'week'): array
     {
         $query = DB::table('change')
             ->where('status', '=', 'accepted')
             ->where('new_gedcom', '<>', '')
             ->select([
-                DB::raw('YEARWEEK(change_time, 1) as yearweek'),
+                DB::raw($this->periodExpression($period, 'change_time') . ' as period'),
                 DB::raw('COUNT(*) as count')
             ]);
 
@@ -287,26 +597,99 @@ class LensStatsService
 
         // Apply date filter (Last X days OR Selected years)
         $query = $this->applyDateFilter($query, $days, $years, 'change_time');
+        $query = $this->applyRecordFilter($query);
 
         if (!empty($userIds)) {
             $query->whereIn('user_id', $userIds);
         }
 
-        $results = $query->groupBy('yearweek')->orderBy('yearweek')->get();
+        $results = $query->groupBy('period')->orderBy('period')->get();
 
         $stats = [];
         foreach ($results as $row) {
-            // Convert YEARWEEK (202401) to readable format (2024-W01)
-            $yearweek = (string) $row->yearweek;
-            $year = substr($yearweek, 0, 4);
-            $week = substr($yearweek, 4);
-            $label = $year . '-W' . str_pad($week, 2, '0', STR_PAD_LEFT);
-            $stats[$label] = (int) $row->count;
+            $stats[$row->period] = (int) $row->count;
         }
 
         return $stats;
     }
 
+    /**
+     * Get the daily change counts of the contribution calendar, with streak statistics
+     *
+     * A streak is a run of consecutive days with changes. The current streak ends today, or yesterday
+     * while nothing has been changed yet today. Days are counted like the editing activity (accepted changes
+     * without deletions, as in the drill-down of getChangeList()), and "today" is taken from the database clock,
+     * which also dates the changes, so a PHP time zone other than the database one does not shift it.
+     *
+     * @param Tree $tree
+     * @param int|null $days Number of days to analyze (null = not using this mode)
+     * @param array<int> $years Array of years to include (empty = not using this mode)
+     * @param array<int> $userIds Filter by user IDs (empty = all users)
+     *
+     * @return array{days: array<string,int>, today: string, activeDays: int, currentStreak: int, longestStreak: int, currentStreakLabel: string, longestStreakLabel: string}
+     *         days: date (Y-m-d) => number of changes, days without changes left out
+     *         currentStreakLabel, longestStreakLabel: streaks as translated "%s days" (with the plural form of the language)
+     */
+    public function getContributionCalendar(Tree $tree, ?int $days = null, array $years = [], array $userIds = []): array
+    {
+        $dailyChanges = $this->getEditingActivityOverTime($tree, $days, $years, $userIds, 'day');
+
+        $longestStreak = 0;
+        $streak = 0;
+        $previous = null;
+        foreach (array_keys($dailyChanges) as $date) {
+            $streak = $previous !== null && date('Y-m-d', strtotime($previous . ' +1 day')) === $date ? $streak + 1 : 1;
+            $longestStreak = max($longestStreak, $streak);
+            $previous = $date;
+        }
+
+        $today = (string) DB::query()->selectRaw('CURDATE() AS today')->value('today');
+        $currentStreak = 0;
+        $date = isset($dailyChanges[$today]) ? $today : date('Y-m-d', strtotime($today . ' -1 day'));
+        while (isset($dailyChanges[$date])) {
+            $currentStreak++;
+            $date = date('Y-m-d', strtotime($date . ' -1 day'));
+        }
+
+        return [
+            'days' => $dailyChanges,
+            'today' => $today,
+            'activeDays' => count($dailyChanges),
+            'currentStreak' => $currentStreak,
+            'longestStreak' => $longestStreak,
+            'currentStreakLabel' => I18N::plural('%s day', '%s days', $currentStreak, I18N::number($currentStreak)),
+            'longestStreakLabel' => I18N::plural('%s day', '%s days', $longestStreak, I18N::number($longestStreak)),
+        ];
+    }
+
+    /**
+     * Fingerprint of the data behind the statistics, used for ETags
+     *
+     * Changes whenever a change is added to the tree or its status changes.
+     *
+     * @param Tree $tree
+     * @param bool $includeActivity Also cover the log and message tables (Activity Log tab)
+     *
+     * @return string
+     */
+    public function getDataVersion(Tree $tree, bool $includeActivity = false): string
+    {
+        $version = DB::table('change')
+            ->where('gedcom_id', '=', $tree->id())
+            ->groupBy('status')
+            ->orderBy('status')
+            ->select(['status', DB::raw('COUNT(*) AS total'), DB::raw('MAX(change_id) AS last_id')])
+            ->get()
+            ->map(fn ($row) => $row->status . ':' . $row->total . ':' . $row->last_id)
+            ->implode(',');
+
+        if ($includeActivity) {
+            $version .= '|' . DB::table('log')->max('log_id') . '|' . DB::table('message')->max('message_id');
+        }
+
+        return $version;
+    }
+
     /**
      * Get list of users who have made changes
      *
@@ -346,8 +729,9 @@ class LensStatsService
      *
      * @param object $change Change record from DB
      * @param array &$stats Accumulated statistics (passed by reference)
+     * @param array<string> $parts Statistics to collect ('records', 'facts', 'largestChanges')
      */
-    private function processChangeForDataContent(object $change, array &$stats): void
+    private function processChangeForDataContent(object $change, array &$stats, array $parts): void
     {
         $hasNewGedcom = $change->new_gedcom !== '';
         $hasOldGedcom = $change->old_gedcom !== '';
@@ -366,7 +750,16 @@ class LensStatsService
             $stats['individualEditCounts'][$change->xref] = ($stats['individualEditCounts'][$change->xref] ?? 0) + 1;
         }
 
-        // Fact-based statistics
+        // Largest changes - use Myers Diff
+        if (in_array('largestChanges', $parts, true)) {
+            $this->processLargestChange($change, $hasOldGedcom, $stats['largestChangesData']);
+        }
+
+        // Fact-based statistics (GEDCOM diffing - skipped when only record counts are needed)
+        if (!in_array('facts', $parts, true)) {
+            return;
+        }
+
         if ($hasOldGedcom && $hasNewGedcom) {
             $editedFacts = $this->extractEditedFacts($change->old_gedcom, $change->new_gedcom);
             foreach ($editedFacts as $fact) {
@@ -391,9 +784,6 @@ class LensStatsService
                 $stats['deletedFactCounts'][$fact] = ($stats['deletedFactCounts'][$fact] ?? 0) + 1;
             }
         }
-
-        // Largest changes - use Myers Diff
-        $this->processLargestChange($change, $hasOldGedcom, $stats['largestChangesData']);
     }
 
     /**
@@ -423,6 +813,7 @@ class LensStatsService
 
         if ($change_score > 0) {
             $largestChangesData[] = [
+                'id' => (int) $change->change_id,
                 'xref' => $change->xref,
                 'change_time' => $change->change_time,
                 'real_name' => $change->real_name,
@@ -463,9 +854,10 @@ class LensStatsService
      *
      * @param Tree $tree
      * @param array $largestChangesData Raw data
+     * @param array &$details Formatted labels => ['id' => ..., 'xref' => ..., 'time' => ...] (filled by reference, for drill-down)
      * @return array Formatted labels => line_diff
      */
-    private function formatLargestChanges(Tree $tree, array $largestChangesData): array
+    private function formatLargestChanges(Tree $tree, array $largestChangesData, array &$details = []): array
     {
         usort($largestChangesData, fn($a, $b) => $b['line_diff'] <=> $a['line_diff']);
         $largestChangesData = array_slice($largestChangesData, 0, 15);
@@ -511,6 +903,7 @@ class LensStatsService
             }
 
             $result[$label] = $item['line_diff'];
+            $details[$label] = ['id' => $item['id'], 'xref' => $item['xref'], 'time' => $item['change_time']];
         }
 
         return $result;
@@ -524,10 +917,12 @@ class LensStatsService
      * @param int|null $days Number of days to analyze (null = not using this mode)
      * @param array<int> $years Array of years to include (empty = not using this mode)
      * @param array<int> $userIds Filter by user IDs (empty = all users)
+     * @param array<string> $parts Statistics to compute: 'records' (record types, most edited individuals),
+     *                             'facts' (fact statistics) and/or 'largestChanges'
      *
-     * @return array Chart data for first tab
+     * @return array Chart data for first tab (only the keys of the requested parts)
      */
-    public function getDataContentStats(Tree $tree, ?int $days = null, array $years = [], array $userIds = []): array
+    public function getDataContentStats(Tree $tree, ?int $days = null, array $years = [], array $userIds = [], array $parts = ['records', 'facts', 'largestChanges']): array
     {
         // Query changes
         $query = DB::table('change')
@@ -535,6 +930,7 @@ class LensStatsService
             ->where('change.gedcom_id', '=', $tree->id())
             ->where('change.status', '=', 'accepted')
             ->select([
+                'change.change_id',
                 'change.xref',
                 'change.change_time',
                 'change.old_gedcom',
@@ -545,6 +941,7 @@ class LensStatsService
             ]);
 
         $query = $this->applyDateFilter($query, $days, $years);
+        $query = $this->applyRecordFilter($query);
 
         if (!empty($userIds)) {
             $query->whereIn('change.user_id', $userIds);
@@ -568,28 +965,74 @@ class LensStatsService
 
         // Process all changes
         foreach ($allChanges as $change) {
-            $this->processChangeForDataContent($change, $stats);
+            $this->processChangeForDataContent($change, $stats, $parts);
+        }
+
+        $result = [];
+
+        if (in_array('records', $parts, true)) {
+            $result += $this->formatMostEditedIndividuals($tree, $stats);
+        }
+
+        if (in_array('facts', $parts, true)) {
+            $result += $this->formatFactStats($tree, $stats);
+        }
+
+        if (in_array('largestChanges', $parts, true)) {
+            // Post-process: Largest changes
+            $largestChangesDetails = [];
+            $result['largestChanges'] = $this->formatLargestChanges($tree, $stats['largestChangesData'], $largestChangesDetails);
+            $result['largestChangesDetails'] = $largestChangesDetails;
         }
 
+        return $result;
+    }
+
+    /**
+     * Record type counts and most edited individuals of the data content stats
+     *
+     * @param Tree $tree
+     * @param array $stats Accumulated statistics
+     *
+     * @return array
+     */
+    private function formatMostEditedIndividuals(Tree $tree, array $stats): array
+    {
         // Post-process: Most edited individuals
         arsort($stats['individualEditCounts']);
         $topIndividuals = array_slice($stats['individualEditCounts'], 0, 15, true);
         $individualNames = $this->batchLoadIndividualNames($tree, array_keys($topIndividuals));
 
         $mostEditedIndividuals = [];
+        $mostEditedIndividualsXrefs = [];
         foreach ($topIndividuals as $xref => $count) {
             $name = $individualNames[$xref] ?? $xref;
             $mostEditedIndividuals[$name] = $count;
+            $mostEditedIndividualsXrefs[$name] = $xref;
         }
 
+        return [
+            'recordTypeStats' => array_filter($stats['recordTypeStats']),
+            'mostEditedIndividuals' => $mostEditedIndividuals,
+            'mostEditedIndividualsXrefs' => $mostEditedIndividualsXrefs,
+        ];
+    }
+
+    /**
+     * Fact statistics of the data content stats
+     *
+     * @param Tree $tree
+     * @param array $stats Accumulated statistics
+     *
+     * @return array
+     */
+    private function formatFactStats(Tree $tree, array $stats): array
+    {
         // Post-process: Fact statistics
         arsort($stats['editedFactCounts']);
         arsort($stats['addedFactCounts']);
         arsort($stats['deletedFactCounts']);
 
-        // Post-process: Largest changes
-        $largestChanges = $this->formatLargestChanges($tree, $stats['largestChangesData']);
-
         // Post-process: Most changed facts per individual
         arsort($stats['factChangesPerIndividual']);
         $topFactChanges = array_slice($stats['factChangesPerIndividual'], 0, 15, true);
@@ -607,13 +1050,10 @@ class LensStatsService
         }
 
         return [
-            'recordTypeStats' => array_filter($stats['recordTypeStats']),
-            'mostEditedIndividuals' => $mostEditedIndividuals,
             'mostEditedFacts' => array_slice($stats['editedFactCounts'], 0, 15, true),
             'mostAddedFacts' => array_slice($stats['addedFactCounts'], 0, 15, true),
             'mostDeletedFacts' => array_slice($stats['deletedFactCounts'], 0, 15, true),
             'mostChangedFactsPerIndividual' => $mostChangedFactsPerIndividual,
-            'largestChanges' => $largestChanges,
         ];
     }
 
@@ -644,6 +1084,7 @@ class LensStatsService
 
         // Apply date filter (Last X days OR Selected years)
         $query = $this->applyDateFilter($query, $days, $years);
+        $query = $this->applyRecordFilter($query);
 
         if (!empty($userIds)) {
             $query->whereIn('change.user_id', $userIds);
@@ -659,6 +1100,7 @@ class LensStatsService
         $monthStats = [];
         $yearStats = [];
         $workSessionsByDate = [];
+        $userIdsByName = [];
 
         $dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
@@ -677,6 +1119,7 @@ class LensStatsService
                 $userStats[$change->user_name] = 0;
             }
             $userStats[$change->user_name]++;
+            $userIdsByName[$change->user_name] = (int) $change->user_id;
 
             // Hour statistics (multi-year)
             if (!isset($hourStats[$year])) {
@@ -754,6 +1197,7 @@ class LensStatsService
 
         return [
             'userStats' => $userStats,
+            'userIds' => $userIdsByName,
             'hourStats' => $hourStats,
             'dayStats' => $dayStats,
             'dayOfMonthStats' => $dayOfMonthStats,
@@ -790,6 +1234,7 @@ class LensStatsService
 
         // Apply date filter (Last X days OR Selected years)
         $query = $this->applyDateFilter($query, $days, $years, 'change_time');
+        $query = $this->applyRecordFilter($query);
 
         if (!empty($userIds)) {
             $query->whereIn('user_id', $userIds);
@@ -805,18 +1250,7 @@ class LensStatsService
             $size = (int) $commit->changes_count;
             $allSizes[] = $size;
 
-            // Create bins: 1, 2, 3, 4, 5, 6-10, 11-20, 21-50, 51+
-            if ($size <= 5) {
-                $bin = (string) $size;
-            } elseif ($size <= 10) {
-                $bin = '6-10';
-            } elseif ($size <= 20) {
-                $bin = '11-20';
-            } elseif ($size <= 50) {
-                $bin = '21-50';
-            } else {
-                $bin = '51+';
-            }
+            $bin = $this->getCommitSizeBin($size);
 
             if (!isset($histogram[$bin])) {
                 $histogram[$bin] = 0;
@@ -824,12 +1258,9 @@ class LensStatsService
             $histogram[$bin]++;
         }
 
-        // Define bin order
-        $binOrder = ['1', '2', '3', '4', '5', '6-10', '11-20', '21-50', '51+'];
-
         $bins = [];
         $counts = [];
-        foreach ($binOrder as $bin) {
+        foreach (self::COMMIT_SIZE_BINS as $bin) {
             $bins[] = $bin;
             $counts[] = $histogram[$bin] ?? 0;
         }
@@ -868,116 +1299,1007 @@ class LensStatsService
     }
 
     /**
-     * Get statistics about change status (accepted, rejected, pending)
-     *
-     * @param Tree|null $tree Specific tree or all trees
-     * @param int $days Number of days to analyze (0 = all time)
-     * @param array<int> $userIds Filter by user IDs (empty = all users)
-     *
-     * @return array<string,int> Status => count
+     * Get statistics about change status (accepted, rejected, pending)
+     *
+     * @param Tree|null $tree Specific tree or all trees
+     * @param int $days Number of days to analyze (0 = all time)
+     * @param array<int> $userIds Filter by user IDs (empty = all users)
+     *
+     * @return array<string,int> Status => count
+     */
+    public function getChangeStatusStats(?Tree $tree = null, ?int $days = null, array $years = [], array $userIds = []): array
+    {
+        $query = DB::table('change')
+            ->select(['status', DB::raw('COUNT(*) as count')])
+            ->groupBy('status');
+
+        if ($tree !== null) {
+            $query->where('gedcom_id', '=', $tree->id());
+        }
+
+        // Apply date filter (Last X days OR Selected years)
+        $query = $this->applyDateFilter($query, $days, $years, 'change_time');
+        $query = $this->applyRecordFilter($query);
+
+        if (!empty($userIds)) {
+            $query->whereIn('user_id', $userIds);
+        }
+
+        $results = $query->get();
+
+        $stats = [
+            'accepted' => 0,
+            'rejected' => 0,
+            'pending' => 0,
+        ];
+
+        foreach ($results as $row) {
+            if (isset($stats[$row->status])) {
+                $stats[$row->status] = (int) $row->count;
+            }
+        }
+
+        return $stats;
+    }
+
+    /**
+     * Get a page of the change log rows behind a chart element (drill-down)
+     *
+     * Without a status the list holds the changes the activity charts count: accepted, without deletions.
+     * With a status it holds all changes of that status, like getChangeStatusStats().
+     *
+     * @param Tree $tree
+     * @param int|null $days Number of days to analyze (null = not using this mode)
+     * @param array<int> $years Array of years to include (empty = not using this mode)
+     * @param array<int> $userIds Filter by user IDs (empty = all users)
+     * @param string|null $xref Only changes of this record
+     * @param string|null $periodFrom Only changes at or after "Y-m-d H:i:s" (within the date filter)
+     * @param string|null $periodTo Only changes at or before "Y-m-d H:i:s" (within the date filter)
+     * @param string|null $status Only changes of this status: accepted, pending or rejected (null = see above)
+     * @param int $page Page number (1-based)
+     * @param int $perPage Rows per page
+     *
+     * @return array{changes: array<int,array<string,mixed>>, total: int, page: int, perPage: int}
+     */
+    public function getChangeList(
+        Tree $tree,
+        ?int $days,
+        array $years,
+        array $userIds,
+        ?string $xref,
+        ?string $periodFrom,
+        ?string $periodTo,
+        ?string $status = null,
+        int $page = 1,
+        int $perPage = 25
+    ): array {
+        $query = DB::table('change')
+            ->leftJoin('user', 'user.user_id', '=', 'change.user_id')
+            ->where('change.gedcom_id', '=', $tree->id());
+
+        if ($status !== null) {
+            $query->where('change.status', '=', $status);
+        } else {
+            $query->where('change.status', '=', 'accepted')
+                ->where('change.new_gedcom', '<>', '');
+        }
+
+        $query = $this->applyDateFilter($query, $days, $years);
+        $query = $this->applyRecordFilter($query);
+
+        if (!empty($userIds)) {
+            $query->whereIn('change.user_id', $userIds);
+        }
+
+        if ($xref !== null) {
+            $query->where('change.xref', '=', $xref);
+        }
+
+        if ($periodFrom !== null) {
+            $query->where('change.change_time', '>=', $periodFrom);
+        }
+
+        if ($periodTo !== null) {
+            $query->where('change.change_time', '<=', $periodTo);
+        }
+
+        return $this->getChangeListPage($tree, $query, $page, $perPage);
+    }
+
+    /**
+     * Get a page of the change log rows in a heatmap cell (drill-down)
+     *
+     * The cell is selected by the raw dimension values of getHeatmapData (xVal/yVal), null for "N/A";
+     * a cell of a small multiple also by the raw facet value. Cells are selected in SQL; only fact cells read the
+     * GEDCOM of the changes that have the fact, in chunks, to keep the changes that touched it.
+     *
+     * @param Tree $tree
+     * @param string $xDimension
+     * @param string $yDimension
+     * @param string $measure Heatmap measure (the reject rate lists pending and rejected changes too)
+     * @param string|int|null $xValue Raw value of the X dimension
+     * @param string|int|null $yValue Raw value of the Y dimension
+     * @param array<int> $userIds Filter by user IDs (empty = all users)
+     * @param array<string> $recordXrefs Filter by records (empty = all records)
+     * @param int $days Number of days to analyze (0 = all time)
+     * @param array<int> $years Array of years to include
+     * @param int $page Page number (1-based)
+     * @param int $perPage Rows per page
+     * @param string $facet Facet dimension of the heatmap ('' = none)
+     * @param string|int|null $facetValue Raw value of the facet dimension
+     *
+     * @return array{changes: array<int,array<string,mixed>>, total: int, page: int, perPage: int}
+     */
+    public function getHeatmapCellChanges(
+        Tree $tree,
+        string $xDimension,
+        string $yDimension,
+        string $measure,
+        $xValue,
+        $yValue,
+        array $userIds = [],
+        array $recordXrefs = [],
+        int $days = 0,
+        array $years = [],
+        int $page = 1,
+        int $perPage = 25,
+        string $facet = '',
+        $facetValue = null
+    ): array {
+        $facet = $this->getHeatmapFacet($xDimension, $yDimension, $facet);
+        $cellQuery = $this->getHeatmapQuery($tree, $userIds, $recordXrefs, $days, $years, $this->heatmapNeedsAllStatuses($xDimension, $yDimension, $measure, $facet));
+
+        $query = DB::table('change')
+            ->leftJoin('user', 'user.user_id', '=', 'change.user_id');
+
+        // Commit sizes are measured on the whole heatmap, not within the cell
+        $scopeQuery = clone $cellQuery;
+
+        $cellDimensions = [[$xDimension, $xValue], [$yDimension, $yValue]];
+        if ($facet !== '') {
+            $cellDimensions[] = [$facet, $facetValue];
+        }
+
+        // Facts touched by each change are read in PHP; SQL narrows the changes down to those that have the facts
+        $factValues = [];
+        foreach ($cellDimensions as [$dimension, $value]) {
+            if (in_array($dimension, ['fact', 'recordTypeFact'], true)) {
+                if ($value === null) {
+                    $cellQuery->whereRaw('0 = 1');
+                    continue;
+                }
+                $factValues[$dimension] = (string) $value;
+                $this->whereHeatmapFactValue($cellQuery, $dimension, (string) $value);
+            } elseif ($dimension === 'commitSize') {
+                $this->whereHeatmapCommitSize($cellQuery, $scopeQuery, (string) $value);
+            } else {
+                $column = $this->getDimensionColumn($dimension);
+                if ($value === null) {
+                    $cellQuery->whereRaw("$column IS NULL");
+                } else {
+                    $cellQuery->whereRaw("$column = ?", [$value]);
+                }
+            }
+        }
+
+        if ($factValues === []) {
+            // The dimension columns are not qualified, so the user join is added around the cell selection
+            $query->whereIn('change.change_id', $cellQuery->select('change_id'));
+
+            return $this->getChangeListPage($tree, $query, $page, $perPage);
+        }
+
+        // Changes of the cell, newest first (ID => change time); only the GEDCOM of one chunk is held at a time
+        $changeTimes = [];
+        $cellQuery
+            ->select(['change_id', 'change_time', 'xref', 'old_gedcom', 'new_gedcom'])
+            ->chunkById(500, function ($rows) use ($factValues, &$changeTimes): void {
+                foreach ($rows as $row) {
+                    $facts = $this->extractTouchedFacts($row->old_gedcom, $row->new_gedcom);
+                    $recordType = $this->getRecordType($row->xref, $row->new_gedcom !== '' ? $row->new_gedcom : $row->old_gedcom);
+
+                    if (isset($factValues['fact']) && !in_array($factValues['fact'], $facts, true)) {
+                        continue;
+                    }
+                    if (isset($factValues['recordTypeFact']) && !in_array($factValues['recordTypeFact'], array_map(fn(string $fact): string => $recordType . ' ' . $fact, $facts), true)) {
+                        continue;
+                    }
+
+                    $changeTimes[(int) $row->change_id] = $row->change_time;
+                }
+            }, 'change_id');
+
+        uksort($changeTimes, fn(int $a, int $b): int => [$changeTimes[$b], $b] <=> [$changeTimes[$a], $a]);
+        $pageIds = array_slice(array_keys($changeTimes), ($page - 1) * $perPage, $perPage);
+
+        return [
+            'changes' => $this->getChangeListRows($tree, $query->whereIn('change.change_id', $pageIds)),
+            'total' => count($changeTimes),
+            'page' => $page,
+            'perPage' => $perPage,
+        ];
+    }
+
+    /**
+     * Narrow a heatmap query down to changes that may be in a fact or record type × fact row or column
+     *
+     * The GEDCOM has to be read to tell whether the change touched the fact (see extractTouchedFacts).
+     *
+     * @param \Illuminate\Database\Query\Builder $query
+     * @param string $dimension 'fact' or 'recordTypeFact'
+     * @param string $value Fact tag, or record type label and fact tag separated by a space
+     *
+     * @return void
+     */
+    private function whereHeatmapFactValue($query, string $dimension, string $value): void
+    {
+        $fact = $this->getHeatmapBucketFact($dimension, $value);
+        $query->where(fn($q) => $this->whereGedcomHasFact($q, $fact));
+
+        if ($dimension === 'recordTypeFact') {
+            $gedcomTypes = $this->getGedcomTypesForLabel(substr($value, 0, strrpos($value, ' ')));
+            // "Other" (and records typed by their XREF only) are told apart in PHP
+            if ($gedcomTypes !== []) {
+                $query->where(function ($q) use ($gedcomTypes) {
+                    foreach ($gedcomTypes as $gedcomType) {
+                        $this->whereGedcomLike($q, '0 @%@ ' . $gedcomType . '%', true);
+                    }
+                });
+            }
+        }
+    }
+
+    /**
+     * Restrict a heatmap query to the changes of commits in a commit size bin
+     *
+     * @param \Illuminate\Database\Query\Builder $query
+     * @param \Illuminate\Database\Query\Builder $scopeQuery All changes of the heatmap, the commit sizes are counted on
+     * @param string $bin See getCommitSizeBin()
+     *
+     * @return void
+     */
+    private function whereHeatmapCommitSize($query, $scopeQuery, string $bin): void
+    {
+        [$min, $max] = match($bin) {
+            '6-10' => [6, 10],
+            '11-20' => [11, 20],
+            '21-50' => [21, 50],
+            '51+' => [51, PHP_INT_MAX],
+            default => [(int) $bin, (int) $bin],
+        };
+
+        // A commit is all changes of a user with the same change time (see getCommitSizeDistribution)
+        $commits = (clone $scopeQuery)
+            ->select(['user_id', 'change_time'])
+            ->groupBy('user_id', 'change_time')
+            ->havingRaw('COUNT(*) BETWEEN ? AND ?', [$min, $max]);
+
+        $query->whereRaw('(user_id, change_time) IN (' . $commits->toSql() . ')', $commits->getBindings());
+    }
+
+    /**
+     * Run a change list query (change table joined with users) for one page
+     *
+     * @param Tree $tree
+     * @param \Illuminate\Database\Query\Builder $query
+     * @param int $page
+     * @param int $perPage
+     *
+     * @return array{changes: array<int,array<string,mixed>>, total: int, page: int, perPage: int}
+     */
+    private function getChangeListPage(Tree $tree, $query, int $page, int $perPage): array
+    {
+        $total = (clone $query)->count();
+
+        return [
+            'changes' => $this->getChangeListRows($tree, $query->offset(($page - 1) * $perPage)->limit($perPage)),
+            'total' => $total,
+            'page' => $page,
+            'perPage' => $perPage,
+        ];
+    }
+
+    /**
+     * Rows of a change list query (change table joined with users), newest first
+     *
+     * @param Tree $tree
+     * @param \Illuminate\Database\Query\Builder $query
+     *
+     * @return array<int,array<string,mixed>>
+     */
+    private function getChangeListRows(Tree $tree, $query): array
+    {
+        $rows = $query
+            ->select([
+                'change.change_id',
+                'change.change_time',
+                'change.status',
+                'change.xref',
+                'change.old_gedcom',
+                'change.new_gedcom',
+                DB::raw("COALESCE(real_name, user_name, '<unknown>') as real_name")
+            ])
+            ->orderByDesc('change.change_time')
+            ->orderByDesc('change.change_id')
+            ->get();
+
+        $changes = [];
+        foreach ($rows as $row) {
+            $gedcom = $row->new_gedcom !== '' ? $row->new_gedcom : $row->old_gedcom;
+            $record = Registry::gedcomRecordFactory()->make($row->xref, $tree);
+
+            $changes[] = [
+                'id' => (int) $row->change_id,
+                'time' => $row->change_time,
+                'user' => mb_convert_encoding($row->real_name, 'UTF-8', 'UTF-8'),
+                'xref' => $row->xref,
+                // Records deleted since then have no page to link to
+                'recordName' => $record !== null ? strip_tags($record->fullName()) : $row->xref,
+                'recordUrl' => $record !== null ? $record->url() : null,
+                'recordType' => $this->getRecordType($row->xref, $gedcom),
+                'status' => $row->status,
+                'facts' => $this->extractTouchedFacts($row->old_gedcom, $row->new_gedcom),
+            ];
+        }
+
+        return $changes;
+    }
+
+    /**
+     * Get the GEDCOM diff of one change, grouped by record header and level 1 facts
+     *
+     * CHAN blocks are left out (see stripMetadataNoise). Each group is the record line or a level 1 fact
+     * with its sub-tags, marked as added, removed, edited or unchanged.
+     *
+     * @param Tree $tree
+     * @param int $changeId
+     *
+     * @return array{change: array<string,mixed>, facts: array<int,array{tag: string, status: string, lines: array<int,array{type: string, text: string}>}>}|null Null when the change does not exist in this tree
+     */
+    public function getChangeDiff(Tree $tree, int $changeId): ?array
+    {
+        $change = DB::table('change')
+            ->leftJoin('user', 'user.user_id', '=', 'change.user_id')
+            ->where('change.gedcom_id', '=', $tree->id())
+            ->where('change.change_id', '=', $changeId)
+            ->select([
+                'change.change_id',
+                'change.change_time',
+                'change.status',
+                'change.xref',
+                'change.old_gedcom',
+                'change.new_gedcom',
+                DB::raw("COALESCE(real_name, user_name, '<unknown>') as real_name")
+            ])
+            ->first();
+
+        if ($change === null) {
+            return null;
+        }
+
+        $old_clean = $this->stripMetadataNoise($change->old_gedcom);
+        $new_clean = $this->stripMetadataNoise($change->new_gedcom);
+
+        $old_lines = $old_clean === '' ? [] : explode("\n", $old_clean);
+        $new_lines = $new_clean === '' ? [] : explode("\n", $new_clean);
+
+        $myersDiff = new MyersDiff();
+        $differences = $myersDiff->calculate($old_lines, $new_lines);
+
+        $record = Registry::gedcomRecordFactory()->make($change->xref, $tree);
+
+        return [
+            'change' => [
+                'id' => (int) $change->change_id,
+                'time' => $change->change_time,
+                'user' => mb_convert_encoding($change->real_name, 'UTF-8', 'UTF-8'),
+                'xref' => $change->xref,
+                'recordName' => $record !== null ? strip_tags($record->fullName()) : $change->xref,
+                'recordUrl' => $record !== null ? $record->url() : null,
+                'status' => $change->status,
+            ],
+            'facts' => $this->groupDiffByFact($differences),
+        ];
+    }
+
+    /**
+     * Group line differences into blocks starting at level 0 and level 1 lines
+     *
+     * A level 1 line that was replaced (deleted and inserted with the same tag) stays one "edited" block.
+     *
+     * @param array<int,array{0: string, 1: int}> $differences Result of MyersDiff::calculate()
+     *
+     * @return array<int,array{tag: string, status: string, lines: array<int,array{type: string, text: string}>}>
+     */
+    private function groupDiffByFact(array $differences): array
+    {
+        $types = [MyersDiff::KEEP => 'keep', MyersDiff::INSERT => 'insert', MyersDiff::DELETE => 'delete'];
+        $groups = [];
+
+        foreach ($differences as [$line, $action]) {
+            if (preg_match('/^[01] (?:@[^@]+@ )?(\S+)/', $line, $matches)) {
+                $tag = $matches[1];
+                $last = end($groups);
+
+                // Replaced fact line: continue the block that only holds its deleted version
+                $isReplacement = $action === MyersDiff::INSERT
+                    && $last !== false
+                    && $last['tag'] === $tag
+                    && array_unique(array_column($last['lines'], 'type')) === ['delete'];
+
+                if (!$isReplacement) {
+                    $groups[] = ['tag' => $tag, 'status' => 'unchanged', 'lines' => []];
+                }
+            } elseif ($groups === []) {
+                $groups[] = ['tag' => '', 'status' => 'unchanged', 'lines' => []];
+            }
+
+            $groups[count($groups) - 1]['lines'][] = ['type' => $types[$action], 'text' => $line];
+        }
+
+        foreach ($groups as &$group) {
+            $lineTypes = array_values(array_unique(array_column($group['lines'], 'type')));
+
+            if ($lineTypes === ['insert']) {
+                $group['status'] = 'added';
+            } elseif ($lineTypes === ['delete']) {
+                $group['status'] = 'removed';
+            } elseif ($lineTypes !== ['keep']) {
+                $group['status'] = 'edited';
+            }
+        }
+        unset($group);
+
+        return $groups;
+    }
+
+    /**
+     * Get the complete change history of one record (all statuses, newest first)
+     *
+     * Not limited by the dashboard date filters - the point is to see every change made to the record.
+     *
+     * @param Tree $tree
+     * @param string $xref Record identifier
+     * @param array<int> $userIds Filter by users (empty = all)
+     *
+     * @return array{record: array<string,mixed>, changes: array<int,array<string,mixed>>}
+     */
+    public function getRecordHistory(Tree $tree, string $xref, array $userIds = []): array
+    {
+        $query = DB::table('change')
+            ->leftJoin('user', 'user.user_id', '=', 'change.user_id')
+            ->where('change.gedcom_id', '=', $tree->id())
+            ->where('change.xref', '=', $xref);
+
+        if (!empty($userIds)) {
+            $query->whereIn('change.user_id', $userIds);
+        }
+
+        $rows = $query
+            ->select([
+                'change.change_id',
+                'change.change_time',
+                'change.status',
+                'change.old_gedcom',
+                'change.new_gedcom',
+                DB::raw("COALESCE(real_name, user_name, '<unknown>') as real_name")
+            ])
+            ->orderByDesc('change.change_time')
+            ->orderByDesc('change.change_id')
+            ->get();
+
+        $changes = [];
+        $recordType = null;
+        foreach ($rows as $row) {
+            $added = $this->extractAddedFacts($row->old_gedcom, $row->new_gedcom);
+            $deleted = $this->extractDeletedFacts($row->old_gedcom, $row->new_gedcom);
+
+            // Touched facts whose number of occurrences did not change were edited in place
+            $edited = array_values(array_diff(
+                $this->extractTouchedFacts($row->old_gedcom, $row->new_gedcom),
+                $added,
+                $deleted
+            ));
+
+            $recordType ??= $this->getRecordType($xref, $row->new_gedcom !== '' ? $row->new_gedcom : $row->old_gedcom);
+
+            $changes[] = [
+                'id' => (int) $row->change_id,
+                'time' => $row->change_time,
+                'user' => mb_convert_encoding($row->real_name, 'UTF-8', 'UTF-8'),
+                'status' => $row->status,
+                'added' => $added,
+                'edited' => $edited,
+                'deleted' => $deleted,
+                'factsBefore' => $this->calculateFactCount($row->old_gedcom),
+                'factsAfter' => $this->calculateFactCount($row->new_gedcom),
+            ];
+        }
+
+        $record = Registry::gedcomRecordFactory()->make($xref, $tree);
+
+        return [
+            'record' => [
+                'xref' => $xref,
+                // Deleted records have no page to link to
+                'name' => $record !== null ? strip_tags($record->fullName()) : $xref,
+                'url' => $record !== null ? $record->url() : null,
+                'type' => $recordType ?? 'Other',
+            ],
+            'changes' => $changes,
+        ];
+    }
+
+    /**
+     * Get heatmap data for custom pivot-like visualization
+     *
+     * @param Tree|null $tree
+     * @param string $xDimension Dimension for X axis
+     * @param string $yDimension Dimension for Y axis
+     * @param string $measure What to measure
+     * @param array<int> $userIds Filter by users
+     * @param array<string> $recordXrefs Filter by specific records
+     * @param int $days Filter by last N days (0 = no filter)
+     * @param array<int> $years Filter by specific years
+     * @param string $facet Dimension splitting the heatmap into small multiples (see FACET_DIMENSIONS, '' = none)
+     *
+     * @return array{data: array, xLabels: array, yLabels: array, xTotals: array<int|float>, yTotals: array<int|float>, total: int|float, facets?: array}
+     *         xTotals/yTotals are aligned with xLabels/yLabels. Totals are measured on their own, so distinct
+     *         measures (unique records, users, days) are not the sum of their cells. A change touching several
+     *         facts is counted in each of their rows or columns, but once in the other totals.
+     *         With a facet, "facets" has the cells of each facet value (see buildHeatmapFacets) on the same labels.
+     */
+    public function getHeatmapData(
+        ?Tree $tree,
+        string $xDimension,
+        string $yDimension,
+        string $measure,
+        array $userIds = [],
+        array $recordXrefs = [],
+        int $days = 0,
+        array $years = [],
+        string $facet = ''
+    ): array {
+        $facet = $this->getHeatmapFacet($xDimension, $yDimension, $facet);
+        $query = $this->getHeatmapQuery($tree, $userIds, $recordXrefs, $days, $years, $this->heatmapNeedsAllStatuses($xDimension, $yDimension, $measure, $facet));
+
+        if (array_intersect([$xDimension, $yDimension], self::CHANGE_DIMENSIONS) !== [] || in_array($measure, self::FACT_MEASURES, true)) {
+            return $this->getHeatmapDataFromChanges($query, $xDimension, $yDimension, $measure, $facet);
+        }
+
+        // Get dimension columns
+        $xCol = $this->getDimensionColumn($xDimension);
+        $yCol = $this->getDimensionColumn($yDimension);
+
+        // Get measure column
+        $measureCol = match($measure) {
+            'uniqueRecords' => 'COUNT(DISTINCT xref)',
+            'uniqueUsers' => 'COUNT(DISTINCT user_id)',
+            'uniqueDays' => 'COUNT(DISTINCT DATE(change_time))',
+            // A commit is all changes of a user with the same change time (see getCommitSizeDistribution)
+            'avgCommitSize' => 'COUNT(*) / COUNT(DISTINCT user_id, change_time)',
+            'sizeDelta' => 'SUM(LENGTH(new_gedcom) - LENGTH(old_gedcom))',
+            'avgSizeDelta' => 'AVG(LENGTH(new_gedcom) - LENGTH(old_gedcom))',
+            // Percentage of the reviewed (accepted or rejected) changes
+            'rejectRate' => "100 * SUM(status = 'rejected') / NULLIF(SUM(status IN ('accepted', 'rejected')), 0)",
+            default => 'COUNT(*)', // 'changes'
+        };
+
+        // For record type, we need to join and parse
+        if ($xDimension === 'recordType' || $yDimension === 'recordType') {
+            $query->addSelect('new_gedcom', 'xref');
+        }
+
+        // Totals of averages and rates also get their numerator and denominator, see combineHeatmapValues()
+        $ratioColumns = $this->getHeatmapRatioColumns($measure);
+
+        $xTotalRows = (clone $query)
+            ->select([DB::raw("$xCol as x_val"), DB::raw("$measureCol as value"), ...$ratioColumns])
+            ->groupBy('x_val')
+            ->get();
+
+        $yTotalRows = (clone $query)
+            ->select([DB::raw("$yCol as y_val"), DB::raw("$measureCol as value"), ...$ratioColumns])
+            ->groupBy('y_val')
+            ->get();
+
+        $totalRow = (clone $query)
+            ->select([DB::raw("$measureCol as value")])
+            ->first();
+
+        if ($facet !== '') {
+            $fCol = $this->getDimensionColumn($facet);
+
+            $facetRows = (clone $query)
+                ->select([
+                    DB::raw("$xCol as x_val"),
+                    DB::raw("$yCol as y_val"),
+                    DB::raw("$fCol as f_val"),
+                    DB::raw("$measureCol as value")
+                ])
+                ->groupBy('x_val', 'y_val', 'f_val')
+                ->get();
+
+            $facetTotalRows = (clone $query)
+                ->select([DB::raw("$fCol as f_val"), DB::raw("$measureCol as value"), ...$ratioColumns])
+                ->groupBy('f_val')
+                ->get();
+        }
+
+        $results = $query
+            ->select([
+                DB::raw("$xCol as x_val"),
+                DB::raw("$yCol as y_val"),
+                DB::raw("$measureCol as value")
+            ])
+            ->groupBy('x_val', 'y_val')
+            ->get();
+
+        $heatmap = $this->buildHeatmapMatrix($xDimension, $yDimension, $results, $xTotalRows, $yTotalRows, $totalRow->value ?? null);
+
+        if ($facet !== '') {
+            $heatmap['facets'] = $this->buildHeatmapFacets($xDimension, $yDimension, $facet, $facetRows, $facetTotalRows);
+        }
+
+        return $heatmap;
+    }
+
+    /**
+     * Heatmap data with fact or commit size dimensions or fact measures, measured per change in PHP
+     *
+     * @param \Illuminate\Database\Query\Builder $query See getHeatmapQuery()
+     * @param string $xDimension
+     * @param string $yDimension
+     * @param string $measure
+     * @param string $facet See getHeatmapFacet()
+     *
+     * @return array{data: array, xLabels: array, yLabels: array, xTotals: array<int|float>, yTotals: array<int|float>, total: int|float, facets?: array}
+     */
+    private function getHeatmapDataFromChanges($query, string $xDimension, string $yDimension, string $measure, string $facet = ''): array
+    {
+        // Changes (by ID) of each cell, column, row, and cell and total of each facet value
+        $changes = [];
+        $cells = [];
+        $xChanges = [];
+        $yChanges = [];
+        $facetCells = [];
+        $facetChanges = [];
+
+        foreach ($this->getHeatmapChangeValues($query, $xDimension, $yDimension, $measure, $facet) as $change) {
+            if ($change['x'] === [] || $change['y'] === []) {
+                continue;
+            }
+
+            $id = $change['row']->change_id;
+            $changes[$id] = $change['row'];
+
+            foreach ($change['x'] as $x) {
+                foreach ($change['y'] as $y) {
+                    $cells[$x . "\0" . $y][] = $id;
+                    if ($change['f'] !== null) {
+                        $facetCells[$change['f'] . "\0" . $x . "\0" . $y][] = $id;
+                    }
+                }
+                $xChanges[$x][] = $id;
+            }
+            foreach ($change['y'] as $y) {
+                $yChanges[$y][] = $id;
+            }
+            if ($change['f'] !== null) {
+                $facetChanges[$change['f']][] = $id;
+            }
+        }
+
+        $rows = fn(array $ids): array => array_map(fn($id) => $changes[$id], $ids);
+
+        $results = new Collection();
+        foreach ($cells as $cell => $ids) {
+            [$x, $y] = explode("\0", (string) $cell, 2);
+            // Fact measures of a fact row or column only count that fact
+            $fact = $this->getHeatmapBucketFact($xDimension, $x) ?? $this->getHeatmapBucketFact($yDimension, $y);
+            $results->push((object) ['x_val' => $x, 'y_val' => $y, 'value' => $this->measureHeatmapChanges($rows($ids), $measure, $fact)]);
+        }
+
+        $xTotalRows = $this->measureHeatmapLabels($xDimension, 'x_val', $xChanges, $rows, $measure);
+        $yTotalRows = $this->measureHeatmapLabels($yDimension, 'y_val', $yChanges, $rows, $measure);
+
+        $heatmap = $this->buildHeatmapMatrix(
+            $xDimension,
+            $yDimension,
+            $results,
+            $xTotalRows,
+            $yTotalRows,
+            $this->measureHeatmapChanges(array_values($changes), $measure, null)
+        );
+
+        if ($facet !== '') {
+            $facetRows = new Collection();
+            foreach ($facetCells as $cell => $ids) {
+                [$f, $x, $y] = explode("\0", (string) $cell, 3);
+                $fact = $this->getHeatmapBucketFact($xDimension, $x) ?? $this->getHeatmapBucketFact($yDimension, $y);
+                $facetRows->push((object) ['x_val' => $x, 'y_val' => $y, 'f_val' => $f, 'value' => $this->measureHeatmapChanges($rows($ids), $measure, $fact)]);
+            }
+
+            $facetTotalRows = $this->measureHeatmapLabels($facet, 'f_val', $facetChanges, $rows, $measure);
+
+            $heatmap['facets'] = $this->buildHeatmapFacets($xDimension, $yDimension, $facet, $facetRows, $facetTotalRows);
+        }
+
+        return $heatmap;
+    }
+
+    /**
+     * Measure the changes of each row, column or facet of a heatmap
+     *
+     * Values sharing a label (e.g. unknown record types shown as "Other") are measured together,
+     * so averages and rates of a merged label come from all of its changes.
+     *
+     * @param string $dimension
+     * @param string $column Column of the value in the returned rows (x_val, y_val or f_val)
+     * @param array<int|string,array<int>> $changeIds Raw dimension value => IDs of its changes
+     * @param callable(array<int>): array<int,object> $rows Rows of change IDs
+     * @param string $measure
+     *
+     * @return Collection<int,object> One row per label with the first raw value and the measured value
+     */
+    private function measureHeatmapLabels(string $dimension, string $column, array $changeIds, callable $rows, string $measure): Collection
+    {
+        $labels = [];
+        foreach ($changeIds as $value => $ids) {
+            $label = $this->formatDimensionValue($dimension, (string) $value);
+            $labels[$label]['value'] ??= (string) $value;
+            $labels[$label]['ids'] = array_merge($labels[$label]['ids'] ?? [], $ids);
+        }
+
+        $totals = new Collection();
+        foreach ($labels as ['value' => $value, 'ids' => $ids]) {
+            $fact = $this->getHeatmapBucketFact($dimension, $value);
+            $totals->push((object) [$column => $value, 'value' => $this->measureHeatmapChanges($rows(array_values(array_unique($ids))), $measure, $fact)]);
+        }
+
+        return $totals;
+    }
+
+    /**
+     * Measure a group of changes the same way as the SQL measures of getHeatmapData()
+     *
+     * @param array<int,object> $rows Rows of getHeatmapChangeValues()
+     * @param string $measure
+     * @param string|null $fact Only count this fact tag in fact measures (null = all facts)
+     *
+     * @return int|float
+     */
+    private function measureHeatmapChanges(array $rows, string $measure, ?string $fact)
+    {
+        $countFacts = fn(array $tags): int => $fact === null ? array_sum($tags) : ($tags[$fact] ?? 0);
+
+        switch ($measure) {
+            case 'uniqueRecords':
+                return count(array_unique(array_column($rows, 'xref')));
+            case 'uniqueUsers':
+                // Like COUNT(DISTINCT ...), changes without a user are not counted as a user
+                return count(array_unique(array_filter(array_column($rows, 'user_id'), fn($id) => $id !== null)));
+            case 'uniqueDays':
+                return count(array_unique(array_map(fn($row) => substr($row->change_time, 0, 10), $rows)));
+            case 'avgCommitSize':
+                $commits = array_unique(array_map(fn($row) => $row->user_id . '|' . $row->change_time, $rows));
+                return $commits === [] ? 0 : count($rows) / count($commits);
+            case 'sizeDelta':
+                return array_sum(array_column($rows, 'size_delta'));
+            case 'avgSizeDelta':
+                return $rows === [] ? 0 : array_sum(array_column($rows, 'size_delta')) / count($rows);
+            case 'factsAdded':
+                return array_sum(array_map(fn($row) => $countFacts($row->facts_added), $rows));
+            case 'factsDeleted':
+                return array_sum(array_map(fn($row) => $countFacts($row->facts_deleted), $rows));
+            case 'netFactGain':
+                return array_sum(array_map(fn($row) => $countFacts($row->facts_added) - $countFacts($row->facts_deleted), $rows));
+            case 'rejectRate':
+                $statuses = array_count_values(array_column($rows, 'status'));
+                $reviewed = ($statuses['accepted'] ?? 0) + ($statuses['rejected'] ?? 0);
+                return $reviewed === 0 ? 0 : 100 * ($statuses['rejected'] ?? 0) / $reviewed;
+            default: // 'changes'
+                return count($rows);
+        }
+    }
+
+    /**
+     * Fact tag of a heatmap row or column value of a fact dimension (null for other dimensions)
+     */
+    private function getHeatmapBucketFact(string $dimension, string $value): ?string
+    {
+        return match($dimension) {
+            'fact' => $value,
+            'recordTypeFact' => substr($value, strrpos($value, ' ') + 1),
+            default => null,
+        };
+    }
+
+    /**
+     * Pending and rejected changes are part of the heatmap for the change status dimension and the reject rate
+     */
+    private function heatmapNeedsAllStatuses(string $xDimension, string $yDimension, string $measure, string $facet = ''): bool
+    {
+        return in_array('status', [$xDimension, $yDimension, $facet], true) || $measure === 'rejectRate';
+    }
+
+    /**
+     * Facet dimension of a heatmap: one of FACET_DIMENSIONS that is not an axis, '' for none
      */
-    public function getChangeStatusStats(?Tree $tree = null, ?int $days = null, array $years = [], array $userIds = []): array
+    private function getHeatmapFacet(string $xDimension, string $yDimension, string $facet): string
     {
-        $query = DB::table('change')
-            ->select(['status', DB::raw('COUNT(*) as count')])
-            ->groupBy('status');
-
-        if ($tree !== null) {
-            $query->where('gedcom_id', '=', $tree->id());
+        if (!in_array($facet, self::FACET_DIMENSIONS, true) || in_array($facet, [$xDimension, $yDimension], true)) {
+            return '';
         }
 
-        // Apply date filter (Last X days OR Selected years)
-        $query = $this->applyDateFilter($query, $days, $years, 'change_time');
+        return $facet;
+    }
 
-        if (!empty($userIds)) {
-            $query->whereIn('user_id', $userIds);
+    /**
+     * Small multiples of a heatmap: the cells of each facet value, in the order of the facet dimension
+     *
+     * The cells use the labels of the whole heatmap, so all facets share their axes. Facet values with
+     * the same label (e.g. unknown record types shown as "Other") are one facet.
+     *
+     * @param string $xDimension
+     * @param string $yDimension
+     * @param string $facet
+     * @param Collection<int,object> $rows Rows with x_val, y_val, f_val and value
+     * @param Collection<int,object> $totalRows Rows with f_val and value
+     *
+     * @return array<int,array{label: string, value: string|int|null, data: array, total: int|float}>
+     *         value is the raw facet value selecting the facet in getHeatmapCellChanges
+     */
+    private function buildHeatmapFacets(string $xDimension, string $yDimension, string $facet, Collection $rows, Collection $totalRows): array
+    {
+        $facets = [];
+        foreach ($rows->groupBy(fn($row) => $this->formatDimensionValue($facet, $row->f_val)) as $label => $facetRows) {
+            $total = $totalRows->filter(fn($row) => $this->formatDimensionValue($facet, $row->f_val) === (string) $label);
+
+            $facets[$label] = [
+                'label' => (string) $label,
+                'value' => $facetRows->first()->f_val,
+                'data' => $this->buildHeatmapMatrix($xDimension, $yDimension, $facetRows, new Collection(), new Collection(), null)['data'],
+                'total' => $this->combineHeatmapValues($total),
+            ];
         }
 
-        $results = $query->get();
-
-        $stats = [
-            'accepted' => 0,
-            'rejected' => 0,
-            'pending' => 0,
-        ];
-
-        foreach ($results as $row) {
-            if (isset($stats[$row->status])) {
-                $stats[$row->status] = (int) $row->count;
-            }
-        }
+        $labels = $this->sortDimensionLabels($facet, array_map('strval', array_keys($facets)));
 
-        return $stats;
+        return array_map(fn(string $label): array => $facets[$label], $labels);
     }
 
     /**
-     * Get heatmap data for custom pivot-like visualization
+     * Values of both heatmap dimensions for each change of a heatmap query
      *
-     * @param Tree|null $tree
-     * @param string $xDimension Dimension for X axis
-     * @param string $yDimension Dimension for Y axis
-     * @param string $measure What to measure
-     * @param array<int> $userIds Filter by users
-     * @param array<string> $recordXrefs Filter by specific records
-     * @param int $days Filter by last N days (0 = no filter)
-     * @param array<int> $years Filter by specific years
+     * Fact dimensions have a value per fact touched by the change (none when only metadata changed), "<record type
+     * label> <TAG>" for record type × fact. The other dimensions have a single raw value like the SQL columns of
+     * getDimensionColumn(). Null values ("N/A") are left out.
+     * The rows get the values needed by measureHeatmapChanges(): size_delta, and facts_added/facts_deleted
+     * (tag => count) for fact measures. Their GEDCOM is not kept.
      *
-     * @return array{data: array, xLabels: array, yLabels: array}
+     * @param \Illuminate\Database\Query\Builder $query See getHeatmapQuery()
+     * @param string $xDimension
+     * @param string $yDimension
+     * @param string $measure
+     * @param string $facet Also read the raw value of this facet dimension ('' = none)
+     *
+     * @return array<int,array{row: object, x: array<string>, y: array<string>, f: string|null}>
      */
-    public function getHeatmapData(
-        ?Tree $tree,
-        string $xDimension,
-        string $yDimension,
-        string $measure,
-        array $userIds = [],
-        array $recordXrefs = [],
-        int $days = 0,
-        array $years = []
-    ): array {
-        $query = DB::table('change')
-            ->where('status', '=', 'accepted');
-
-        // Apply date filter
-        $query = $this->applyDateFilter($query, $days, $years, 'change_time');
+    private function getHeatmapChangeValues($query, string $xDimension, string $yDimension, string $measure = 'changes', string $facet = ''): array
+    {
+        $dimensions = [$xDimension, $yDimension];
+        $factMeasure = in_array($measure, self::FACT_MEASURES, true);
+        $columns = ['change_id', 'xref', 'user_id', 'change_time', 'status'];
 
-        if ($tree !== null) {
-            $query->where('gedcom_id', '=', $tree->id());
+        if (array_intersect($dimensions, ['fact', 'recordTypeFact']) !== [] || $factMeasure) {
+            $columns[] = 'old_gedcom';
+            $columns[] = 'new_gedcom';
         }
-
-        if (!empty($userIds)) {
-            $query->whereIn('user_id', $userIds);
+        if (in_array($measure, ['sizeDelta', 'avgSizeDelta'], true)) {
+            $columns[] = DB::raw('LENGTH(new_gedcom) - LENGTH(old_gedcom) as size_delta');
+        }
+        foreach (['x' => $xDimension, 'y' => $yDimension] as $axis => $dimension) {
+            if (!in_array($dimension, self::CHANGE_DIMENSIONS, true)) {
+                $columns[] = DB::raw($this->getDimensionColumn($dimension) . " as {$axis}_val");
+            }
+        }
+        if ($facet !== '') {
+            $columns[] = DB::raw($this->getDimensionColumn($facet) . ' as f_val');
         }
 
-        if (!empty($recordXrefs)) {
-            $query->whereIn('xref', $recordXrefs);
+        // A commit is all changes of a user with the same change time (see getCommitSizeDistribution)
+        $commitSizes = [];
+        if (in_array('commitSize', $dimensions, true)) {
+            $commits = (clone $query)
+                ->select(['user_id', 'change_time', DB::raw('COUNT(*) AS size')])
+                ->groupBy('user_id', 'change_time')
+                ->get();
+            foreach ($commits as $commit) {
+                $commitSizes[$commit->user_id . '|' . $commit->change_time] = (int) $commit->size;
+            }
         }
 
-        // Get dimension columns
-        $xCol = $this->getDimensionColumn($xDimension);
-        $yCol = $this->getDimensionColumn($yDimension);
+        // The GEDCOM is read in chunks and dropped once its facts are extracted, so only one chunk is held at a time
+        $changes = [];
+        (clone $query)
+            ->select($columns)
+            ->chunkById(500, function ($rows) use ($xDimension, $yDimension, $factMeasure, $facet, $commitSizes, &$changes): void {
+                foreach ($rows as $row) {
+                    $facts = isset($row->old_gedcom) ? $this->extractTouchedFacts($row->old_gedcom, $row->new_gedcom) : [];
+                    if ($factMeasure) {
+                        $row->facts_added = array_count_values($this->extractAddedFacts($row->old_gedcom, $row->new_gedcom));
+                        $row->facts_deleted = array_count_values($this->extractDeletedFacts($row->old_gedcom, $row->new_gedcom));
+                    }
+                    // Deleted records only have their old GEDCOM
+                    $recordType = isset($row->old_gedcom)
+                        ? $this->getRecordType($row->xref, $row->new_gedcom !== '' ? $row->new_gedcom : $row->old_gedcom)
+                        : '';
+                    unset($row->old_gedcom, $row->new_gedcom);
+                    $values = [];
+
+                    foreach (['x' => $xDimension, 'y' => $yDimension] as $axis => $dimension) {
+                        $values[$axis] = match($dimension) {
+                            'fact' => $facts,
+                            'recordTypeFact' => array_map(fn(string $fact): string => $recordType . ' ' . $fact, $facts),
+                            'commitSize' => [$this->getCommitSizeBin($commitSizes[$row->user_id . '|' . $row->change_time])],
+                            default => $row->{$axis . '_val'} === null ? [] : [(string) $row->{$axis . '_val'}],
+                        };
+                    }
 
-        // Get measure column
-        $measureCol = match($measure) {
-            'uniqueRecords' => 'COUNT(DISTINCT xref)',
-            'uniqueUsers' => 'COUNT(DISTINCT user_id)',
-            'uniqueDays' => 'COUNT(DISTINCT DATE(change_time))',
-            default => 'COUNT(*)', // 'changes'
-        };
+                    $changes[] = [
+                        'row' => $row,
+                        'x' => $values['x'],
+                        'y' => $values['y'],
+                        'f' => $facet !== '' && $row->f_val !== null ? (string) $row->f_val : null,
+                    ];
+                }
+            }, 'change_id');
 
-        // For record type, we need to join and parse
-        if ($xDimension === 'recordType' || $yDimension === 'recordType') {
-            $query->addSelect('new_gedcom', 'xref');
+        return $changes;
+    }
+
+    /**
+     * Get the commit size histogram bin of a number of changes
+     */
+    private function getCommitSizeBin(int $size): string
+    {
+        if ($size <= 5) {
+            return (string) $size;
+        }
+        if ($size <= 10) {
+            return '6-10';
+        }
+        if ($size <= 20) {
+            return '11-20';
+        }
+        if ($size <= 50) {
+            return '21-50';
         }
 
-        $results = $query
-            ->select([
-                DB::raw("$xCol as x_val"),
-                DB::raw("$yCol as y_val"),
-                DB::raw("$measureCol as value")
-            ])
-            ->groupBy('x_val', 'y_val')
-            ->get();
+        return '51+';
+    }
 
+    /**
+     * Heatmap response from the measured cells and totals
+     *
+     * @param string $xDimension
+     * @param string $yDimension
+     * @param Collection<int,object> $results Rows with x_val, y_val and value
+     * @param Collection<int,object> $xTotalRows Rows with x_val and value
+     * @param Collection<int,object> $yTotalRows Rows with y_val and value
+     * @param int|float|string|null $total
+     *
+     * @return array{data: array, xLabels: array, yLabels: array, xTotals: array<int|float>, yTotals: array<int|float>, total: int|float}
+     */
+    private function buildHeatmapMatrix(
+        string $xDimension,
+        string $yDimension,
+        Collection $results,
+        Collection $xTotalRows,
+        Collection $yTotalRows,
+        $total
+    ): array {
         // Build matrix data
         $matrix = [];
         $xLabels = [];
@@ -997,7 +2319,13 @@ class LensStatsService
             $matrix[] = [
                 'x' => $x,
                 'y' => $y,
-                'v' => (int) $row->value
+                'v' => $this->toHeatmapValue($row->value),
+                // Filter values for cross-filtering (user ID, record type label)
+                'xKey' => $this->getDimensionFilterValue($xDimension, $row->x_val),
+                'yKey' => $this->getDimensionFilterValue($yDimension, $row->y_val),
+                // Raw values selecting the cell in getHeatmapCellChanges
+                'xVal' => $row->x_val,
+                'yVal' => $row->y_val,
             ];
         }
 
@@ -1009,9 +2337,116 @@ class LensStatsService
             'data' => $matrix,
             'xLabels' => $xLabels,
             'yLabels' => $yLabels,
+            'xTotals' => $this->getHeatmapTotals($xDimension, $xTotalRows, 'x_val', $xLabels),
+            'yTotals' => $this->getHeatmapTotals($yDimension, $yTotalRows, 'y_val', $yLabels),
+            'total' => $this->toHeatmapValue($total),
         ];
     }
 
+    /**
+     * Accepted changes of the tree under the heatmap filters
+     *
+     * @param Tree|null $tree
+     * @param array<int> $userIds
+     * @param array<string> $recordXrefs
+     * @param int $days
+     * @param array<int> $years
+     * @param bool $allStatuses Include pending and rejected changes (change status dimension)
+     *
+     * @return \Illuminate\Database\Query\Builder
+     */
+    private function getHeatmapQuery(?Tree $tree, array $userIds, array $recordXrefs, int $days, array $years, bool $allStatuses = false)
+    {
+        $query = DB::table('change');
+
+        if (!$allStatuses) {
+            $query->where('status', '=', 'accepted');
+        }
+
+        // Apply date filter
+        $query = $this->applyDateFilter($query, $days, $years, 'change_time');
+        $query = $this->applyRecordFilter($query);
+
+        if ($tree !== null) {
+            $query->where('gedcom_id', '=', $tree->id());
+        }
+
+        if (!empty($userIds)) {
+            $query->whereIn('user_id', $userIds);
+        }
+
+        if (!empty($recordXrefs)) {
+            $query->whereIn('xref', $recordXrefs);
+        }
+
+        return $query;
+    }
+
+    /**
+     * Marginal totals of a heatmap axis in the order of its labels
+     *
+     * @param Collection<int,object> $rows Rows with the dimension value and the measured value
+     *
+     * @return array<int|float>
+     */
+    private function getHeatmapTotals(string $dimension, Collection $rows, string $column, array $labels): array
+    {
+        // Record types sharing a label (e.g. unknown tags shown as "Other") are combined
+        $rowsByLabel = $rows->groupBy(fn($row) => $this->formatDimensionValue($dimension, $row->$column));
+
+        return array_map(fn(string $label) => $this->combineHeatmapValues($rowsByLabel->get($label, new Collection())), $labels);
+    }
+
+    /**
+     * Combine measured rows that share a label: counts and sums are added up, averages and rates
+     * (rows with the num and den columns of getHeatmapRatioColumns) are divided again from their parts
+     *
+     * @param Collection<int,object> $rows
+     *
+     * @return int|float
+     */
+    private function combineHeatmapValues(Collection $rows)
+    {
+        if ($rows->count() > 1 && property_exists($rows->first(), 'num')) {
+            $den = $rows->sum(fn($row) => (float) $row->den);
+
+            return $this->toHeatmapValue($den > 0 ? $rows->sum(fn($row) => (float) $row->num) / $den : null);
+        }
+
+        return $this->toHeatmapValue($rows->sum(fn($row) => $this->toHeatmapValue($row->value)));
+    }
+
+    /**
+     * SQL numerator and denominator of the average and rate measures (none for other measures)
+     *
+     * @return array<\Illuminate\Database\Query\Expression>
+     */
+    private function getHeatmapRatioColumns(string $measure): array
+    {
+        [$num, $den] = match($measure) {
+            'avgCommitSize' => ['COUNT(*)', 'COUNT(DISTINCT user_id, change_time)'],
+            'avgSizeDelta' => ['SUM(LENGTH(new_gedcom) - LENGTH(old_gedcom))', 'COUNT(*)'],
+            'rejectRate' => ["100 * SUM(status = 'rejected')", "SUM(status IN ('accepted', 'rejected'))"],
+            default => [null, null],
+        };
+
+        return $num === null ? [] : [DB::raw("$num as num"), DB::raw("$den as den")];
+    }
+
+    /**
+     * Measured heatmap value as a number: whole numbers as int, averages and rates rounded to 2 decimals
+     *
+     * @param int|float|string|null $value Numeric string from SQL (null for no reviewed changes) or a number from PHP
+     *
+     * @return int|float
+     */
+    private function toHeatmapValue($value)
+    {
+        $number = round((float) $value, 2);
+
+        return floor($number) === $number ? (int) $number : $number;
+    }
+
     /**
      * Get SQL column expression for a dimension
      */
@@ -1023,6 +2458,10 @@ class LensStatsService
             'dayOfMonth' => 'DAY(change_time)',
             'month' => 'MONTH(change_time)',
             'year' => 'YEAR(change_time)',
+            'quarter' => 'QUARTER(change_time)',
+            // ISO 8601 week (Monday first, week 1 has the first Thursday)
+            'isoWeek' => 'WEEK(change_time, 3)',
+            'status' => 'status',
             'user' => 'user_id',
             'recordType' => "SUBSTRING_INDEX(SUBSTRING_INDEX(SUBSTRING_INDEX(new_gedcom, '\\n', 1), ' ', 3), ' ', -1)",
             default => 'NULL',
@@ -1044,10 +2483,32 @@ class LensStatsService
             'month' => $this->getMonthName((int) $value),
             'user' => $this->getUserName((int) $value),
             'recordType' => I18N::translate($this->mapGedcomTypeToLabel((string) $value)),
+            // "Media object OBJE" => "Media object · OBJE" (fact tags have no spaces)
+            'recordTypeFact' => I18N::translate(substr((string) $value, 0, strrpos((string) $value, ' '))) . ' · ' . substr((string) $value, strrpos((string) $value, ' ') + 1),
+            'quarter' => 'Q' . $value,
+            'isoWeek' => str_pad((string) $value, 2, '0', STR_PAD_LEFT),
+            'status' => I18N::translate(ucfirst((string) $value)),
             default => (string) $value,
         };
     }
 
+    /**
+     * Get the dashboard filter value of a dimension value (null = dimension cannot be used as a filter)
+     */
+    private function getDimensionFilterValue(string $dimension, $value): ?string
+    {
+        if ($value === null) {
+            return null;
+        }
+
+        return match($dimension) {
+            'user' => (string) (int) $value,
+            'recordType' => $this->mapGedcomTypeToLabel((string) $value),
+            'fact' => (string) $value,
+            default => null,
+        };
+    }
+
     /**
      * Sort dimension labels appropriately
      */
@@ -1057,8 +2518,21 @@ class LensStatsService
             case 'hour':
             case 'dayOfMonth':
             case 'year':
+            case 'quarter':
+            case 'isoWeek':
                 sort($labels, SORT_NATURAL);
                 break;
+            case 'status':
+                $order = [
+                    I18N::translate('Accepted'),
+                    I18N::translate('Pending'),
+                    I18N::translate('Rejected'),
+                ];
+                usort($labels, fn($a, $b) => array_search($a, $order) <=> array_search($b, $order));
+                break;
+            case 'commitSize':
+                usort($labels, fn($a, $b) => array_search($a, self::COMMIT_SIZE_BINS) <=> array_search($b, self::COMMIT_SIZE_BINS));
+                break;
             case 'dayOfWeek':
                 // Use translated day names in Monday-first order
                 $order = [
@@ -1091,27 +2565,15 @@ class LensStatsService
                 usort($labels, fn($a, $b) => array_search($a, $order) <=> array_search($b, $order));
                 break;
             case 'recordType':
-                // Use translated record type labels
-                $order = [
-                    I18N::translate('Individual'),
-                    I18N::translate('Family'),
-                    I18N::translate('Source'),
-                    I18N::translate('Repository'),
-                    I18N::translate('Media object'),
-                    I18N::translate('Note'),
-                    I18N::translate('Location'),
-                    I18N::translate('Submitter'),
-                    I18N::translate('Submission'),
-                    I18N::translate('Header'),
-                    I18N::translate('Other'),
-                ];
-                usort($labels, function($a, $b) use ($order) {
-                    $posA = array_search($a, $order);
-                    $posB = array_search($b, $order);
-                    if ($posA === false && $posB === false) return strcmp($a, $b);
-                    if ($posA === false) return 1;
-                    if ($posB === false) return -1;
-                    return $posA <=> $posB;
+                usort($labels, fn($a, $b) => $this->compareRecordTypeLabels($a, $b));
+                break;
+            case 'recordTypeFact':
+                // Record type order first, then fact tags alphabetically
+                usort($labels, function ($a, $b) {
+                    [$typeA, $factA] = explode(' · ', $a, 2) + [1 => ''];
+                    [$typeB, $factB] = explode(' · ', $b, 2) + [1 => ''];
+
+                    return $this->compareRecordTypeLabels($typeA, $typeB) ?: strcmp($factA, $factB);
                 });
                 break;
             default:
@@ -1120,6 +2582,32 @@ class LensStatsService
         return $labels;
     }
 
+    /**
+     * Compare translated record type labels in the order of the record type charts (unknown labels last)
+     */
+    private function compareRecordTypeLabels(string $a, string $b): int
+    {
+        $order = [
+            I18N::translate('Individual'),
+            I18N::translate('Family'),
+            I18N::translate('Source'),
+            I18N::translate('Repository'),
+            I18N::translate('Media object'),
+            I18N::translate('Note'),
+            I18N::translate('Location'),
+            I18N::translate('Submitter'),
+            I18N::translate('Submission'),
+            I18N::translate('Header'),
+            I18N::translate('Other'),
+        ];
+        $posA = array_search($a, $order);
+        $posB = array_search($b, $order);
+        if ($posA === false && $posB === false) return strcmp($a, $b);
+        if ($posA === false) return 1;
+        if ($posB === false) return -1;
+        return $posA <=> $posB;
+    }
+
     /**
      * Get day name from MySQL DAYOFWEEK (1=Sunday, 7=Saturday)
      */
@@ -1260,7 +2748,7 @@ class LensStatsService
      * For Tab: Data Quality
      *
      * @param Tree $tree
-     * @param string $period 'month' or 'year'
+     * @param string $period One of PERIODS
      * @param int|null $days Number of days to analyze (null = not using this mode)
      * @param array<int> $years Array of years to include (empty = not using this mode)
      * @param array<int> $userIds Filter by user IDs (empty = all users)
@@ -1268,8 +2756,6 @@ class LensStatsService
      */
     public function getFactCompletenessProgress(Tree $tree, string $period = 'month', ?int $days = null, array $years = [], array $userIds = []): array
     {
-        $dateFormat = $period === 'year' ? '%Y' : '%Y-%m';
-
         $query = DB::table('change')
             ->where('change.gedcom_id', '=', $tree->id())
             ->where('change.status', '=', 'accepted')
@@ -1278,13 +2764,14 @@ class LensStatsService
 
         // Apply date filter (Last X days OR Selected years)
         $query = $this->applyDateFilter($query, $days, $years);
+        $query = $this->applyRecordFilter($query);
 
         if (!empty($userIds)) {
             $query->whereIn('user_id', $userIds);
         }
 
         $query = $query->select([
-                DB::raw("DATE_FORMAT(change_time, '{$dateFormat}') as period"),
+                DB::raw($this->periodExpression($period, 'change_time') . ' as period'),
                 'old_gedcom',
                 'new_gedcom'
             ])
@@ -1327,13 +2814,11 @@ class LensStatsService
      * For Tab: Data Quality
      *
      * @param Tree $tree
-     * @param string $period 'month' or 'year'
+     * @param string $period One of PERIODS
      * @return array
      */
     public function getCreationVsModificationTrend(Tree $tree, string $period = 'month', ?int $days = null, array $years = [], array $userIds = []): array
     {
-        $dateFormat = $period === 'year' ? '%Y' : '%Y-%m';
-
         $query = DB::table('change')
             ->where('change.gedcom_id', '=', $tree->id())
             ->where('change.status', '=', 'accepted')
@@ -1341,13 +2826,14 @@ class LensStatsService
 
         // Apply date filter (Last X days OR Selected years)
         $query = $this->applyDateFilter($query, $days, $years);
+        $query = $this->applyRecordFilter($query);
 
         if (!empty($userIds)) {
             $query->whereIn('user_id', $userIds);
         }
 
         $query = $query->select([
-                DB::raw("DATE_FORMAT(change_time, '{$dateFormat}') as period"),
+                DB::raw($this->periodExpression($period, 'change_time') . ' as period'),
                 DB::raw("SUM(CASE WHEN old_gedcom = '' THEN 1 ELSE 0 END) as creations"),
                 DB::raw("SUM(CASE WHEN old_gedcom <> '' THEN 1 ELSE 0 END) as modifications")
             ])
@@ -1371,18 +2857,11 @@ class LensStatsService
      * For Tab: Edit Patterns
      *
      * @param Tree $tree
-     * @param string $period 'week' or 'month'
-     * @param int $periods Number of periods to show
+     * @param string $period One of PERIODS
      * @return array
      */
     public function getEditVelocityTrend(Tree $tree, string $period = 'week', ?int $days = null, array $years = [], array $userIds = []): array
     {
-        if ($period === 'week') {
-            $dateFormat = '%Y-W%u';
-        } else {
-            $dateFormat = '%Y-%m';
-        }
-
         $query = DB::table('change')
             ->where('change.gedcom_id', '=', $tree->id())
             ->where('change.status', '=', 'accepted')
@@ -1390,13 +2869,14 @@ class LensStatsService
 
         // Apply date filter (Last X days OR Selected years)
         $query = $this->applyDateFilter($query, $days, $years);
+        $query = $this->applyRecordFilter($query);
 
         if (!empty($userIds)) {
             $query->whereIn('user_id', $userIds);
         }
 
         $query = $query->select([
-                DB::raw("DATE_FORMAT(change_time, '{$dateFormat}') as period"),
+                DB::raw($this->periodExpression($period, 'change_time') . ' as period'),
                 DB::raw('COUNT(*) as count')
             ])
             ->groupBy('period')
@@ -1413,9 +2893,9 @@ class LensStatsService
 
         $result = [];
         $keys = array_keys($data);
-        foreach ($keys as $index => $period) {
-            $result[$period] = [
-                'count' => $data[$period],
+        foreach ($keys as $index => $key) {
+            $result[$key] = [
+                'count' => $data[$key],
                 'moving_avg' => $movingAvg[$index] ?? null
             ];
         }
@@ -1442,6 +2922,7 @@ class LensStatsService
 
         // Apply date filter (Last X days OR Selected years)
         $query = $this->applyDateFilter($query, $days, $years);
+        $query = $this->applyRecordFilter($query);
 
         if (!empty($userIds)) {
             $query->whereIn('user_id', $userIds);
@@ -1497,6 +2978,7 @@ class LensStatsService
 
         // Apply date filter (Last X days OR Selected years)
         $query = $this->applyDateFilter($query, $days, $years);
+        $query = $this->applyRecordFilter($query);
 
         if (!empty($userIds)) {
             $query->whereIn('change.user_id', $userIds);
@@ -1549,38 +3031,22 @@ class LensStatsService
      * From log table
      *
      * @param Tree $tree
-     * @param string $period 'day', 'week', or 'month'
+     * @param string $period One of PERIODS
      * @param int $days Number of days to look back
      * @param array $userIds Optional user IDs to filter by
      * @return array
      */
     public function getAuthSummary(Tree $tree, string $period = 'day', ?int $days = null, array $years = [], array $userIds = []): array
     {
-        $dateFormat = match($period) {
-            'week' => '%Y-W%u',
-            'month' => '%Y-%m',
-            default => '%Y-%m-%d'
-        };
+        $periodExpression = $this->periodExpression($period, 'log_time');
 
         // Get successful logins
         $loginQuery = DB::table('log')
             ->where('log_type', '=', 'auth')
             ->where('log_message', 'LIKE', 'Login:%');
 
-        // Apply date filter (days OR years)
-        if ($days !== null && $days > 0) {
-            $cutoffDate = date('Y-m-d H:i:s', strtotime("-{$days} days"));
-            $loginQuery->where('log_time', '>=', $cutoffDate);
-        } elseif (!empty($years)) {
-            $loginQuery->where(function ($q) use ($years) {
-                foreach ($years as $year) {
-                    $q->orWhereBetween('log_time', [
-                        "{$year}-01-01 00:00:00",
-                        "{$year}-12-31 23:59:59"
-                    ]);
-                }
-            });
-        }
+        // Apply date filter (range, days OR years)
+        $loginQuery = $this->applyDateFilter($loginQuery, $days, $years, 'log_time');
 
         if (!empty($userIds)) {
             $loginQuery->whereIn('user_id', $userIds);
@@ -1588,7 +3054,7 @@ class LensStatsService
 
         $logins = $loginQuery
             ->select([
-                DB::raw("DATE_FORMAT(log_time, '{$dateFormat}') as period"),
+                DB::raw($periodExpression . ' as period'),
                 DB::raw('COUNT(*) as count')
             ])
             ->groupBy('period')
@@ -1604,20 +3070,8 @@ class LensStatsService
                   ->orWhere('log_message', 'LIKE', 'Failed login%');
             });
 
-        // Apply date filter (days OR years)
-        if ($days !== null && $days > 0) {
-            $cutoffDate = date('Y-m-d H:i:s', strtotime("-{$days} days"));
-            $failedQuery->where('log_time', '>=', $cutoffDate);
-        } elseif (!empty($years)) {
-            $failedQuery->where(function ($q) use ($years) {
-                foreach ($years as $year) {
-                    $q->orWhereBetween('log_time', [
-                        "{$year}-01-01 00:00:00",
-                        "{$year}-12-31 23:59:59"
-                    ]);
-                }
-            });
-        }
+        // Apply date filter (range, days OR years)
+        $failedQuery = $this->applyDateFilter($failedQuery, $days, $years, 'log_time');
 
         if (!empty($userIds)) {
             // Support both specific user IDs and NULL (failed login attempts have NULL user_id)
@@ -1629,7 +3083,7 @@ class LensStatsService
 
         $failed = $failedQuery
             ->select([
-                DB::raw("DATE_FORMAT(log_time, '{$dateFormat}') as period"),
+                DB::raw($periodExpression . ' as period'),
                 DB::raw('COUNT(*) as count')
             ])
             ->groupBy('period')
@@ -1661,38 +3115,22 @@ class LensStatsService
      * From log table
      *
      * @param Tree $tree
-     * @param string $period 'day', 'week', or 'month'
+     * @param string $period One of PERIODS
      * @param int $days Number of days to look back
      * @param array $userIds Optional user IDs to filter by
      * @return array
      */
     public function getSearchTimeline(Tree $tree, string $period = 'day', ?int $days = null, array $years = [], array $userIds = []): array
     {
-        $dateFormat = match($period) {
-            'week' => '%Y-W%u',
-            'month' => '%Y-%m',
-            default => '%Y-%m-%d'
-        };
+        $periodExpression = $this->periodExpression($period, 'log_time');
 
         $query = DB::table('log')
             ->where('log_type', '=', 'search');
             // Note: No gedcom_id filter - search logs are global across all trees
             // and gedcom_id may vary historically as trees are added/removed
 
-        // Apply date filter (days OR years)
-        if ($days !== null && $days > 0) {
-            $cutoffDate = date('Y-m-d H:i:s', strtotime("-{$days} days"));
-            $query->where('log_time', '>=', $cutoffDate);
-        } elseif (!empty($years)) {
-            $query->where(function ($q) use ($years) {
-                foreach ($years as $year) {
-                    $q->orWhereBetween('log_time', [
-                        "{$year}-01-01 00:00:00",
-                        "{$year}-12-31 23:59:59"
-                    ]);
-                }
-            });
-        }
+        // Apply date filter (range, days OR years)
+        $query = $this->applyDateFilter($query, $days, $years, 'log_time');
 
         if (!empty($userIds)) {
             // Support both specific user IDs and NULL (anonymous/system searches)
@@ -1704,7 +3142,7 @@ class LensStatsService
 
         $query = $query
             ->select([
-                DB::raw("DATE_FORMAT(log_time, '{$dateFormat}') as period"),
+                DB::raw($periodExpression . ' as period'),
                 DB::raw('COUNT(*) as count')
             ])
             ->groupBy('period')
@@ -1736,20 +3174,8 @@ class LensStatsService
             // Note: No gedcom_id filter - search logs are global across all trees
             // and gedcom_id may vary historically as trees are added/removed
 
-        // Apply date filter (days OR years)
-        if ($days !== null && $days > 0) {
-            $cutoffDate = date('Y-m-d H:i:s', strtotime("-{$days} days"));
-            $query->where('log_time', '>=', $cutoffDate);
-        } elseif (!empty($years)) {
-            $query->where(function ($q) use ($years) {
-                foreach ($years as $year) {
-                    $q->orWhereBetween('log_time', [
-                        "{$year}-01-01 00:00:00",
-                        "{$year}-12-31 23:59:59"
-                    ]);
-                }
-            });
-        }
+        // Apply date filter (range, days OR years)
+        $query = $this->applyDateFilter($query, $days, $years, 'log_time');
 
         if (!empty($userIds)) {
             // Support both specific user IDs and NULL (anonymous/system searches)
@@ -1802,20 +3228,8 @@ class LensStatsService
                   ->orWhere('log_message', 'LIKE', 'Failed login%');
             });
 
-        // Apply date filter (days OR years)
-        if ($days !== null && $days > 0) {
-            $cutoffDate = date('Y-m-d H:i:s', strtotime("-{$days} days"));
-            $query->where('log_time', '>=', $cutoffDate);
-        } elseif (!empty($years)) {
-            $query->where(function ($q) use ($years) {
-                foreach ($years as $year) {
-                    $q->orWhereBetween('log_time', [
-                        "{$year}-01-01 00:00:00",
-                        "{$year}-12-31 23:59:59"
-                    ]);
-                }
-            });
-        }
+        // Apply date filter (range, days OR years)
+        $query = $this->applyDateFilter($query, $days, $years, 'log_time');
 
         if (!empty($userIds)) {
             // Support both specific user IDs and NULL (failed login attempts have NULL user_id)
@@ -2061,7 +3475,7 @@ class LensStatsService
      * Get message timeline statistics (messages over time)
      *
      * @param Tree|null $tree Specific tree or all trees
-     * @param string $groupBy Group by: 'day', 'week', 'month', 'year'
+     * @param string $groupBy One of PERIODS
      * @param int|null $days Number of days to analyze (null = all time)
      * @param array<int> $years Array of years to include (empty = not using this mode)
      * @param array<int> $userIds Filter by user IDs (empty = all users)
@@ -2070,14 +3484,8 @@ class LensStatsService
      */
     public function getMessageTimeline(?Tree $tree, string $groupBy = 'day', ?int $days = null, array $years = [], array $userIds = []): array
     {
-        $dateFormat = match($groupBy) {
-            'week' => '%Y-W%u',
-            'month' => '%Y-%m',
-            default => '%Y-%m-%d'
-        };
-
         $query = DB::table('message')
-            ->select([DB::raw("DATE_FORMAT(created, '{$dateFormat}') as period"), DB::raw('COUNT(*) as count')])
+            ->select([DB::raw($this->periodExpression($groupBy, 'created') . ' as period'), DB::raw('COUNT(*) as count')])
             ->groupBy('period')
             ->orderBy('period');
 
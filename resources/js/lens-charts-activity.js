@@ -27,7 +27,17 @@ const chartTranslations = {
 // Store chart instances
 const activityLogChartInstances = {};
 
-// Helper function to load all Activity Log charts using unified /Data?tab=activity endpoint
+// Data endpoint sections of Tab 4 => "no data" overlays of their cards (the failed logins table: its container)
+const activityLogSections = {
+    authSummary: ['authSummaryChartNoData'],
+    searchTimeline: ['searchTimelineChartNoData'],
+    searchTerms: ['searchTermsChartNoData'],
+    failedLogins: ['failedLoginsData'],
+    messageTimeline: ['messageTimelineChartNoData'],
+    userMessageStats: ['userMessageStatsChartNoData']
+};
+
+// Helper function to load all Activity Log charts section by section using unified /Data?tab=activity endpoint
 function loadAllActivityLogCharts(formData) {
     // If no formData provided, get from form
     if (!formData) {
@@ -43,44 +53,45 @@ function loadAllActivityLogCharts(formData) {
     params.delete('module');
     params.delete('tree');
 
-    // Set tab parameter for Tab 4 (Activity Log)
-    params.set('tab', 'activity');
+    // Global date filter (date range, years or days - mutually exclusive)
+    appendDateFilterParams(params);
 
-    // Collect selected years (if any) - same as Tab 1/2
-    const selectedYears = Array.from(document.querySelectorAll('.year-checkbox:checked')).map(cb => cb.value);
-
-    // Mutual exclusion: if years selected, remove days parameter
-    if (selectedYears.length > 0) {
-        params.delete('days');
-        selectedYears.forEach(year => params.append('years[]', year));
-    } else {
-        // If no years selected, ensure days parameter exists
-        if (!params.has('days')) {
-            params.set('days', LensConfig.defaultDays);
+    loadTabSections('activity', params, activityLogSections, updateActivityLogCharts, (section, error) => {
+        if (section === 'failedLogins') {
+            showFailedLoginsError(getLensErrorMessage(error.code, error.message));
         }
-    }
+    });
+}
 
-    // Use proper webtrees route() - action must be in PATH not query param
-    let dataEndpointUrl = LensConfig.dataEndpointUrl;
-    const separator = dataEndpointUrl.includes('?') ? '&' : '?';
-    const endpointUrl = dataEndpointUrl + separator + params.toString();
+// Failed Logins is a table without "no data" overlay - show the error in its container
+function showFailedLoginsError(message) {
+    const container = document.getElementById('failedLoginsData');
+    if (!container) return;
 
-    fetch(endpointUrl)
-        .then(response => response.json())
-        .then(data => {
-            // Update Activity Log charts with unified data
-            updateActivityLogCharts(data);
-        })
-        .catch(error => {
-            console.error('[Tab 4] Error loading Activity Log data:', error);
-        });
+    container.innerHTML = '';
+    const content = document.createElement('div');
+    content.className = 'text-center';
+
+    const text = document.createElement('p');
+    text.className = 'text-danger mb-2';
+    text.textContent = message;
+    content.appendChild(text);
+
+    const retryButton = document.createElement('button');
+    retryButton.type = 'button';
+    retryButton.className = 'btn btn-sm btn-outline-secondary';
+    retryButton.textContent = LensT.retry;
+    retryButton.addEventListener('click', reloadActiveTab);
+    content.appendChild(retryButton);
+
+    container.appendChild(content);
 }
 
 // Render Auth Summary Chart (Line - multi-dataset)
 function renderAuthSummaryChart(data) {
-    // Fill missing days with zeros if timeline_display is 'show_zeros'
+    // Fill missing periods with zeros if timeline_display is 'show_zeros'
     if (LensConfig.timelineDisplay === 'show_zeros') {
-        data = fillMissingDaysAuth(data);
+        data = fillTimeline(data, timelineGranularity.authSummary, { logins: 0, failed: 0 });
     }
 
     createUnifiedChart({
@@ -140,9 +151,9 @@ function renderAuthSummaryChart(data) {
 
 // Render Search Timeline Chart (Line)
 function renderSearchTimelineChart(data) {
-    // Fill missing days with zeros if timeline_display is 'show_zeros'
+    // Fill missing periods with zeros if timeline_display is 'show_zeros'
     if (LensConfig.timelineDisplay === 'show_zeros') {
-        data = fillMissingDays(data);
+        data = fillTimeline(data, timelineGranularity.searchTimeline);
     }
 
     createUnifiedChart({
@@ -234,9 +245,9 @@ function renderSearchTermsChart(data) {
 }
 
 function renderMessageTimelineChart(data) {
-    // Fill missing days with zeros if timeline_display is 'show_zeros'
+    // Fill missing periods with zeros if timeline_display is 'show_zeros'
     if (LensConfig.timelineDisplay === 'show_zeros') {
-        data = fillMissingDaysChartJS(data);
+        data = fillTimelineChartJS(data, timelineGranularity.messageTimeline);
     }
 
     createUnifiedChart({
@@ -305,15 +316,8 @@ function renderUserMessageStatsChart(data) {
 }
 
 function updateActivityLogCharts(data) {
-    // Destroy all existing chart instances
-    Object.keys(activityLogChartInstances).forEach(key => {
-        if (activityLogChartInstances[key]) {
-            activityLogChartInstances[key].destroy();
-            delete activityLogChartInstances[key];
-        }
-    });
-
-    // Render each chart using new pattern
+    // Render the charts of the sections in this response
+    // (sections arrive one by one - createUnifiedChart replaces the previous chart of each card)
     if (data.authSummary) {
         renderAuthSummaryChart(data.authSummary);
     }
@@ -363,6 +367,12 @@ function updateActivityLogCharts(data) {
             }
         }
     }
+
+    // Show the sections that failed on the server
+    showSectionErrors(data);
+    if (data.errors && data.errors.failedLogins) {
+        showFailedLoginsError(getLensErrorMessage(data.errors.failedLogins, ''));
+    }
 }
 
 // Load Activity Log charts immediately (script is lazy-loaded when tab is shown)
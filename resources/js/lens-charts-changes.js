@@ -0,0 +1,339 @@
+// =============================================================================
+// LENS CHARTS - DRILL-DOWN CHANGE LIST AND GEDCOM DIFF VIEWER
+// =============================================================================
+
+// Current drill-down: { title, xref, periodFrom, periodTo, status, endpointUrl, params, page }
+let changeListState = null;
+
+/**
+ * Chart.js options that open the change list for a clicked chart element
+ *
+ * @param {function(number, object): (object|null)} drillAt Maps a data index and the chart to
+ *        { title, xref?, periodFrom?, periodTo?, status?, changeId? } ("YYYY-MM-DD" or "YYYY-MM-DDTHH:MM"), null = nothing to show.
+ *        Elements that stand for a single change (changeId) open its diff when the user may see it.
+ * @return {object} onClick/onHover options to spread into the chart options
+ */
+function drillDownChartOptions(drillAt) {
+    // Line charts are clicked anywhere above a point, bars on the bar itself
+    function getElement(event, elements, chart) {
+        const found = chart.config.type === 'line'
+            ? chart.getElementsAtEventForMode(event, 'index', { intersect: false }, true)
+            : elements;
+        return found.find(el => !chart.data.datasets[el.datasetIndex].isComparison);
+    }
+
+    return {
+        onClick: function(event, elements, chart) {
+            const element = getElement(event, elements, chart);
+            if (!element) return;
+
+            const drill = drillAt(element.index, chart);
+            if (!drill) return;
+
+            if (drill.changeId && LensConfig.canViewDiff) {
+                openChangeDiff(drill.changeId);
+            } else {
+                openChangeList(drill);
+            }
+        },
+        onHover: function(event, elements, chart) {
+            event.native.target.style.cursor = getElement(event, elements, chart) ? 'pointer' : 'default';
+        }
+    };
+}
+
+/**
+ * Open the change list panel for a drill-down
+ *
+ * @param {object} drill { title, xref?, periodFrom?, periodTo?, status? } for the change list endpoint with the dashboard filters,
+ *        or { title, endpointUrl, params } for another endpoint answering pages of changes with its own URLSearchParams
+ *        (heatmap cells)
+ */
+function openChangeList(drill) {
+    changeListState = Object.assign({ xref: '', periodFrom: '', periodTo: '', status: '', endpointUrl: null, params: null }, drill, { page: 1 });
+
+    document.getElementById('changeListPanelTitle').textContent = drill.title;
+
+    const panel = document.getElementById('changeListPanel');
+    if (!panel.classList.contains('show')) {
+        document.getElementById('changeListPanelToggle').click();
+    }
+
+    loadChangeList(1);
+}
+
+/**
+ * Load one page of the current drill-down, using the dashboard filters of the filter form
+ * (or the parameters of the drill-down when it has its own endpoint)
+ */
+function loadChangeList(page) {
+    if (!changeListState) return;
+    changeListState.page = page;
+
+    let params;
+    if (changeListState.params) {
+        params = new URLSearchParams(changeListState.params);
+    } else {
+        const form = document.getElementById('chartsFilterForm');
+        params = new URLSearchParams(new FormData(form));
+
+        // Remove parameters already in route URL
+        params.delete('action');
+        params.delete('module');
+        params.delete('tree');
+
+        appendDateFilterParams(params);
+
+        if (changeListState.xref) params.set('xref', changeListState.xref);
+        if (changeListState.periodFrom) params.set('periodFrom', changeListState.periodFrom);
+        if (changeListState.periodTo) params.set('periodTo', changeListState.periodTo);
+        if (changeListState.status) params.set('status', changeListState.status);
+    }
+    params.set('page', page);
+
+    const body = document.getElementById('changeListBody');
+    body.innerHTML = '';
+    document.getElementById('changeListSummary').textContent = LensT.loading;
+
+    const url = changeListState.endpointUrl || LensConfig.changesEndpointUrl;
+    const separator = url.includes('?') ? '&' : '?';
+
+    lensFetch('changeList', url + separator + params.toString())
+        .then(data => {
+            if (data !== null) renderChangeList(data);
+        })
+        .catch(error => {
+            console.error('[ERROR] Loading change list failed:', error);
+            document.getElementById('changeListSummary').textContent = LensT.errorLoadingData + ': ' + error.message;
+        });
+}
+
+function renderChangeList(data) {
+    const body = document.getElementById('changeListBody');
+    const pages = Math.max(1, Math.ceil(data.total / data.perPage));
+
+    document.getElementById('changeListSummary').textContent = data.total > 0
+        ? LensT.changes + ': ' + data.total
+        : LensT.noChangesFoundInThisTimePeriod;
+
+    body.innerHTML = '';
+    data.changes.forEach(change => {
+        const row = document.createElement('tr');
+
+        const timeCell = document.createElement('td');
+        timeCell.textContent = change.time;
+        row.appendChild(timeCell);
+
+        const userCell = document.createElement('td');
+        userCell.textContent = change.user;
+        row.appendChild(userCell);
+
+        const recordCell = document.createElement('td');
+        if (change.recordUrl) {
+            const link = document.createElement('a');
+            link.href = change.recordUrl;
+            link.textContent = change.recordName;
+            recordCell.appendChild(link);
+        } else {
+            recordCell.textContent = change.recordName;
+        }
+        const recordType = document.createElement('div');
+        recordType.className = 'text-muted small';
+        recordType.textContent = translateRecordType(change.recordType) + ' · ' + change.xref;
+        recordCell.appendChild(recordType);
+        row.appendChild(recordCell);
+
+        const statusCell = document.createElement('td');
+        statusCell.textContent = LensT[change.status] || change.status;
+        row.appendChild(statusCell);
+
+        const factsCell = document.createElement('td');
+        factsCell.className = 'change-facts';
+        change.facts.forEach(fact => {
+            const badge = document.createElement('span');
+            badge.className = 'badge bg-secondary';
+            badge.textContent = fact;
+            factsCell.appendChild(badge);
+        });
+        row.appendChild(factsCell);
+
+        if (LensConfig.canViewDiff) {
+            const diffCell = document.createElement('td');
+            const diffButton = document.createElement('button');
+            diffButton.type = 'button';
+            diffButton.className = 'btn btn-sm btn-outline-secondary';
+            diffButton.textContent = LensT.showDiff;
+            diffButton.addEventListener('click', function() {
+                openChangeDiff(change.id);
+            });
+            diffCell.appendChild(diffButton);
+            row.appendChild(diffCell);
+        }
+
+        body.appendChild(row);
+    });
+
+    document.getElementById('changeListPage').textContent = LensT.pageOfPages
+        .replace('__PAGE__', data.page)
+        .replace('__PAGES__', pages);
+    document.getElementById('changeListPrev').disabled = data.page <= 1;
+    document.getElementById('changeListNext').disabled = data.page >= pages;
+}
+
+// =============================================================================
+// GEDCOM DIFF VIEWER
+// =============================================================================
+
+/**
+ * Open the diff viewer for one change
+ */
+function openChangeDiff(changeId) {
+    const table = document.getElementById('changeDiffTable');
+    if (!table) return;
+
+    table.querySelectorAll('tbody').forEach(tbody => tbody.remove());
+    document.getElementById('changeDiffModalTitle').textContent = LensT.changes;
+    document.getElementById('changeDiffSummary').textContent = LensT.loading;
+
+    const modal = document.getElementById('changeDiffModal');
+    if (!modal.classList.contains('show')) {
+        document.getElementById('changeDiffModalToggle').click();
+    }
+
+    const url = LensConfig.changeDiffEndpointUrl;
+    const separator = url.includes('?') ? '&' : '?';
+
+    lensFetch('changeDiff', url + separator + 'change=' + encodeURIComponent(changeId))
+        .then(data => {
+            if (data !== null) renderChangeDiff(data);
+        })
+        .catch(error => {
+            console.error('[ERROR] Loading change diff failed:', error);
+            document.getElementById('changeDiffSummary').textContent = LensT.errorLoadingData + ': ' + error.message;
+        });
+}
+
+function renderChangeDiff(data) {
+    const table = document.getElementById('changeDiffTable');
+    const change = data.change;
+
+    document.getElementById('changeDiffModalTitle').textContent = change.recordName + ' (' + change.xref + ')';
+
+    // Summary: who and when, plus the number of facts per status
+    const counts = { added: 0, removed: 0, edited: 0 };
+    data.facts.forEach(fact => {
+        if (counts[fact.status] !== undefined) counts[fact.status]++;
+    });
+    document.getElementById('changeDiffSummary').textContent = change.time + ' · ' + change.user + ' · ' +
+        (LensT[change.status] || change.status) + ' — ' +
+        LensT.added + ': ' + counts.added + ', ' +
+        LensT.edited + ': ' + counts.edited + ', ' +
+        LensT.removed + ': ' + counts.removed;
+
+    data.facts.forEach(fact => {
+        const tbody = document.createElement('tbody');
+        if (fact.status === 'unchanged') {
+            tbody.className = 'diff-unchanged';
+        }
+
+        const header = document.createElement('tr');
+        header.className = 'diff-group-header';
+        const headerCell = document.createElement('td');
+        headerCell.colSpan = 2;
+        headerCell.textContent = fact.tag + ' ';
+        const badge = document.createElement('span');
+        badge.className = 'badge ' + ({ added: 'bg-success', removed: 'bg-danger', edited: 'bg-warning text-dark' }[fact.status] || 'bg-secondary');
+        badge.textContent = LensT[fact.status];
+        headerCell.appendChild(badge);
+        header.appendChild(headerCell);
+        tbody.appendChild(header);
+
+        getDiffRows(fact.lines).forEach(([before, after]) => {
+            const row = document.createElement('tr');
+            row.appendChild(createDiffCell(before));
+            row.appendChild(createDiffCell(after));
+            tbody.appendChild(row);
+        });
+
+        table.appendChild(tbody);
+    });
+}
+
+/**
+ * Pair diff lines into side-by-side rows: kept lines on both sides,
+ * a run of deleted lines next to the run of inserted lines that replaced it
+ *
+ * @return {Array<Array<object|null>>} [before, after] per row, null = empty cell
+ */
+function getDiffRows(lines) {
+    const rows = [];
+    let deleted = [];
+    let inserted = [];
+
+    function flush() {
+        for (let i = 0; i < Math.max(deleted.length, inserted.length); i++) {
+            rows.push([deleted[i] || null, inserted[i] || null]);
+        }
+        deleted = [];
+        inserted = [];
+    }
+
+    lines.forEach(line => {
+        if (line.type === 'keep') {
+            flush();
+            rows.push([line, line]);
+        } else if (line.type === 'delete') {
+            // A delete after inserts starts a new replacement run
+            if (inserted.length > 0) flush();
+            deleted.push(line);
+        } else {
+            inserted.push(line);
+        }
+    });
+    flush();
+
+    return rows;
+}
+
+function createDiffCell(line) {
+    const cell = document.createElement('td');
+    if (line === null) {
+        cell.className = 'diff-empty';
+    } else {
+        cell.textContent = line.text;
+        if (line.type !== 'keep') {
+            cell.className = 'diff-' + line.type;
+        }
+    }
+    return cell;
+}
+
+// Diff viewer - show/hide unchanged facts
+document.addEventListener('DOMContentLoaded', function() {
+    const showUnchanged = document.getElementById('changeDiffShowUnchanged');
+    if (!showUnchanged) return;
+
+    showUnchanged.addEventListener('change', function() {
+        document.getElementById('changeDiffTable').classList.toggle('show-unchanged', showUnchanged.checked);
+    });
+});
+
+// Paging buttons
+document.addEventListener('DOMContentLoaded', function() {
+    const prevButton = document.getElementById('changeListPrev');
+    const nextButton = document.getElementById('changeListNext');
+
+    if (!prevButton || !nextButton) return;
+
+    prevButton.addEventListener('click', function() {
+        if (changeListState && changeListState.page > 1) {
+            loadChangeList(changeListState.page - 1);
+        }
+    });
+
+    nextButton.addEventListener('click', function() {
+        if (changeListState) {
+            loadChangeList(changeListState.page + 1);
+        }
+    });
+});
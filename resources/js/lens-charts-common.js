@@ -73,193 +73,142 @@ const dataContentChartInstances = {};
 // Tab 2 (Work Patterns) chart instances
 const workPatternsChartInstances = {};
 
-// Helper function to destroy all Tab 1 chart instances
-function destroyDataContentCharts() {
-    Object.keys(dataContentChartInstances).forEach(key => {
-        if (dataContentChartInstances[key]) {
-            dataContentChartInstances[key].destroy();
-            delete dataContentChartInstances[key];
-        }
-    });
-}
-
-// Helper function to destroy all Tab 2 chart instances
-function destroyWorkPatternsCharts() {
-    Object.keys(workPatternsChartInstances).forEach(key => {
-        if (workPatternsChartInstances[key]) {
-            workPatternsChartInstances[key].destroy();
-            delete workPatternsChartInstances[key];
-        }
-    });
-}
-
 // =============================================================================
-// TIMELINE FILL HELPERS - Fill missing periods with zeros
-// Used when LensConfig.timelineDisplay === 'show_zeros'
+// TIMELINE BUCKETING - Period keys of the timeline charts and filling of missing periods
+// Keys match LensStatsService::periodExpression(): "YYYY-MM-DD" (day), "YYYY-Www" (ISO week),
+// "YYYY-MM" (month), "YYYY-Qn" (quarter) and "YYYY" (year).
+// Missing periods are filled with zeros when LensConfig.timelineDisplay === 'show_zeros'
 // =============================================================================
 
+// Granularity => key of a date, first day of a key (null = not a key of this granularity) and length in days or months
+const timelineBuckets = {
+    day: { toKey: dateToDayString, parseKey: parseDayString, days: 1 },
+    week: { toKey: dateToWeekString, parseKey: parseWeekString, days: 7 },
+    month: { toKey: dateToMonthString, parseKey: parseMonthString, months: 1 },
+    quarter: { toKey: dateToQuarterString, parseKey: parseQuarterString, months: 3 },
+    year: { toKey: date => String(date.getFullYear()), parseKey: parseYearString, months: 12 }
+};
+
+// Data endpoint section => selected granularity of its timeline card (sent as "period", see loadTabSections)
+const defaultTimelineGranularity = {
+    factCompleteness: 'month',
+    creationVsModification: 'month',
+    editingActivityOverTime: 'week',
+    editVelocity: 'week',
+    authSummary: 'day',
+    searchTimeline: 'day',
+    messageTimeline: 'day'
+};
+const timelineGranularity = { ...defaultTimelineGranularity };
+
 /**
  * Check if timeline should extend to today based on current filter
+ * - Date range active -> don't extend to today (range bounds are used instead)
  * - Year filter active (checkbox checked) -> don't extend to today
  * - Days filter active (no year checkbox) -> extend to today
  */
 function shouldExtendToToday() {
+    if (getActiveDateRange() !== null) {
+        return false;
+    }
     const yearCheckboxes = document.querySelectorAll('.year-checkbox:checked');
     return yearCheckboxes.length === 0;
 }
 
 /**
- * Get current week in ISO format (YYYY-Www)
+ * Parse a date range value ("YYYY-MM-DD" or "YYYY-MM-DDTHH:MM") as local time
  */
-function getCurrentWeekString() {
-    const now = new Date();
-    const d = new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
-    const dayNum = d.getUTCDay() || 7;
-    d.setUTCDate(d.getUTCDate() + 4 - dayNum);
-    const isoYear = d.getUTCFullYear();
-    const yearStart = new Date(Date.UTC(isoYear, 0, 1));
-    const weekNo = Math.ceil((((d - yearStart) / 86400000) + 1) / 7);
-    return isoYear + '-W' + String(weekNo).padStart(2, '0');
+function parseDateRangeValue(value) {
+    if (!value) return null;
+    const date = new Date(value.length === 10 ? value + 'T00:00:00' : value);
+    return isNaN(date.getTime()) ? null : date;
 }
 
 /**
- * Get current month in format (YYYY-MM)
+ * Get the applied absolute date range as Date objects ({from, to}, either may be null),
+ * or null when the range filter is not active
  */
-function getCurrentMonthString() {
-    const now = new Date();
-    return now.getFullYear() + '-' + String(now.getMonth() + 1).padStart(2, '0');
-}
+function getActiveDateRange() {
+    const fromInput = document.querySelector('#chartsFilterForm input[name="from"]');
+    const toInput = document.querySelector('#chartsFilterForm input[name="to"]');
+    const from = parseDateRangeValue(fromInput ? fromInput.value : '');
+    const to = parseDateRangeValue(toInput ? toInput.value : '');
 
-/**
- * Get current day in format (YYYY-MM-DD)
- */
-function getCurrentDayString() {
-    const now = new Date();
-    return now.getFullYear() + '-' +
-           String(now.getMonth() + 1).padStart(2, '0') + '-' +
-           String(now.getDate()).padStart(2, '0');
+    return from || to ? { from, to } : null;
 }
 
 /**
- * Fill missing days with zeros
- * - For days/all-time filter: extends to today
- * - For year filter: only fills gaps within data range
+ * Get first and last period keys for a filled timeline
+ * - Date range: covers the whole range (the end is capped at today)
+ * - Days/all-time filter: extends to today
+ * - Year filter: only the data range
+ *
+ * @param {string[]} keys Sorted period keys present in the data
+ * @param {function(Date): string} dateToKey Converts a date to a period key
  */
-function fillMissingDays(data) {
-    if (!data || typeof data !== 'object' || Object.keys(data).length === 0) {
-        return data;
-    }
-
-    const keys = Object.keys(data).sort();
-    const minDay = keys[0];
-    const currentDay = getCurrentDayString();
-    // Extend to today only if days filter is active (not year filter)
-    const maxDay = shouldExtendToToday() && keys[keys.length - 1] < currentDay
-        ? currentDay
-        : keys[keys.length - 1];
-
-    const filled = {};
-    let current = new Date(minDay + 'T00:00:00');
-    const end = new Date(maxDay + 'T00:00:00');
+function getTimelineBounds(keys, dateToKey) {
+    let min = keys[0];
+    let max = keys[keys.length - 1];
+    const now = new Date();
+    const range = getActiveDateRange();
 
-    while (current <= end) {
-        const dayStr = current.getFullYear() + '-' +
-                       String(current.getMonth() + 1).padStart(2, '0') + '-' +
-                       String(current.getDate()).padStart(2, '0');
-        filled[dayStr] = data[dayStr] !== undefined ? data[dayStr] : 0;
-        current.setDate(current.getDate() + 1);
+    if (range !== null) {
+        if (range.from && dateToKey(range.from) < min) {
+            min = dateToKey(range.from);
+        }
+        const rangeEnd = dateToKey(range.to && range.to < now ? range.to : now);
+        if (rangeEnd > max) {
+            max = rangeEnd;
+        }
+    } else if (shouldExtendToToday() && max < dateToKey(now)) {
+        max = dateToKey(now);
     }
 
-    return filled;
+    return { min, max };
 }
 
 /**
- * Fill missing days with zeros for auth data (logins/failed)
- * - For days/all-time filter: extends to today
- * - For year filter: only fills gaps within data range
+ * Convert Date to day string (YYYY-MM-DD)
  */
-function fillMissingDaysAuth(data) {
-    if (!data || typeof data !== 'object' || Object.keys(data).length === 0) {
-        return data;
-    }
-
-    const keys = Object.keys(data).sort();
-    const minDay = keys[0];
-    const currentDay = getCurrentDayString();
-    const maxDay = shouldExtendToToday() && keys[keys.length - 1] < currentDay
-        ? currentDay
-        : keys[keys.length - 1];
-
-    const filled = {};
-    let current = new Date(minDay + 'T00:00:00');
-    const end = new Date(maxDay + 'T00:00:00');
-
-    while (current <= end) {
-        const dayStr = current.getFullYear() + '-' +
-                       String(current.getMonth() + 1).padStart(2, '0') + '-' +
-                       String(current.getDate()).padStart(2, '0');
-        if (data[dayStr] !== undefined) {
-            filled[dayStr] = data[dayStr];
-        } else {
-            filled[dayStr] = { logins: 0, failed: 0 };
-        }
-        current.setDate(current.getDate() + 1);
-    }
-
-    return filled;
+function dateToDayString(date) {
+    return date.getFullYear() + '-' +
+           String(date.getMonth() + 1).padStart(2, '0') + '-' +
+           String(date.getDate()).padStart(2, '0');
 }
 
 /**
- * Fill missing days for Chart.js format data {labels: [], datasets: [{data: []}]}
- * - For days/all-time filter: extends to today
- * - For year filter: only fills gaps within data range
+ * Convert Date to month string (YYYY-MM)
  */
-function fillMissingDaysChartJS(data) {
-    if (!data || !data.labels || data.labels.length === 0) {
-        return data;
-    }
-
-    const sortedLabels = [...data.labels].sort();
-    const minDay = sortedLabels[0];
-    const currentDay = getCurrentDayString();
-    const maxDay = shouldExtendToToday() && sortedLabels[sortedLabels.length - 1] < currentDay
-        ? currentDay
-        : sortedLabels[sortedLabels.length - 1];
-
-    const dataMap = {};
-    data.labels.forEach((label, idx) => {
-        dataMap[label] = data.datasets.map(ds => ds.data[idx] || 0);
-    });
-
-    const newLabels = [];
-    const newDataArrays = data.datasets.map(() => []);
+function dateToMonthString(date) {
+    return date.getFullYear() + '-' + String(date.getMonth() + 1).padStart(2, '0');
+}
 
-    let current = new Date(minDay + 'T00:00:00');
-    const end = new Date(maxDay + 'T00:00:00');
+/**
+ * Convert Date to quarter string (YYYY-Qn)
+ */
+function dateToQuarterString(date) {
+    return date.getFullYear() + '-Q' + (Math.floor(date.getMonth() / 3) + 1);
+}
 
-    while (current <= end) {
-        const dayStr = current.getFullYear() + '-' +
-                       String(current.getMonth() + 1).padStart(2, '0') + '-' +
-                       String(current.getDate()).padStart(2, '0');
-        newLabels.push(dayStr);
-
-        if (dataMap[dayStr]) {
-            dataMap[dayStr].forEach((val, dsIdx) => {
-                newDataArrays[dsIdx].push(val);
-            });
-        } else {
-            newDataArrays.forEach(arr => arr.push(0));
-        }
-        current.setDate(current.getDate() + 1);
-    }
+/**
+ * Convert Date to ISO 8601 week string (YYYY-Www)
+ */
+function dateToWeekString(date) {
+    const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+    const dayNum = d.getUTCDay() || 7;
+    d.setUTCDate(d.getUTCDate() + 4 - dayNum);
+    const year = d.getUTCFullYear();
+    const yearStart = new Date(Date.UTC(year, 0, 1));
+    const weekNo = Math.ceil((((d - yearStart) / 86400000) + 1) / 7);
+    return year + '-W' + String(weekNo).padStart(2, '0');
+}
 
-    return {
-        labels: newLabels,
-        datasets: data.datasets.map((ds, idx) => ({
-            ...ds,
-            data: newDataArrays[idx]
-        }))
-    };
+/**
+ * Parse day string (YYYY-MM-DD) to Date object
+ */
+function parseDayString(dayStr) {
+    const match = dayStr.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    return match ? new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10)) : null;
 }
 
 /**
@@ -278,256 +227,149 @@ function parseWeekString(weekStr) {
 }
 
 /**
- * Convert Date to week string (YYYY-Www)
+ * Parse month string (YYYY-MM) to Date object (first day of that month)
  */
-function dateToWeekString(date) {
-    const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
-    const dayNum = d.getUTCDay() || 7;
-    d.setUTCDate(d.getUTCDate() + 4 - dayNum);
-    const year = d.getUTCFullYear();
-    const yearStart = new Date(Date.UTC(year, 0, 1));
-    const weekNo = Math.ceil((((d - yearStart) / 86400000) + 1) / 7);
-    return year + '-W' + String(weekNo).padStart(2, '0');
+function parseMonthString(monthStr) {
+    const match = monthStr.match(/^(\d{4})-(\d{2})$/);
+    return match ? new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, 1) : null;
 }
 
 /**
- * Fill missing weeks with zeros
- * - For days/all-time filter: extends to current week
- * - For year filter: only fills gaps within data range
+ * Parse quarter string (YYYY-Qn) to Date object (first day of that quarter)
  */
-function fillMissingWeeks(data) {
-    if (!data || typeof data !== 'object' || Object.keys(data).length === 0) {
-        return data;
-    }
-
-    const keys = Object.keys(data).sort();
-    const minWeek = keys[0];
-    const currentWeek = getCurrentWeekString();
-    const maxWeek = shouldExtendToToday() && keys[keys.length - 1] < currentWeek
-        ? currentWeek
-        : keys[keys.length - 1];
-
-    const filled = {};
-    let current = parseWeekString(minWeek);
-    const end = parseWeekString(maxWeek);
-
-    if (!current || !end) return data;
-
-    while (current <= end) {
-        const weekStr = dateToWeekString(current);
-        filled[weekStr] = data[weekStr] !== undefined ? data[weekStr] : 0;
-        current.setDate(current.getDate() + 7);
-    }
-
-    return filled;
+function parseQuarterString(quarterStr) {
+    const match = quarterStr.match(/^(\d{4})-Q([1-4])$/);
+    return match ? new Date(parseInt(match[1], 10), (parseInt(match[2], 10) - 1) * 3, 1) : null;
 }
 
 /**
- * Fill missing weeks with zeros for velocity trend data (with moving_avg)
- * - For days/all-time filter: extends to current week
- * - For year filter: only fills gaps within data range
+ * Parse year string (YYYY) to Date object (January 1st)
  */
-function fillMissingWeeksVelocity(data) {
-    if (!data || typeof data !== 'object' || Object.keys(data).length === 0) {
-        return data;
-    }
-
-    const keys = Object.keys(data).sort();
-    const minWeek = keys[0];
-    const currentWeek = getCurrentWeekString();
-    const maxWeek = shouldExtendToToday() && keys[keys.length - 1] < currentWeek
-        ? currentWeek
-        : keys[keys.length - 1];
-
-    const filled = {};
-    let current = parseWeekString(minWeek);
-    const end = parseWeekString(maxWeek);
-
-    if (!current || !end) return data;
-
-    while (current <= end) {
-        const weekStr = dateToWeekString(current);
-        if (data[weekStr] !== undefined) {
-            filled[weekStr] = data[weekStr];
-        } else {
-            filled[weekStr] = { count: 0, moving_avg: null };
-        }
-        current.setDate(current.getDate() + 7);
-    }
-
-    // Recalculate moving averages for filled data
-    const filledKeys = Object.keys(filled).sort();
-    const counts = filledKeys.map(k => filled[k].count);
-    for (let i = 0; i < filledKeys.length; i++) {
-        if (i < 3) {
-            filled[filledKeys[i]].moving_avg = null;
-        } else {
-            const sum = counts[i] + counts[i-1] + counts[i-2] + counts[i-3];
-            filled[filledKeys[i]].moving_avg = sum / 4;
-        }
-    }
-
-    return filled;
+function parseYearString(yearStr) {
+    return /^\d{4}$/.test(yearStr) ? new Date(parseInt(yearStr, 10), 0, 1) : null;
 }
 
 /**
- * Fill missing months with zeros
- * - For days/all-time filter: extends to current month
- * - For year filter: only fills gaps within data range
+ * Move the first day of a period by a number of periods
  */
-function fillMissingMonths(data) {
-    if (!data || typeof data !== 'object' || Object.keys(data).length === 0) {
-        return data;
+function shiftTimelineDate(date, granularity, count) {
+    const bucket = timelineBuckets[granularity];
+    if (bucket.days) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + bucket.days * count);
     }
+    return new Date(date.getFullYear(), date.getMonth() + bucket.months * count, 1);
+}
 
-    const keys = Object.keys(data).sort();
-    const minMonth = keys[0];
-    const currentMonth = getCurrentMonthString();
-    const maxMonth = shouldExtendToToday() && keys[keys.length - 1] < currentMonth
-        ? currentMonth
-        : keys[keys.length - 1];
-
-    const filled = {};
-    const [startYear, startMonth] = minMonth.split('-').map(Number);
-    const [endYear, endMonth] = maxMonth.split('-').map(Number);
-
-    let year = startYear;
-    let month = startMonth;
-
-    while (year < endYear || (year === endYear && month <= endMonth)) {
-        const monthStr = year + '-' + String(month).padStart(2, '0');
-        filled[monthStr] = data[monthStr] !== undefined ? data[monthStr] : 0;
-        month++;
-        if (month > 12) {
-            month = 1;
-            year++;
-        }
+/**
+ * Number of whole periods from one date to another (negative when "to" is earlier)
+ */
+function countTimelinePeriods(from, to, granularity) {
+    const bucket = timelineBuckets[granularity];
+    if (bucket.days) {
+        return Math.round((to - from) / (bucket.days * 86400000));
     }
-
-    return filled;
+    const monthIndex = date => date.getFullYear() * 12 + date.getMonth();
+    return Math.floor(monthIndex(to) / bucket.months) - Math.floor(monthIndex(from) / bucket.months);
 }
 
 /**
- * Fill missing months with zeros for multi-series data (with before/after structure)
- * - For days/all-time filter: extends to current month
- * - For year filter: only fills gaps within data range
+ * First and last day of a period ("YYYY-MM-DD"), or null when the key does not match the granularity
  */
-function fillMissingMonthsMultiSeries(data) {
-    if (!data || typeof data !== 'object' || Object.keys(data).length === 0) {
-        return data;
-    }
+function getTimelinePeriodDays(key, granularity) {
+    const first = timelineBuckets[granularity].parseKey(key);
+    if (!first) return null;
 
-    const keys = Object.keys(data).sort();
-    const minMonth = keys[0];
-    const currentMonth = getCurrentMonthString();
-    const maxMonth = shouldExtendToToday() && keys[keys.length - 1] < currentMonth
-        ? currentMonth
-        : keys[keys.length - 1];
+    const next = shiftTimelineDate(first, granularity, 1);
+    return {
+        from: dateToDayString(first),
+        to: dateToDayString(new Date(next.getFullYear(), next.getMonth(), next.getDate() - 1))
+    };
+}
 
-    const filled = {};
-    const [startYear, startMonth] = minMonth.split('-').map(Number);
-    const [endYear, endMonth] = maxMonth.split('-').map(Number);
+/**
+ * All period keys of a filled timeline (see getTimelineBounds), or null when a key does not match the granularity
+ *
+ * @param {string[]} keys Period keys present in the data
+ * @param {string} granularity 'day', 'week', 'month', 'quarter' or 'year'
+ */
+function getTimelineKeys(keys, granularity) {
+    const bucket = timelineBuckets[granularity];
+    const { min, max } = getTimelineBounds(keys.slice().sort(), bucket.toKey);
 
-    let year = startYear;
-    let month = startMonth;
+    let current = bucket.parseKey(min);
+    const end = bucket.parseKey(max);
+    if (!current || !end) return null;
 
-    while (year < endYear || (year === endYear && month <= endMonth)) {
-        const monthStr = year + '-' + String(month).padStart(2, '0');
-        if (data[monthStr] !== undefined) {
-            filled[monthStr] = data[monthStr];
-        } else {
-            filled[monthStr] = { before: 0, after: 0 };
-        }
-        month++;
-        if (month > 12) {
-            month = 1;
-            year++;
-        }
+    const filled = [];
+    while (current <= end) {
+        filled.push(bucket.toKey(current));
+        current = shiftTimelineDate(current, granularity, 1);
     }
-
     return filled;
 }
 
 /**
- * Fill missing months with zeros for creation/modification data
- * - For days/all-time filter: extends to current month
- * - For year filter: only fills gaps within data range
+ * Fill missing periods of a {period: value} timeline
+ *
+ * @param {object} data Period key => value
+ * @param {string} granularity 'day', 'week', 'month', 'quarter' or 'year'
+ * @param {*} emptyValue Value of missing periods (objects are copied for each period)
  */
-function fillMissingMonthsCreationMod(data) {
+function fillTimeline(data, granularity, emptyValue = 0) {
     if (!data || typeof data !== 'object' || Object.keys(data).length === 0) {
         return data;
     }
 
-    const keys = Object.keys(data).sort();
-    const minMonth = keys[0];
-    const currentMonth = getCurrentMonthString();
-    const maxMonth = shouldExtendToToday() && keys[keys.length - 1] < currentMonth
-        ? currentMonth
-        : keys[keys.length - 1];
+    const keys = getTimelineKeys(Object.keys(data), granularity);
+    if (keys === null) return data;
 
     const filled = {};
-    const [startYear, startMonth] = minMonth.split('-').map(Number);
-    const [endYear, endMonth] = maxMonth.split('-').map(Number);
-
-    let year = startYear;
-    let month = startMonth;
-
-    while (year < endYear || (year === endYear && month <= endMonth)) {
-        const monthStr = year + '-' + String(month).padStart(2, '0');
-        if (data[monthStr] !== undefined) {
-            filled[monthStr] = data[monthStr];
+    keys.forEach(key => {
+        if (data[key] !== undefined) {
+            filled[key] = data[key];
         } else {
-            filled[monthStr] = { creations: 0, modifications: 0 };
+            filled[key] = typeof emptyValue === 'object' && emptyValue !== null ? { ...emptyValue } : emptyValue;
         }
-        month++;
-        if (month > 12) {
-            month = 1;
-            year++;
-        }
-    }
-
+    });
     return filled;
 }
 
 /**
- * Fill missing months with zeros for fact completeness data
- * - For days/all-time filter: extends to current month
- * - For year filter: only fills gaps within data range
+ * Fill missing periods of Chart.js format data {labels: [], datasets: [{data: []}]} with zeros
  */
-function fillMissingMonthsFactCompleteness(data) {
-    if (!data || typeof data !== 'object' || Object.keys(data).length === 0) {
+function fillTimelineChartJS(data, granularity) {
+    if (!data || !data.labels || data.labels.length === 0) {
         return data;
     }
 
-    const keys = Object.keys(data).sort();
-    const minMonth = keys[0];
-    const currentMonth = getCurrentMonthString();
-    const maxMonth = shouldExtendToToday() && keys[keys.length - 1] < currentMonth
-        ? currentMonth
-        : keys[keys.length - 1];
+    const keys = getTimelineKeys(data.labels, granularity);
+    if (keys === null) return data;
 
-    const filled = {};
-    const [startYear, startMonth] = minMonth.split('-').map(Number);
-    const [endYear, endMonth] = maxMonth.split('-').map(Number);
+    const indexes = {};
+    data.labels.forEach((label, idx) => {
+        indexes[label] = idx;
+    });
 
-    let year = startYear;
-    let month = startMonth;
+    return {
+        labels: keys,
+        datasets: data.datasets.map(ds => ({
+            ...ds,
+            data: keys.map(key => indexes[key] !== undefined ? (ds.data[indexes[key]] || 0) : 0)
+        }))
+    };
+}
 
-    while (year < endYear || (year === endYear && month <= endMonth)) {
-        const monthStr = year + '-' + String(month).padStart(2, '0');
-        if (data[monthStr] !== undefined) {
-            filled[monthStr] = data[monthStr];
-        } else {
-            filled[monthStr] = { before_avg: 0, after_avg: 0, net_gain: 0 };
-        }
-        month++;
-        if (month > 12) {
-            month = 1;
-            year++;
-        }
-    }
+/**
+ * Select the granularity of the timeline cards (sections missing from the map get their default)
+ */
+function applyTimelineGranularity(granularity) {
+    Object.keys(defaultTimelineGranularity).forEach(section => {
+        timelineGranularity[section] = granularity[section] || defaultTimelineGranularity[section];
+    });
 
-    return filled;
+    document.querySelectorAll('.timeline-granularity').forEach(select => {
+        select.value = timelineGranularity[select.dataset.section];
+    });
 }
 
 // =============================================================================
@@ -618,6 +460,57 @@ function toggleAllUsers(checkbox) {
     }
 }
 
+/**
+ * Set the global date filter on request parameters
+ * Mutual exclusion: date range, then selected years, then last X days
+ */
+function appendDateFilterParams(params) {
+    ['days', 'years[]', 'from', 'to'].forEach(key => params.delete(key));
+
+    const form = document.getElementById('chartsFilterForm');
+    const fromInput = form ? form.querySelector('input[name="from"]') : null;
+    const toInput = form ? form.querySelector('input[name="to"]') : null;
+    const selectedYears = Array.from(document.querySelectorAll('.year-checkbox:checked')).map(cb => cb.value);
+
+    if ((fromInput && fromInput.value) || (toInput && toInput.value)) {
+        if (fromInput.value) params.set('from', fromInput.value);
+        if (toInput.value) params.set('to', toInput.value);
+    } else if (selectedYears.length > 0) {
+        selectedYears.forEach(year => params.append('years[]', year));
+    } else {
+        const daysHidden = form ? form.querySelector('input[name="days"][type="hidden"]') : null;
+        params.set('days', daysHidden && daysHidden.value !== '' ? daysHidden.value : LensConfig.defaultDays);
+    }
+
+    return params;
+}
+
+// Empty the date range inputs (both the applied hidden values and the pickers)
+function clearDateRange() {
+    ['from', 'to'].forEach(name => {
+        const hidden = document.querySelector('#chartsFilterForm input[name="' + name + '"]');
+        if (hidden) hidden.value = '';
+    });
+    ['dateRangeFromDate', 'dateRangeFromTime', 'dateRangeToDate', 'dateRangeToTime'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.value = '';
+    });
+}
+
+// Show an applied date range value ("YYYY-MM-DD" or "YYYY-MM-DDTHH:MM") in the date/time pickers
+function setDateRangePickers(from, to) {
+    const parts = {
+        dateRangeFromDate: from ? from.substring(0, 10) : '',
+        dateRangeFromTime: from ? from.substring(11, 16) : '',
+        dateRangeToDate: to ? to.substring(0, 10) : '',
+        dateRangeToTime: to ? to.substring(11, 16) : ''
+    };
+    for (const [id, value] of Object.entries(parts)) {
+        const input = document.getElementById(id);
+        if (input) input.value = value;
+    }
+}
+
 // =============================================================================
 // LOADING TIMER
 // =============================================================================
@@ -625,14 +518,23 @@ function toggleAllUsers(checkbox) {
 let loadingTimerInterval = null;
 let loadingStartTime = null;
 
+// Seconds after which the cancel button is offered on the loading overlay
+const LOADING_CANCEL_DELAY = 3;
+
 function startLoadingTimer() {
     const timerElement = document.getElementById('spinnerTimer');
+    const cancelButton = document.getElementById('cancelLoading');
+
+    // A newer load restarts the timer of the one it replaces
+    stopLoadingTimer();
     loadingStartTime = Date.now();
     timerElement.textContent = '0s';
+    if (cancelButton) cancelButton.hidden = true;
 
     loadingTimerInterval = setInterval(function() {
         const elapsed = Math.floor((Date.now() - loadingStartTime) / 1000);
         timerElement.textContent = elapsed + 's';
+        if (cancelButton && elapsed >= LOADING_CANCEL_DELAY) cancelButton.hidden = false;
     }, 100);
 }
 
@@ -644,60 +546,487 @@ function stopLoadingTimer() {
 }
 
 // =============================================================================
-// BUTTON STATE
+// REQUEST CLIENT - Cancellable data requests with stale-response protection
 // =============================================================================
 
-function updateActiveButton(days) {
-    const allButtons = document.querySelectorAll('button[name="days"]');
-    allButtons.forEach(function(button) {
-        button.classList.remove('btn-primary');
-        button.classList.add('btn-outline-secondary');
-    });
+// Channel => { controller, generation } of the request in flight. Tab data uses the tab key as channel.
+const lensRequests = {};
+let lensRequestGeneration = 0;
 
-    const activeButton = document.querySelector('button[name="days"][value="' + days + '"]');
-    if (activeButton) {
-        activeButton.classList.remove('btn-outline-secondary');
-        activeButton.classList.add('btn-primary');
+/**
+ * Fetch JSON on a channel, aborting the request still running on the same channel
+ *
+ * @param {string} channel Tab key ('content', 'patterns', 'heatmap', 'activity', 'history') or another request slot
+ * @param {string} url
+ * @param {{cache?: boolean}} options cache: answer from / store in the response cache
+ * @return {Promise<object|null>} Parsed data, or null when the request was cancelled or superseded (nothing to render).
+ *         Rejects with the server's error message for failed requests; error.code is the server's error code,
+ *         'NETWORK_ERROR' when the server could not be reached or 'INVALID_RESPONSE' for unreadable responses.
+ */
+function lensFetch(channel, url, options = {}) {
+    cancelLensRequest(channel);
+
+    const controller = new AbortController();
+    const generation = ++lensRequestGeneration;
+    lensRequests[channel] = { controller, generation };
+
+    const isCurrent = () => lensRequests[channel] !== undefined && lensRequests[channel].generation === generation;
+    const cacheKey = options.cache ? getResponseCacheKey(channel, url) : null;
+    const cachedText = cacheKey !== null ? getCachedResponse(cacheKey) : null;
+
+    const request = cachedText !== null
+        ? Promise.resolve(JSON.parse(cachedText))
+        : fetch(url, { signal: controller.signal }).then(response => {
+            return response.text().then(text => {
+                let data;
+                try {
+                    data = JSON.parse(text);
+                } catch (parseError) {
+                    console.error('[ERROR] JSON parse failed:', parseError);
+                    console.error('[ERROR] Full response text:', text);
+                    throw createLensError('Invalid JSON response - check console for details', 'INVALID_RESPONSE');
+                }
+
+                if (!response.ok) {
+                    throw createLensError(data.message || data.error || 'HTTP ' + response.status, data.code || 'HTTP_' + response.status);
+                }
+
+                // Responses with failed sections are not cached, so a retry asks the server again
+                const hasErrors = data.errors && Object.keys(data.errors).length > 0;
+                if (cacheKey !== null && !hasErrors) {
+                    setCachedResponse(cacheKey, text);
+                }
+
+                return data;
+            });
+        }, error => {
+            // fetch() only rejects when there is no response at all
+            if (error.name === 'AbortError') throw error;
+            throw createLensError(error.message, 'NETWORK_ERROR');
+        });
+
+    return request
+        .then(data => {
+            // A newer request on this channel may have started while the response was parsed
+            if (!isCurrent()) return null;
+            delete lensRequests[channel];
+            return data;
+        }, error => {
+            if (error.name === 'AbortError' || !isCurrent()) return null;
+            delete lensRequests[channel];
+            throw error;
+        });
+}
+
+function createLensError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Abort the request running on a channel, if any
+ */
+function cancelLensRequest(channel) {
+    const request = lensRequests[channel];
+    if (request) {
+        delete lensRequests[channel];
+        request.controller.abort();
     }
 }
 
+/**
+ * Abort requests of tabs other than the active one, so hidden tabs are not painted
+ */
+function cancelInactiveTabRequests() {
+    const activeTab = getActiveTabKey();
+    Object.keys(dashboardTabs).forEach(tabKey => {
+        if (tabKey !== activeTab) {
+            cancelLensRequest(tabKey);
+            cancelTabSections(tabKey);
+        }
+    });
+}
+
 // =============================================================================
-// AGGREGATION MODE FUNCTIONS
+// RESPONSE CACHE - Tab data kept per channel + normalized parameters
+// Kept in memory and in sessionStorage (survives reloads of the page in this browser tab).
+// Responses are stored as JSON text, so charts that modify their data cannot change the cache.
+// The server also sends ETags, so requests after the TTL are answered with 304 when nothing changed.
 // =============================================================================
 
-function toggleAggregationMode(isAggregated, selectedYears = null) {
-    const chartsExist = !!(dataContentChartInstances.hourChart ||
-                          dataContentChartInstances.dayChart ||
-                          dataContentChartInstances.dayOfMonthChart ||
-                          dataContentChartInstances.monthChart);
+// Time to live of cached responses (milliseconds)
+const RESPONSE_CACHE_TTL = 10 * 60 * 1000;
 
-    if (!chartsExist) {
-        return;
-    }
+// Maximum number of responses kept in memory (oldest are dropped first)
+const RESPONSE_CACHE_SIZE = 30;
 
-    if (!originalHourStats && !originalDayStats && !originalDayOfMonthStats && !originalMonthStats) {
-        return;
-    }
+const RESPONSE_CACHE_STORAGE_PREFIX = 'insightLensCache:';
 
-    if (dataContentChartInstances.hourChart && originalHourStats) {
-        updateHourChartMode(isAggregated, selectedYears);
+// Cache key => { time, text }
+const responseCache = new Map();
+
+/**
+ * Cache key for a request: the user, the channel and the sorted query parameters, so parameter order does not matter.
+ * Responses depend on the privacy of the signed-in user, so one user never reads the cached data of another.
+ */
+function getResponseCacheKey(channel, url) {
+    const parsed = new URL(url, window.location.href);
+    const params = Array.from(parsed.searchParams.entries())
+        .sort((a, b) => a[0] === b[0] ? a[1].localeCompare(b[1]) : a[0].localeCompare(b[0]));
+
+    return LensConfig.cacheUser + '|' + channel + '|' + parsed.pathname + '?' + new URLSearchParams(params).toString();
+}
+
+/**
+ * Get a cached response text, or null when there is none or it has expired
+ */
+function getCachedResponse(key) {
+    let entry = responseCache.get(key);
+
+    if (!entry) {
+        try {
+            const stored = sessionStorage.getItem(RESPONSE_CACHE_STORAGE_PREFIX + key);
+            entry = stored ? JSON.parse(stored) : null;
+        } catch (e) {
+            entry = null;
+        }
     }
 
-    if (dataContentChartInstances.dayChart && originalDayStats) {
-        updateDayChartMode(isAggregated, selectedYears);
+    if (!entry || Date.now() - entry.time > RESPONSE_CACHE_TTL) {
+        return null;
     }
 
-    if (dataContentChartInstances.dayOfMonthChart && originalDayOfMonthStats) {
-        updateDayOfMonthChartMode(isAggregated, selectedYears);
+    return entry.text;
+}
+
+function setCachedResponse(key, text) {
+    const entry = { time: Date.now(), text: text };
+
+    responseCache.delete(key);
+    responseCache.set(key, entry);
+    if (responseCache.size > RESPONSE_CACHE_SIZE) {
+        responseCache.delete(responseCache.keys().next().value);
     }
 
-    if (dataContentChartInstances.monthChart && originalMonthStats) {
-        updateMonthChartMode(isAggregated, selectedYears);
+    try {
+        sessionStorage.setItem(RESPONSE_CACHE_STORAGE_PREFIX + key, JSON.stringify(entry));
+    } catch (e) {
+        // Storage full or disabled - the memory cache still works, so drop older stored responses
+        clearStoredResponses();
     }
 }
 
-function updateHourChartMode(isAggregated, selectedYears = null) {
-    const hourLabels = Array.from({length: 24}, (_, i) => i.toString().padStart(2, '0'));
+/**
+ * Forget all cached responses (refresh button)
+ */
+function clearResponseCache() {
+    responseCache.clear();
+    clearStoredResponses();
+}
+
+function clearStoredResponses(keepUser = null) {
+    const keepPrefix = keepUser !== null ? RESPONSE_CACHE_STORAGE_PREFIX + keepUser + '|' : null;
+
+    try {
+        Object.keys(sessionStorage)
+            .filter(name => name.startsWith(RESPONSE_CACHE_STORAGE_PREFIX))
+            .filter(name => keepPrefix === null || !name.startsWith(keepPrefix))
+            .forEach(name => sessionStorage.removeItem(name));
+    } catch (e) {
+        // sessionStorage not available
+    }
+}
+
+// Drop responses stored before a logout or a login as another user
+clearStoredResponses(LensConfig.cacheUser);
+
+// =============================================================================
+// INLINE ERROR STATES - Failed cards show an error with a retry button in their "no data" overlay
+// =============================================================================
+
+// Data endpoint section key => overlay id, for sections whose overlay is not "<section>ChartNoData"
+const sectionOverlayIds = {
+    recordTypeStats: 'recordTypeChartNoData',
+    mostDeletedFacts: 'mostDeletedFactsNoData',
+    userStats: 'userChartNoData',
+    hourStats: 'hourChartNoData',
+    dayStats: 'dayChartNoData',
+    dayOfMonthStats: 'dayOfMonthChartNoData',
+    monthStats: 'monthChartNoData',
+    yearStats: 'yearChartNoData',
+    commitSizeDistribution: 'commitSizeChartNoData',
+    changeStatusStats: 'changeStatusChartNoData'
+};
+
+/**
+ * User-facing message for a failed request or section
+ *
+ * @param {string} code Error code (lensFetch error.code or a section code from data.errors)
+ * @param {string} message Server message, used for codes without a translation
+ */
+function getLensErrorMessage(code, message) {
+    if (code === 'NETWORK_ERROR') return LensT.networkError;
+    if (code === 'SECTION_FAILED') return LensT.sectionFailedToLoad;
+    return LensT.errorLoadingData + (message ? ': ' + message : '');
+}
+
+/**
+ * Replace the content of a card's "no data" overlay with an error message and a retry button
+ */
+function showCardError(overlay, message, onRetry) {
+    if (typeof overlay === 'string') overlay = document.getElementById(overlay);
+    if (!overlay) return;
+
+    // Keep the original "no data" content to restore it when the card renders again
+    if (overlay.dataset.defaultHtml === undefined) {
+        overlay.dataset.defaultHtml = overlay.innerHTML;
+    }
+
+    overlay.innerHTML = '';
+    const content = document.createElement('div');
+    content.className = 'text-center';
+
+    const text = document.createElement('p');
+    text.className = 'text-danger mb-2';
+    text.textContent = message;
+    content.appendChild(text);
+
+    const retryButton = document.createElement('button');
+    retryButton.type = 'button';
+    retryButton.className = 'btn btn-sm btn-outline-secondary';
+    retryButton.textContent = LensT.retry;
+    retryButton.addEventListener('click', onRetry);
+    content.appendChild(retryButton);
+
+    overlay.appendChild(content);
+    overlay.classList.add('lens-card-error');
+    overlay.style.display = 'flex';
+}
+
+/**
+ * Restore the "no data" content of an overlay that shows an error
+ */
+function clearCardError(overlay) {
+    if (typeof overlay === 'string') overlay = document.getElementById(overlay);
+    if (!overlay || overlay.dataset.defaultHtml === undefined) return;
+
+    overlay.innerHTML = overlay.dataset.defaultHtml;
+    delete overlay.dataset.defaultHtml;
+    overlay.classList.remove('lens-card-error');
+}
+
+/**
+ * Show the sections that failed on the server (data.errors) on their cards, the other cards keep their charts
+ */
+function showSectionErrors(data) {
+    Object.keys(data.errors || {}).forEach(section => {
+        const overlayId = sectionOverlayIds[section] || section + 'ChartNoData';
+        showCardError(overlayId, getLensErrorMessage(data.errors[section], ''), reloadActiveTab);
+    });
+}
+
+// =============================================================================
+// PROGRESSIVE LOADING - Tab data requested section by section (see DATA_SECTIONS in LensModule)
+// Each card shows a skeleton until its section arrives, sections with cards in the viewport go first.
+// =============================================================================
+
+// Section requests of one tab running at the same time, the others wait for a free slot
+const DATA_SECTION_CONCURRENCY = 3;
+
+// Tab key => section load in progress: { cancelled, sections, pending, running }
+const tabSectionLoads = {};
+
+/**
+ * Load the data of a tab section by section and render each section as soon as it arrives
+ *
+ * @param {string} tabKey 'content', 'patterns' or 'activity'
+ * @param {URLSearchParams} params Filter parameters of the data endpoint
+ * @param {Object<string, string[]>} sections Section => ids of the "no data" overlays (or containers) of its cards
+ * @param {function(object)} render Renders a section response
+ * @param {function(string, Error)} [onError] Called when a section request failed, after the error is shown on its cards
+ */
+function loadTabSections(tabKey, params, sections, render, onError = null) {
+    cancelTabSections(tabKey);
+
+    const load = { cancelled: false, sections: sections, pending: Object.keys(sections), running: [] };
+    tabSectionLoads[tabKey] = load;
+
+    load.pending.forEach(section => setSectionLoading(sections[section], true));
+    startLoadingTimer();
+    document.getElementById('chartsLoadingIndicator').classList.add('active');
+
+    const url = LensConfig.dataEndpointUrl;
+    const separator = url.includes('?') ? '&' : '?';
+
+    function next() {
+        if (load.cancelled) return;
+
+        if (load.pending.length === 0 && load.running.length === 0) {
+            finishTabSections(tabKey);
+            return;
+        }
+
+        while (load.running.length < DATA_SECTION_CONCURRENCY && load.pending.length > 0) {
+            // Chosen when a slot frees up, so scrolling while loading changes what comes next
+            const section = takeVisibleSection(load.pending, sections);
+            const sectionParams = new URLSearchParams(params);
+            sectionParams.set('tab', tabKey);
+            sectionParams.set('section', section);
+            if (timelineGranularity[section]) {
+                sectionParams.set('period', timelineGranularity[section]);
+            }
+
+            load.running.push(section);
+            lensFetch(tabKey + ':' + section, url + separator + sectionParams.toString(), { cache: true })
+                .then(data => {
+                    if (data === null || load.cancelled) return;
+
+                    setSectionLoading(sections[section], false);
+                    render(data);
+                })
+                .catch(error => {
+                    if (load.cancelled) return;
+
+                    console.error('[ERROR] Loading section ' + tabKey + ':' + section + ' failed:', error);
+                    setSectionLoading(sections[section], false);
+                    sections[section]
+                        .filter(id => id.endsWith('NoData'))
+                        .forEach(id => showCardError(id, getLensErrorMessage(error.code, error.message), reloadActiveTab));
+                    if (onError) onError(section, error);
+                })
+                .finally(() => {
+                    load.running = load.running.filter(running => running !== section);
+                    next();
+                });
+        }
+    }
+
+    next();
+}
+
+/**
+ * Remove the next section to request from the pending list: the first one with a card in the viewport,
+ * otherwise the one closest to it
+ */
+function takeVisibleSection(pending, sections) {
+    let best = 0;
+    let bestDistance = Infinity;
+
+    pending.forEach((section, index) => {
+        sections[section].forEach(id => {
+            const area = getChartArea(id);
+            if (!area) return;
+
+            const rect = area.getBoundingClientRect();
+            const distance = rect.bottom < 0 ? -rect.bottom : Math.max(0, rect.top - window.innerHeight);
+            if (distance < bestDistance) {
+                best = index;
+                bestDistance = distance;
+            }
+        });
+    });
+
+    return pending.splice(best, 1)[0];
+}
+
+/**
+ * Card body of a chart, given the id of its "no data" overlay or of its content container
+ */
+function getChartArea(id) {
+    const element = document.getElementById(id);
+    return element ? element.parentElement : null;
+}
+
+function setSectionLoading(ids, isLoading) {
+    ids.forEach(id => {
+        const area = getChartArea(id);
+        if (area) area.classList.toggle('lens-chart-loading', isLoading);
+    });
+}
+
+/**
+ * Stop a tab's section load: running requests are aborted, waiting cards keep their previous content
+ */
+function cancelTabSections(tabKey) {
+    const load = tabSectionLoads[tabKey];
+    if (!load) return;
+
+    load.cancelled = true;
+    load.running.forEach(section => cancelLensRequest(tabKey + ':' + section));
+    Object.values(load.sections).forEach(ids => setSectionLoading(ids, false));
+    finishTabSections(tabKey);
+}
+
+function finishTabSections(tabKey) {
+    delete tabSectionLoads[tabKey];
+
+    if (Object.keys(tabSectionLoads).length === 0) {
+        stopLoadingTimer();
+        document.getElementById('chartsLoadingIndicator').classList.remove('active');
+    }
+}
+
+// =============================================================================
+// BUTTON STATE
+// =============================================================================
+
+function updateActiveButton(days) {
+    const allButtons = document.querySelectorAll('button[name="days"]');
+    allButtons.forEach(function(button) {
+        button.classList.remove('btn-primary');
+        button.classList.add('btn-outline-secondary');
+    });
+
+    const activeButton = document.querySelector('button[name="days"][value="' + days + '"]');
+    if (activeButton) {
+        activeButton.classList.remove('btn-outline-secondary');
+        activeButton.classList.add('btn-primary');
+    }
+}
+
+// =============================================================================
+// AGGREGATION MODE FUNCTIONS
+// =============================================================================
+
+function toggleAggregationMode(isAggregated, selectedYears = null) {
+    const chartsExist = !!(dataContentChartInstances.hourChart ||
+                          dataContentChartInstances.dayChart ||
+                          dataContentChartInstances.dayOfMonthChart ||
+                          dataContentChartInstances.monthChart);
+
+    if (!chartsExist) {
+        return;
+    }
+
+    if (!originalHourStats && !originalDayStats && !originalDayOfMonthStats && !originalMonthStats) {
+        return;
+    }
+
+    if (dataContentChartInstances.hourChart && originalHourStats) {
+        updateHourChartMode(isAggregated, selectedYears);
+    }
+
+    if (dataContentChartInstances.dayChart && originalDayStats) {
+        updateDayChartMode(isAggregated, selectedYears);
+    }
+
+    if (dataContentChartInstances.dayOfMonthChart && originalDayOfMonthStats) {
+        updateDayOfMonthChartMode(isAggregated, selectedYears);
+    }
+
+    if (dataContentChartInstances.monthChart && originalMonthStats) {
+        updateMonthChartMode(isAggregated, selectedYears);
+    }
+
+    // Datasets were replaced - restore period comparison overlays
+    if (typeof reapplyDistributionComparison === 'function') {
+        reapplyDistributionComparison();
+    }
+}
+
+function updateHourChartMode(isAggregated, selectedYears = null) {
+    const hourLabels = Array.from({length: 24}, (_, i) => i.toString().padStart(2, '0'));
 
     if (isAggregated) {
         const aggregationAbsoluteBtn = document.getElementById('aggregationAbsolute');
@@ -1199,10 +1528,105 @@ function updateMonthChartMode(isAggregated, selectedYears = null) {
     dataContentChartInstances.monthChart.update();
 }
 
+// =============================================================================
+// LAZY RENDERING - Charts are created when their canvas scrolls into view
+// Charts far off-screen (or in a hidden tab) are destroyed and created again from their data when they come back.
+// =============================================================================
+
+// Distance from the viewport at which charts are created, so they are ready when they scroll into view
+const LAZY_CHART_MARGIN = '200px';
+
+// Distance from the viewport beyond which created charts are destroyed to free memory
+const LAZY_CHART_RELEASE_MARGIN = '2000px';
+
+// Canvas => { instanceKey, container, create } of the chart drawn on it
+const lazyCharts = new Map();
+
+// Called with the instance key and chart when a chart is created (again) after scrolling into view
+const lazyChartCallbacks = [];
+
+let lazyChartObserver = null;
+let lazyChartReleaseObserver = null;
+
+/**
+ * Re-apply changes made to chart instances after rendering (aggregation, comparison overlays)
+ * when a chart is created later
+ *
+ * @param {function(string, Chart)} callback
+ */
+function onLazyChartCreated(callback) {
+    lazyChartCallbacks.push(callback);
+}
+
+function observeLazyChart(canvas) {
+    if (lazyChartObserver === null) {
+        lazyChartObserver = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                const lazyChart = lazyCharts.get(entry.target);
+                if (!entry.isIntersecting || !lazyChart || isLazyChartCreated(entry.target, lazyChart)) return;
+
+                createLazyChart(lazyChart);
+            });
+        }, { rootMargin: LAZY_CHART_MARGIN });
+
+        lazyChartReleaseObserver = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                const lazyChart = lazyCharts.get(entry.target);
+                if (entry.isIntersecting || !lazyChart || !isLazyChartCreated(entry.target, lazyChart)) return;
+
+                lazyChart.container[lazyChart.instanceKey].destroy();
+                delete lazyChart.container[lazyChart.instanceKey];
+            });
+        }, { rootMargin: LAZY_CHART_RELEASE_MARGIN });
+    }
+
+    lazyChartObserver.observe(canvas);
+    lazyChartReleaseObserver.observe(canvas);
+}
+
+function createLazyChart(lazyChart) {
+    const chart = lazyChart.create();
+    lazyChartCallbacks.forEach(callback => callback(lazyChart.instanceKey, chart));
+    return chart;
+}
+
+/**
+ * Create the charts inside an element that still wait to scroll into view (e.g. for the printed report)
+ */
+function createLazyCharts(container) {
+    lazyCharts.forEach((lazyChart, canvas) => {
+        if (container.contains(canvas) && !isLazyChartCreated(canvas, lazyChart)) {
+            createLazyChart(lazyChart);
+        }
+    });
+}
+
+function isLazyChartCreated(canvas, lazyChart) {
+    const chart = lazyChart.container[lazyChart.instanceKey];
+    return !!chart && chart.canvas === canvas;
+}
+
+// Visible (not in a hidden tab) and within LAZY_CHART_MARGIN of the viewport
+function isNearViewport(element) {
+    if (element.offsetParent === null) return false;
+
+    const margin = parseInt(LAZY_CHART_MARGIN, 10);
+    const rect = element.getBoundingClientRect();
+    return rect.bottom >= -margin && rect.top <= window.innerHeight + margin;
+}
+
 // =============================================================================
 // UNIFIED CHART FACTORY
 // =============================================================================
 
+/**
+ * Create a chart, or show the "no data" overlay of its card
+ *
+ * Charts away from the viewport are created when they scroll into view (see LAZY RENDERING),
+ * unless config.lazy is false.
+ *
+ * @return {Chart|null} The chart, or null when there is no data or the chart waits to scroll into view
+ */
 function createUnifiedChart(config, chartInstancesContainer = dataContentChartInstances) {
     const {
         instanceKey,
@@ -1214,7 +1638,8 @@ function createUnifiedChart(config, chartInstancesContainer = dataContentChartIn
             if (Array.isArray(d)) return d.length > 0;
             return Object.keys(d).length > 0;
         },
-        buildChartConfig
+        buildChartConfig,
+        lazy = true
     } = config;
 
     const ctx = document.getElementById(canvasId);
@@ -1227,23 +1652,609 @@ function createUnifiedChart(config, chartInstancesContainer = dataContentChartIn
         chartInstancesContainer[instanceKey].destroy();
         delete chartInstancesContainer[instanceKey];
     }
+    lazyCharts.delete(ctx);
 
     const hasData = hasDataCheck(data);
     const overlay = overlayId ? document.getElementById(overlayId) : null;
 
     // ALWAYS hide overlay first
-    if (overlay) overlay.style.display = 'none';
+    if (overlay) {
+        clearCardError(overlay);
+        overlay.style.display = 'none';
+    }
 
     if (hasData) {
-        const chartConfig = buildChartConfig(data);
-        chartInstancesContainer[instanceKey] = new Chart(ctx, chartConfig);
-        return chartInstancesContainer[instanceKey];
+        const create = () => {
+            const chartConfig = buildChartConfig(data);
+            chartInstancesContainer[instanceKey] = new Chart(ctx, chartConfig);
+            return chartInstancesContainer[instanceKey];
+        };
+
+        if (!lazy || typeof IntersectionObserver === 'undefined') {
+            return create();
+        }
+
+        lazyCharts.set(ctx, { instanceKey: instanceKey, container: chartInstancesContainer, create: create });
+        observeLazyChart(ctx);
+
+        return isNearViewport(ctx) ? create() : null;
     } else {
         if (overlay) overlay.style.display = 'flex';
         return null;
     }
 }
 
+// =============================================================================
+// CROSS-FILTERING - Chart clicks add dashboard-wide filter chips
+// =============================================================================
+
+// Filter kinds set by clicking chart elements. Users reuse the user filter checkboxes,
+// record types and facts are kept as hidden "recordTypes[]"/"facts[]" inputs of the filter form.
+const crossFilterKinds = ['users', 'recordTypes', 'facts'];
+
+/**
+ * Get the active record type and fact filters
+ */
+function getCrossFilters() {
+    const filters = { recordTypes: [], facts: [] };
+    document.querySelectorAll('#crossFilterInputs input').forEach(input => {
+        const kind = input.name.replace('[]', '');
+        if (filters[kind] && !filters[kind].includes(input.value)) {
+            filters[kind].push(input.value);
+        }
+    });
+    return filters;
+}
+
+/**
+ * Replace the record type and fact filters (does not load any data)
+ */
+function setCrossFilters(filters) {
+    const container = document.getElementById('crossFilterInputs');
+    if (!container) return;
+
+    container.innerHTML = '';
+    ['recordTypes', 'facts'].forEach(kind => {
+        (filters[kind] || []).forEach(value => {
+            const input = document.createElement('input');
+            input.type = 'hidden';
+            input.name = kind + '[]';
+            input.value = value;
+            container.appendChild(input);
+        });
+    });
+
+    renderFilterChips();
+}
+
+// Add record type and fact filters to request parameters (the heatmap does not post the filter form)
+function appendCrossFilterParams(params) {
+    const filters = getCrossFilters();
+    ['recordTypes', 'facts'].forEach(kind => {
+        params.delete(kind + '[]');
+        filters[kind].forEach(value => params.append(kind + '[]', value));
+    });
+    return params;
+}
+
+/**
+ * Add filters from a chart click and reload the active tab.
+ * Other tabs load with the same filters when they are shown.
+ *
+ * @param {Array<{kind: string, value: string}>} items
+ */
+function addCrossFilters(items) {
+    const filters = getCrossFilters();
+    let changed = false;
+
+    items.forEach(({ kind, value }) => {
+        if (value === null || value === undefined || !crossFilterKinds.includes(kind)) return;
+
+        if (kind === 'users') {
+            const checkbox = document.querySelector('.user-checkbox[value="' + CSS.escape(String(value)) + '"]');
+            if (checkbox && !checkbox.checked) {
+                checkbox.checked = true;
+                changed = true;
+            }
+        } else if (!filters[kind].includes(value)) {
+            filters[kind].push(value);
+            changed = true;
+        }
+    });
+
+    if (!changed) return;
+
+    updateUserFilterDisplay();
+    setCrossFilters(filters);
+    reloadActiveTab();
+}
+
+function removeCrossFilter(kind, value) {
+    if (kind === 'users') {
+        const checkbox = document.querySelector('.user-checkbox[value="' + CSS.escape(String(value)) + '"]');
+        if (checkbox) checkbox.checked = false;
+        updateUserFilterDisplay();
+        renderFilterChips();
+    } else {
+        const filters = getCrossFilters();
+        filters[kind] = filters[kind].filter(item => item !== value);
+        setCrossFilters(filters);
+    }
+
+    reloadActiveTab();
+}
+
+function clearCrossFilters() {
+    document.querySelectorAll('.user-checkbox:checked').forEach(cb => cb.checked = false);
+    updateUserFilterDisplay();
+    setCrossFilters({ recordTypes: [], facts: [] });
+    reloadActiveTab();
+}
+
+/**
+ * Show one chip per active user, record type and fact filter
+ */
+function renderFilterChips() {
+    const bar = document.getElementById('filterChipBar');
+    const chips = document.getElementById('filterChips');
+    if (!bar || !chips) return;
+
+    const filters = getCrossFilters();
+    const items = [];
+
+    document.querySelectorAll('.user-checkbox:checked').forEach(cb => {
+        const label = document.querySelector('label[for="' + cb.id + '"]');
+        items.push({ kind: 'users', value: cb.value, text: LensT.user + ': ' + (label ? label.textContent.trim() : cb.value) });
+    });
+    filters.recordTypes.forEach(value => {
+        items.push({ kind: 'recordTypes', value, text: LensT.recordType + ': ' + translateRecordType(value) });
+    });
+    filters.facts.forEach(value => {
+        items.push({ kind: 'facts', value, text: LensT.factType + ': ' + value });
+    });
+
+    chips.innerHTML = '';
+    items.forEach(item => {
+        const chip = document.createElement('span');
+        chip.className = 'filter-chip';
+        chip.textContent = item.text;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'filter-chip-remove';
+        removeBtn.setAttribute('aria-label', LensT.removeFilter + ': ' + item.text);
+        removeBtn.textContent = '×';
+        removeBtn.addEventListener('click', function() {
+            removeCrossFilter(item.kind, item.value);
+        });
+
+        chip.appendChild(removeBtn);
+        chips.appendChild(chip);
+    });
+
+    bar.style.display = items.length > 0 ? '' : 'none';
+}
+
+/**
+ * Chart.js options that turn a click on a chart element into a filter chip
+ *
+ * @param {string} kind 'users', 'recordTypes' or 'facts'
+ * @param {function(number, object): (string|null)} valueAt Maps a data index and the chart to the filter value
+ * @return {object} onClick/onHover options to spread into the chart options
+ */
+function crossFilterChartOptions(kind, valueAt) {
+    return {
+        onClick: function(event, elements, chart) {
+            // Reference period overlays (comparison mode) are not filterable
+            const element = elements.find(el => !chart.data.datasets[el.datasetIndex].isComparison);
+            if (!element) return;
+
+            addCrossFilters([{ kind, value: valueAt(element.index, chart) }]);
+        },
+        onHover: function(event, elements) {
+            event.native.target.style.cursor = elements.length > 0 ? 'pointer' : 'default';
+        }
+    };
+}
+
+// =============================================================================
+// URL STATE - Deep-linkable dashboard state (tab, period, date range, years, users, aggregation, timeline granularity, heatmap, record)
+// =============================================================================
+
+// Tab key (as used by the data endpoint) => tab button id / tab pane id
+const dashboardTabs = {
+    content: { buttonId: 'data-tab', paneId: 'data-content' },
+    patterns: { buttonId: 'editor-tab', paneId: 'editor-patterns' },
+    heatmap: { buttonId: 'heatmap-tab', paneId: 'custom-heatmap' },
+    activity: { buttonId: 'activity-log-tab', paneId: 'activity-log' },
+    history: { buttonId: 'record-history-tab', paneId: 'record-history' }
+};
+
+// Heatmap settings restored from the URL before the lazy-loaded heatmap script is ready
+let pendingHeatmapState = null;
+
+// Record History XREF restored from the URL before the lazy-loaded history script is ready
+let pendingHistoryRecord = '';
+
+// Set while the DOM is being updated from the URL, so it is not pushed back as a new history entry
+let applyingUrlState = false;
+
+/**
+ * Get the key of the currently active tab (content, patterns, heatmap, activity, history)
+ */
+function getActiveTabKey() {
+    const activePane = document.querySelector('#statsTabsContent > .tab-pane.active');
+    if (!activePane) return 'content';
+
+    for (const [key, tab] of Object.entries(dashboardTabs)) {
+        if (tab.paneId === activePane.id) return key;
+    }
+    return 'content';
+}
+
+/**
+ * Read the full dashboard state from the DOM
+ */
+function getDashboardState() {
+    const daysHidden = document.querySelector('#chartsFilterForm input[name="days"][type="hidden"]');
+    const fromHidden = document.querySelector('#chartsFilterForm input[name="from"]');
+    const toHidden = document.querySelector('#chartsFilterForm input[name="to"]');
+    const compareMode = document.getElementById('compareMode');
+    const crossFilters = getCrossFilters();
+    const state = {
+        tab: getActiveTabKey(),
+        days: daysHidden ? parseInt(daysHidden.value, 10) || 0 : LensConfig.defaultDays,
+        from: fromHidden ? fromHidden.value : '',
+        to: toHidden ? toHidden.value : '',
+        years: Array.from(document.querySelectorAll('.year-checkbox:checked')).map(cb => cb.value),
+        users: Array.from(document.querySelectorAll('.user-checkbox:checked')).map(cb => cb.value),
+        recordTypes: crossFilters.recordTypes,
+        facts: crossFilters.facts,
+        agg: getAggregationMode(),
+        compare: compareMode ? compareMode.value : '',
+        compareFrom: document.getElementById('compareFrom')?.value || '',
+        compareTo: document.getElementById('compareTo')?.value || '',
+        // Only the timeline cards not at their default granularity
+        granularity: Object.fromEntries(Object.entries(timelineGranularity)
+            .filter(([section, granularity]) => granularity !== defaultTimelineGranularity[section])),
+        heatmap: null,
+        record: typeof currentHistoryXref !== 'undefined' ? currentHistoryXref : pendingHistoryRecord
+    };
+
+    if (typeof currentHeatmapConfig !== 'undefined' && currentHeatmapConfig !== null) {
+        state.heatmap = {
+            x: currentHeatmapConfig.xAxis,
+            y: currentHeatmapConfig.yAxis,
+            measure: currentHeatmapConfig.measure,
+            facet: currentHeatmapConfig.facet || '',
+            records: heatmapRecordsTomSelect ? heatmapRecordsTomSelect.getValue() : [],
+            normalization: document.getElementById('heatmapNormalization').value,
+            scale: document.getElementById('heatmapScale').value,
+            palette: document.getElementById('heatmapPalette').value
+        };
+    } else if (pendingHeatmapState !== null) {
+        state.heatmap = pendingHeatmapState;
+    }
+
+    return state;
+}
+
+/**
+ * Serialize dashboard state into URL query parameters
+ */
+function dashboardStateToParams(state, params = new URLSearchParams()) {
+    ['tab', 'days', 'from', 'to', 'years[]', 'users[]', 'recordTypes[]', 'facts[]', 'agg', 'compare', 'compareFrom', 'compareTo', 'gran', 'hx', 'hy', 'hm', 'hf', 'hn', 'hs', 'hp', 'records[]', 'record'].forEach(key => params.delete(key));
+
+    params.set('tab', state.tab);
+
+    // Mutual exclusion: a date range or years replace the days filter
+    if (state.from || state.to) {
+        if (state.from) params.set('from', state.from);
+        if (state.to) params.set('to', state.to);
+    } else if (state.years.length > 0) {
+        state.years.forEach(year => params.append('years[]', year));
+    } else {
+        params.set('days', state.days);
+    }
+
+    state.users.forEach(userId => params.append('users[]', userId));
+    state.recordTypes.forEach(recordType => params.append('recordTypes[]', recordType));
+    state.facts.forEach(fact => params.append('facts[]', fact));
+
+    if (state.agg) {
+        params.set('agg', state.agg);
+    }
+
+    if (state.compare) {
+        params.set('compare', state.compare);
+        if (state.compare === 'custom' && state.compareFrom !== '') {
+            params.set('compareFrom', state.compareFrom);
+        }
+        if (state.compare === 'custom' && state.compareTo !== '') {
+            params.set('compareTo', state.compareTo);
+        }
+    }
+
+    // Timeline granularity as "section:granularity,..."
+    const granularity = Object.entries(state.granularity).map(([section, value]) => section + ':' + value);
+    if (granularity.length > 0) {
+        params.set('gran', granularity.join(','));
+    }
+
+    if (state.heatmap) {
+        params.set('hx', state.heatmap.x);
+        params.set('hy', state.heatmap.y);
+        params.set('hm', state.heatmap.measure);
+        if (state.heatmap.facet) params.set('hf', state.heatmap.facet);
+        params.set('hn', state.heatmap.normalization);
+        params.set('hs', state.heatmap.scale);
+        params.set('hp', state.heatmap.palette);
+        state.heatmap.records.forEach(xref => params.append('records[]', xref));
+    }
+
+    if (state.record) {
+        params.set('record', state.record);
+    }
+
+    return params;
+}
+
+/**
+ * Parse dashboard state from URL query parameters
+ */
+function paramsToDashboardState(params) {
+    const tab = params.get('tab');
+    const days = parseInt(params.get('days'), 10);
+    const agg = params.get('agg');
+    const dateRangePattern = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2})?$/;
+    const from = params.get('from') || '';
+    const to = params.get('to') || '';
+    const compare = params.get('compare');
+    const compareFrom = params.get('compareFrom') || '';
+    const compareTo = params.get('compareTo') || '';
+    const compareDatePattern = /^\d{4}-\d{2}-\d{2}$/;
+    const granularity = {};
+    (params.get('gran') || '').split(',').forEach(item => {
+        const [section, value] = item.split(':');
+        if (defaultTimelineGranularity[section] && timelineBuckets[value]) {
+            granularity[section] = value;
+        }
+    });
+
+    return {
+        tab: dashboardTabs[tab] ? tab : 'content',
+        days: isNaN(days) ? LensConfig.defaultDays : days,
+        from: dateRangePattern.test(from) ? from : '',
+        to: dateRangePattern.test(to) ? to : '',
+        years: params.getAll('years[]'),
+        users: params.getAll('users[]'),
+        recordTypes: params.getAll('recordTypes[]'),
+        facts: params.getAll('facts[]'),
+        agg: agg === 'absolute' || agg === 'relative' ? agg : null,
+        compare: ['previous', 'lastYear', 'custom'].includes(compare) ? compare : '',
+        compareFrom: compareDatePattern.test(compareFrom) ? compareFrom : '',
+        compareTo: compareDatePattern.test(compareTo) ? compareTo : '',
+        granularity: granularity,
+        heatmap: params.has('hx') && params.has('hy') ? {
+            x: params.get('hx'),
+            y: params.get('hy'),
+            measure: params.get('hm') || 'changes',
+            facet: params.get('hf') || '',
+            records: params.getAll('records[]'),
+            normalization: params.get('hn') || 'raw',
+            scale: params.get('hs') || 'log',
+            palette: params.get('hp') || 'blues'
+        } : null,
+        record: params.get('record') || ''
+    };
+}
+
+/**
+ * Record the current dashboard state as a new browser history entry
+ */
+function pushDashboardState() {
+    if (applyingUrlState) return;
+
+    const url = new URL(window.location.href);
+    const current = dashboardStateToParams(paramsToDashboardState(url.searchParams), new URLSearchParams(url.search));
+    dashboardStateToParams(getDashboardState(), url.searchParams);
+
+    // Compare normalized parameters, so hand-written links with another parameter order do not add entries
+    if (url.searchParams.toString() !== current.toString()) {
+        history.pushState(null, '', url.toString());
+    }
+}
+
+/**
+ * Apply a dashboard state to the filter controls (does not load any data)
+ */
+function applyDashboardState(state) {
+    const daysHidden = document.querySelector('#chartsFilterForm input[name="days"][type="hidden"]');
+    if (daysHidden) {
+        daysHidden.value = state.days;
+    }
+
+    const hasDateRange = state.from !== '' || state.to !== '';
+    clearDateRange();
+    if (hasDateRange) {
+        document.querySelector('#chartsFilterForm input[name="from"]').value = state.from;
+        document.querySelector('#chartsFilterForm input[name="to"]').value = state.to;
+        setDateRangePickers(state.from, state.to);
+    }
+
+    document.querySelectorAll('.year-checkbox').forEach(cb => {
+        cb.checked = !hasDateRange && state.years.includes(cb.value);
+    });
+    updateYearFilterDisplay();
+
+    if (hasDateRange || state.years.length > 0) {
+        updateActiveButton(null);
+    } else {
+        updateActiveButton(state.days);
+    }
+
+    document.querySelectorAll('.user-checkbox').forEach(cb => {
+        cb.checked = state.users.includes(cb.value);
+    });
+    updateUserFilterDisplay();
+    setCrossFilters({ recordTypes: state.recordTypes, facts: state.facts });
+
+    applyAggregationMode(state.agg);
+
+    const compareMode = document.getElementById('compareMode');
+    if (compareMode) {
+        compareMode.value = state.compare;
+        document.getElementById('compareFrom').value = state.compareFrom;
+        document.getElementById('compareTo').value = state.compareTo;
+        document.getElementById('compareCustomRange').style.display = state.compare === 'custom' ? '' : 'none';
+    }
+
+    applyTimelineGranularity(state.granularity);
+
+    if (typeof applyHeatmapState === 'function') {
+        applyHeatmapState(state.heatmap);
+    } else {
+        pendingHeatmapState = state.heatmap;
+    }
+
+    if (typeof applyHistoryRecord === 'function') {
+        applyHistoryRecord(state.record);
+    } else {
+        pendingHistoryRecord = state.record;
+    }
+}
+
+/**
+ * Show the tab for a state key. Tab "shown" handlers take care of loading its data.
+ * Returns false when the tab is already active.
+ *
+ * @param {string} tabKey
+ * @param {function|null} onShown Called once after the "shown" handlers of the tab (not called when it is already active)
+ */
+function activateDashboardTab(tabKey, onShown = null) {
+    const tab = dashboardTabs[tabKey];
+    const button = tab ? document.getElementById(tab.buttonId) : null;
+
+    if (!button || button.classList.contains('active')) {
+        return false;
+    }
+
+    if (onShown) {
+        button.addEventListener('shown.bs.tab', onShown, { once: true });
+    }
+    button.click();
+    return true;
+}
+
+/**
+ * Reload data for the active tab using the current filters
+ */
+function reloadActiveTab() {
+    const form = document.getElementById('chartsFilterForm');
+    const activeTab = getActiveTabKey();
+
+    pushDashboardState();
+
+    if (activeTab === 'patterns') {
+        loadWorkPatternsData();
+    } else if (activeTab === 'activity') {
+        if (typeof loadAllActivityLogCharts === 'function') {
+            loadAllActivityLogCharts(new FormData(form));
+        }
+    } else if (activeTab === 'heatmap') {
+        // Refresh heatmap only if already generated
+        if (typeof generateHeatmap === 'function' && currentHeatmapConfig !== null) {
+            generateHeatmap();
+        }
+    } else if (activeTab === 'history') {
+        if (typeof loadRecordHistory === 'function') {
+            loadRecordHistory();
+        }
+    } else {
+        loadChartsData(new FormData(form));
+    }
+}
+
+// Update user filter button text to reflect the selected users
+function updateUserFilterDisplay() {
+    const buttonText = document.getElementById('userFilterButtonText');
+    if (!buttonText) return;
+
+    const count = document.querySelectorAll('.user-checkbox:checked').length;
+    buttonText.textContent = count > 0
+        ? LensT.users + ': ' + count + ' ' + LensT.selected
+        : LensT.allUsers;
+}
+
+/**
+ * Get the Work Patterns aggregation mode: 'absolute', 'relative' or null when not aggregated
+ */
+function getAggregationMode() {
+    const aggregateCheckbox = document.getElementById('aggregateDataCheckbox');
+    if (!aggregateCheckbox || !aggregateCheckbox.checked) return null;
+
+    const aggregationAbsoluteBtn = document.getElementById('aggregationAbsolute');
+    return aggregationAbsoluteBtn && aggregationAbsoluteBtn.classList.contains('btn-primary') ? 'absolute' : 'relative';
+}
+
+// Show/hide the absolute/relative toggle and update the helper text
+function updateAggregationControls(isAggregated) {
+    const helperText = document.getElementById('aggregateHelperText');
+    const aggregationTypeContainer = document.getElementById('aggregationTypeContainer');
+
+    if (helperText) {
+        helperText.textContent = isAggregated
+            ? LensT.showsCombinedDataWithRangeShading
+            : LensT.showsDataSplitByIndividualYears;
+    }
+    if (aggregationTypeContainer) {
+        aggregationTypeContainer.style.display = isAggregated ? 'block' : 'none';
+    }
+}
+
+/**
+ * Set the aggregation controls to a mode and re-render Work Patterns charts if they exist
+ */
+function applyAggregationMode(mode) {
+    const aggregateCheckbox = document.getElementById('aggregateDataCheckbox');
+    if (!aggregateCheckbox) return;
+
+    const aggregationAbsoluteBtn = document.getElementById('aggregationAbsolute');
+    const aggregationRelativeBtn = document.getElementById('aggregationRelative');
+
+    if (mode && aggregationAbsoluteBtn && aggregationRelativeBtn) {
+        const activeBtn = mode === 'absolute' ? aggregationAbsoluteBtn : aggregationRelativeBtn;
+        const inactiveBtn = mode === 'absolute' ? aggregationRelativeBtn : aggregationAbsoluteBtn;
+        activeBtn.classList.remove('btn-outline-secondary');
+        activeBtn.classList.add('btn-primary');
+        inactiveBtn.classList.remove('btn-primary');
+        inactiveBtn.classList.add('btn-outline-secondary');
+    }
+
+    aggregateCheckbox.checked = mode !== null;
+    updateAggregationControls(aggregateCheckbox.checked);
+
+    const selectedYears = Array.from(document.querySelectorAll('.year-checkbox:checked')).map(cb => cb.value);
+    toggleAggregationMode(aggregateCheckbox.checked, aggregateCheckbox.checked ? null : selectedYears);
+}
+
+// Browser back/forward - restore filters and tab from the URL
+window.addEventListener('popstate', function() {
+    const state = paramsToDashboardState(new URLSearchParams(window.location.search));
+
+    applyingUrlState = true;
+    applyDashboardState(state);
+
+    // The tab is shown after its transition - its "shown" handler must not push the restored state again
+    const tabChanged = activateDashboardTab(state.tab, () => {
+        applyingUrlState = false;
+    });
+    if (!tabChanged) {
+        reloadActiveTab();
+        applyingUrlState = false;
+    }
+});
+
 // =============================================================================
 // DOM CONTENT LOADED - FORM HANDLING & INITIALIZATION
 // =============================================================================
@@ -1282,27 +2293,15 @@ document.addEventListener('DOMContentLoaded', function() {
             const customInput = document.getElementById('customDays');
             if (customInput) customInput.value = '';
 
-            // Deselect all year checkboxes (mutual exclusion)
+            // Deselect date range and all year checkboxes (mutual exclusion)
+            clearDateRange();
             suppressYearChangeEvent = true;
             yearCheckboxes.forEach(cb => cb.checked = false);
             suppressYearChangeEvent = false;
             updateYearFilterDisplay();
 
             // Load data via AJAX
-            const activeTab = document.querySelector('.tab-pane.active');
-
-            if (activeTab && activeTab.id === 'editor-patterns') {
-                loadWorkPatternsData();
-            } else if (activeTab && activeTab.id === 'activity-log') {
-                loadAllActivityLogCharts(new FormData(form));
-            } else if (activeTab && activeTab.id === 'custom-heatmap') {
-                // Refresh heatmap only if already generated
-                if (typeof generateHeatmap === 'function' && currentHeatmapConfig !== null) {
-                    generateHeatmap();
-                }
-            } else {
-                loadChartsData(new FormData(form));
-            }
+            reloadActiveTab();
         });
     });
 
@@ -1320,23 +2319,12 @@ document.addEventListener('DOMContentLoaded', function() {
                 daysHidden.value = value;
             }
 
+            clearDateRange();
             suppressYearChangeEvent = true;
             yearCheckboxes.forEach(cb => cb.checked = false);
             suppressYearChangeEvent = false;
 
-            const activeTab = document.querySelector('.tab-pane.active');
-            if (activeTab && activeTab.id === 'editor-patterns') {
-                loadWorkPatternsData();
-            } else if (activeTab && activeTab.id === 'activity-log') {
-                loadAllActivityLogCharts(new FormData(form));
-            } else if (activeTab && activeTab.id === 'custom-heatmap') {
-                // Refresh heatmap only if already generated
-                if (typeof generateHeatmap === 'function' && currentHeatmapConfig !== null) {
-                    generateHeatmap();
-                }
-            } else {
-                loadChartsData(new FormData(form));
-            }
+            reloadActiveTab();
         }
 
         applyButton.addEventListener('click', submitCustomDays);
@@ -1351,9 +2339,17 @@ document.addEventListener('DOMContentLoaded', function() {
     // Handle user filter form submission
     form.addEventListener('submit', function(e) {
         e.preventDefault();
-        loadChartsData(new FormData(form));
+        updateUserFilterDisplay();
+        renderFilterChips();
+        reloadActiveTab();
     });
 
+    // Filter chips - remove all cross-filters at once
+    const clearFilterChipsButton = document.getElementById('clearFilterChips');
+    if (clearFilterChipsButton) {
+        clearFilterChipsButton.addEventListener('click', clearCrossFilters);
+    }
+
     // Year checkboxes - reload data when changed
     yearCheckboxes.forEach(checkbox => {
         checkbox.addEventListener('change', function() {
@@ -1365,26 +2361,89 @@ document.addEventListener('DOMContentLoaded', function() {
                     btn.classList.remove('btn-primary');
                     btn.classList.add('btn-outline-secondary');
                 });
+                clearDateRange();
             }
 
             updateYearFilterDisplay();
 
-            const activeTab = document.querySelector('.tab-pane.active');
-            if (activeTab && activeTab.id === 'editor-patterns') {
-                loadWorkPatternsData();
-            } else if (activeTab && activeTab.id === 'activity-log') {
-                loadAllActivityLogCharts(new FormData(form));
-            } else if (activeTab && activeTab.id === 'custom-heatmap') {
-                // Refresh heatmap only if already generated
-                if (typeof generateHeatmap === 'function' && currentHeatmapConfig !== null) {
-                    generateHeatmap();
-                }
-            } else {
-                loadChartsData(new FormData(form));
-            }
+            reloadActiveTab();
         });
     });
 
+    // Date range picker - apply / clear
+    const applyDateRangeButton = document.getElementById('applyDateRange');
+    const clearDateRangeButton = document.getElementById('clearDateRange');
+
+    if (applyDateRangeButton) {
+        applyDateRangeButton.addEventListener('click', function() {
+            const fromDate = document.getElementById('dateRangeFromDate').value;
+            const fromTime = document.getElementById('dateRangeFromTime').value;
+            const toDate = document.getElementById('dateRangeToDate').value;
+            const toTime = document.getElementById('dateRangeToTime').value;
+
+            if (!fromDate && !toDate) return;
+
+            const from = fromDate ? fromDate + (fromTime ? 'T' + fromTime : '') : '';
+            const to = toDate ? toDate + (toTime ? 'T' + toTime : '') : '';
+
+            // A date without time covers the whole day, so compare with the end of the "to" day
+            const fromValue = parseDateRangeValue(from);
+            const toValue = parseDateRangeValue(to.length === 10 ? to + 'T23:59' : to);
+            if (fromValue && toValue && fromValue > toValue) {
+                alert(LensT.dateRangeStartAfterEnd);
+                return;
+            }
+
+            form.querySelector('input[name="from"]').value = from;
+            form.querySelector('input[name="to"]').value = to;
+
+            // Mutual exclusion: the range replaces days and years
+            suppressYearChangeEvent = true;
+            yearCheckboxes.forEach(cb => cb.checked = false);
+            suppressYearChangeEvent = false;
+            updateYearFilterDisplay();
+            updateActiveButton(null);
+
+            reloadActiveTab();
+        });
+    }
+
+    if (clearDateRangeButton) {
+        clearDateRangeButton.addEventListener('click', function() {
+            const hadDateRange = getActiveDateRange() !== null;
+            clearDateRange();
+
+            if (hadDateRange) {
+                const daysHidden = form.querySelector('input[name="days"][type="hidden"]');
+                updateActiveButton(daysHidden ? parseInt(daysHidden.value, 10) : LensConfig.defaultDays);
+                reloadActiveTab();
+            }
+        });
+    }
+
+    // Tab switching - drop loads still running for the tab that was left
+    const statsTabs = document.getElementById('statsTabs');
+    if (statsTabs) {
+        statsTabs.addEventListener('shown.bs.tab', cancelInactiveTabRequests);
+    }
+
+    // Refresh button - reload the active tab from the server instead of the response cache
+    const refreshButton = document.getElementById('refreshData');
+    if (refreshButton) {
+        refreshButton.addEventListener('click', function() {
+            clearResponseCache();
+            reloadActiveTab();
+        });
+    }
+
+    // Cancel button on the loading indicator (offered for long loads)
+    const cancelLoadingButton = document.getElementById('cancelLoading');
+    if (cancelLoadingButton) {
+        cancelLoadingButton.addEventListener('click', function() {
+            cancelTabSections(getActiveTabKey());
+        });
+    }
+
     // Tab switching handlers
     const dataTab = document.getElementById('data-tab');
     const editorTab = document.getElementById('editor-tab');
@@ -1392,18 +2451,21 @@ document.addEventListener('DOMContentLoaded', function() {
 
     if (dataTab) {
         dataTab.addEventListener('shown.bs.tab', function() {
+            pushDashboardState();
             loadChartsData(new FormData(form));
         });
     }
 
     if (editorTab) {
         editorTab.addEventListener('shown.bs.tab', function(event) {
+            pushDashboardState();
             loadWorkPatternsData();
         });
     }
 
     if (activityTab) {
         activityTab.addEventListener('shown.bs.tab', function() {
+            pushDashboardState();
             if (typeof loadAllActivityLogCharts === 'function') {
                 loadAllActivityLogCharts(new FormData(form));
             }
@@ -1413,6 +2475,7 @@ document.addEventListener('DOMContentLoaded', function() {
     const heatmapTab = document.getElementById('heatmap-tab');
     if (heatmapTab) {
         heatmapTab.addEventListener('shown.bs.tab', function() {
+            pushDashboardState();
             // Refresh heatmap only if already generated
             if (typeof generateHeatmap === 'function' && currentHeatmapConfig !== null) {
                 generateHeatmap();
@@ -1420,15 +2483,37 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
 
-    // AUTO-LOAD: Load Tab 1 data on page load
-    loadChartsData(new FormData(form));
+    const historyTab = document.getElementById('record-history-tab');
+    if (historyTab) {
+        historyTab.addEventListener('shown.bs.tab', function() {
+            pushDashboardState();
+            // The lazy-loaded script loads the history itself when it is first shown
+            if (typeof loadRecordHistory === 'function') {
+                loadRecordHistory();
+            }
+        });
+    }
+
+    // Timeline granularity switchers - the whole tab is reloaded, its other sections come from the response cache
+    document.querySelectorAll('.timeline-granularity').forEach(select => {
+        select.addEventListener('change', function() {
+            timelineGranularity[select.dataset.section] = select.value;
+            reloadActiveTab();
+        });
+    });
+
+    // AUTO-LOAD: Restore state from the URL, then load the active tab
+    const initialState = paramsToDashboardState(new URLSearchParams(window.location.search));
+    applyDashboardState(initialState);
+
+    if (!activateDashboardTab(initialState.tab)) {
+        loadChartsData(new FormData(form));
+    }
 });
 
 // Aggregation checkbox event listener
 document.addEventListener('DOMContentLoaded', function() {
     const aggregateCheckbox = document.getElementById('aggregateDataCheckbox');
-    const helperText = document.getElementById('aggregateHelperText');
-    const aggregationTypeContainer = document.getElementById('aggregationTypeContainer');
 
     // Initialize original stats from PHP data
     originalHourStats = LensConfig.initialData.hourStats;
@@ -1436,15 +2521,28 @@ document.addEventListener('DOMContentLoaded', function() {
     originalDayOfMonthStats = LensConfig.initialData.dayOfMonthStats;
     originalMonthStats = LensConfig.initialData.monthStats;
 
+    // Distribution charts created after scrolling into view get the current aggregation mode and years
+    onLazyChartCreated(function(instanceKey) {
+        const updateChartMode = {
+            hourChart: updateHourChartMode,
+            dayChart: updateDayChartMode,
+            dayOfMonthChart: updateDayOfMonthChartMode,
+            monthChart: updateMonthChartMode
+        }[instanceKey];
+        if (!updateChartMode) return;
+
+        const selectedYears = Array.from(document.querySelectorAll('.year-checkbox:checked')).map(cb => cb.value);
+        if (aggregateCheckbox && aggregateCheckbox.checked) {
+            updateChartMode(true, selectedYears.length > 0 ? selectedYears : null);
+        } else {
+            updateChartMode(false, selectedYears);
+        }
+    });
+
     if (aggregateCheckbox) {
         aggregateCheckbox.addEventListener('change', function() {
-            if (this.checked) {
-                helperText.textContent = LensT.showsCombinedDataWithRangeShading;
-                if (aggregationTypeContainer) aggregationTypeContainer.style.display = 'block';
-            } else {
-                helperText.textContent = LensT.showsDataSplitByIndividualYears;
-                if (aggregationTypeContainer) aggregationTypeContainer.style.display = 'none';
-            }
+            updateAggregationControls(this.checked);
+            pushDashboardState();
 
             let selectedYears = null;
             if (!this.checked) {
@@ -1574,6 +2672,7 @@ document.addEventListener('DOMContentLoaded', function() {
             const aggregateCheckbox = document.getElementById('aggregateDataCheckbox');
             if (aggregateCheckbox && aggregateCheckbox.checked) {
                 toggleAggregationMode(true);
+                pushDashboardState();
             }
         });
 
@@ -1586,6 +2685,7 @@ document.addEventListener('DOMContentLoaded', function() {
             const aggregateCheckbox = document.getElementById('aggregateDataCheckbox');
             if (aggregateCheckbox && aggregateCheckbox.checked) {
                 toggleAggregationMode(true);
+                pushDashboardState();
             }
         });
     }
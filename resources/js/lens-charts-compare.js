@@ -0,0 +1,467 @@
+// =============================================================================
+// LENS CHARTS - COMPARISON MODULE (period-over-period overlays for Tab 1 and Tab 2)
+// =============================================================================
+
+// Last comparison received per tab ('content', 'patterns'), used to re-apply
+// overlays when charts are rebuilt without reloading data (aggregation toggle)
+const comparisonByTab = {};
+
+const comparisonColor = 'rgb(128, 128, 128)';
+const comparisonFillColor = 'rgba(128, 128, 128, 0.35)';
+
+const weekdayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Original y-axis tick callbacks of horizontal bar charts, before rank movement was added
+const originalTickCallbacks = new WeakMap();
+
+// Sum multi-year stats ({year: {key: count}}) into one {key: count} map
+function sumYearStats(stats) {
+    const totals = {};
+    for (const values of Object.values(stats || {})) {
+        for (const [key, count] of Object.entries(values)) {
+            totals[key] = (totals[key] || 0) + count;
+        }
+    }
+    return totals;
+}
+
+/**
+ * How the reference data of each chart is aligned with the chart labels:
+ * - label: same category label, extract returns {label: value}
+ * - time:  period labels shifted by the distance between both periods, extract returns {periodKey: value}
+ * - rank:  position in a top list, extract returns [[label, value], ...] sorted by value
+ * - index: fixed category order, extract returns [value, ...]
+ *
+ * "source" is the key of the reference data, "chart" the chart instance key (defaults to the overlay key),
+ * "datasetIndex" the current series the deltas are computed against (null = no deltas),
+ * "ranks" adds rank movement to horizontal bars,
+ * "granularity" the period of time labels (timeline cards use the granularity selected on the card).
+ */
+const comparisonOverlays = {
+    recordTypeChart: {
+        source: 'recordTypeStats',
+        align: 'label',
+        extract: (data) => Object.fromEntries(Object.entries(data).map(([key, value]) => [translateRecordType(key), value]))
+    },
+    mostEditedIndividualsChart: { source: 'mostEditedIndividuals', align: 'label', ranks: true, extract: (data) => data },
+    mostEditedFactsChart: { source: 'mostEditedFacts', align: 'label', ranks: true, extract: (data) => data },
+    mostAddedFactsChart: { source: 'mostAddedFacts', align: 'label', ranks: true, extract: (data) => data },
+    mostDeletedFactsChart: { source: 'mostDeletedFacts', align: 'label', ranks: true, extract: (data) => data },
+    mostChangedFactsPerIndividualChart: { source: 'mostChangedFactsPerIndividual', align: 'label', ranks: true, extract: (data) => data },
+    largestChangesChart: {
+        source: 'largestChanges',
+        align: 'rank',
+        extract: (data) => Object.entries(data).sort((a, b) => b[1] - a[1])
+    },
+    factCompleteness: {
+        source: 'factCompleteness',
+        align: 'time',
+        datasetIndex: 2,
+        extract: (data) => Object.fromEntries(Object.entries(data).map(([period, values]) => [period, values.net_gain]))
+    },
+    creationVsModificationCreations: {
+        chart: 'creationVsModification',
+        source: 'creationVsModification',
+        align: 'time',
+        datasetIndex: 0,
+        seriesLabel: () => LensT.creation,
+        extract: (data) => Object.fromEntries(Object.entries(data).map(([period, values]) => [period, values.creations]))
+    },
+    creationVsModificationModifications: {
+        chart: 'creationVsModification',
+        source: 'creationVsModification',
+        align: 'time',
+        datasetIndex: 1,
+        seriesLabel: () => LensT.modification,
+        extract: (data) => Object.fromEntries(Object.entries(data).map(([period, values]) => [period, values.modifications]))
+    },
+    userChart: { source: 'userStats', align: 'label', extract: (data) => data },
+    hourChart: {
+        source: 'hourStats',
+        align: 'label',
+        distribution: true,
+        extract: (data) => sumYearStats(data)
+    },
+    dayChart: {
+        source: 'dayStats',
+        align: 'label',
+        distribution: true,
+        extract: (data) => {
+            const totals = sumYearStats(data);
+            return Object.fromEntries(weekdayNames.map(day => [LensT[day.toLowerCase()], totals[day] || 0]));
+        }
+    },
+    dayOfMonthChart: {
+        source: 'dayOfMonthStats',
+        align: 'label',
+        distribution: true,
+        extract: (data) => Object.fromEntries(Object.entries(sumYearStats(data)).map(([day, value]) => [String(parseInt(day, 10)), value]))
+    },
+    monthChart: {
+        source: 'monthStats',
+        align: 'label',
+        distribution: true,
+        extract: (data) => {
+            const monthLabels = [
+                LensT.january, LensT.february, LensT.march, LensT.april, LensT.may, LensT.june,
+                LensT.july, LensT.august, LensT.september, LensT.october, LensT.november, LensT.december
+            ];
+            return Object.fromEntries(Object.entries(sumYearStats(data)).map(([month, value]) => [monthLabels[parseInt(month, 10) - 1], value]));
+        }
+    },
+    yearChart: { source: 'yearStats', align: 'time', granularity: 'year', extract: (data) => data },
+    biggestSessions: {
+        source: 'biggestWorkSessions',
+        align: 'rank',
+        extract: (data) => Object.entries(data)
+            .map(([date, session]) => [date + ' (' + session.users + ')', session.count])
+            .sort((a, b) => b[1] - a[1])
+    },
+    commitSize: {
+        source: 'commitSizeDistribution',
+        align: 'label',
+        extract: (data) => Object.fromEntries((data.bins || []).map((bin, i) => [bin, (data.counts || [])[i] || 0]))
+    },
+    changeStatus: {
+        source: 'changeStatusStats',
+        align: 'index',
+        extract: (data) => [data.accepted || 0, data.rejected || 0, data.pending || 0]
+    },
+    editingActivity: { source: 'editingActivityOverTime', align: 'time', extract: (data) => data },
+    editVelocity: {
+        source: 'editVelocity',
+        align: 'time',
+        extract: (data) => Object.fromEntries(Object.entries(data).map(([period, values]) => [period, values.count]))
+    },
+    sessionDuration: { source: 'sessionDuration', align: 'label', extract: (data) => data }
+};
+
+// =============================================================================
+// PERIOD HELPERS
+// =============================================================================
+
+// Parse a server period value ("Y-m-d H:i:s") as local time
+function parsePeriodDate(value) {
+    return new Date(value.replace(' ', 'T'));
+}
+
+// Format a server period for display (dates only)
+function formatPeriod(period) {
+    return period.from.substring(0, 10) + ' – ' + period.to.substring(0, 10);
+}
+
+/**
+ * Build a function mapping a current period label to the matching reference period label
+ */
+function getPeriodShifter(granularity, period, referencePeriod) {
+    const bucket = timelineBuckets[granularity];
+
+    // Shift by whole periods between the period starts
+    const shift = countTimelinePeriods(parsePeriodDate(referencePeriod.from), parsePeriodDate(period.from), granularity);
+    return (label) => {
+        const start = bucket.parseKey(label);
+        return start ? bucket.toKey(shiftTimelineDate(start, granularity, -shift)) : null;
+    };
+}
+
+// =============================================================================
+// OVERLAY RENDERING
+// =============================================================================
+
+// Find a chart instance in the Tab 1 / Tab 2 containers
+function getComparisonChart(instanceKey) {
+    return dataContentChartInstances[instanceKey] || workPatternsChartInstances[instanceKey] || null;
+}
+
+/**
+ * Reference values aligned with the chart labels, plus the reference label of each point
+ */
+function alignComparisonValues(spec, chart, referenceData, comparison, period) {
+    const labels = chart.data.labels;
+    const extracted = spec.extract(referenceData);
+
+    if (spec.align === 'rank') {
+        return {
+            values: labels.map((label, i) => extracted[i] ? extracted[i][1] : null),
+            referenceLabels: labels.map((label, i) => extracted[i] ? extracted[i][0] : null)
+        };
+    }
+
+    if (spec.align === 'index') {
+        return { values: labels.map((label, i) => extracted[i] ?? 0), referenceLabels: labels.slice() };
+    }
+
+    if (spec.align === 'time') {
+        // Without a current period start (all time) the timelines are aligned by position
+        if (!period) {
+            const referenceKeys = Object.keys(extracted).sort();
+            return {
+                values: labels.map((label, i) => referenceKeys[i] !== undefined ? extracted[referenceKeys[i]] : null),
+                referenceLabels: labels.map((label, i) => referenceKeys[i] ?? null)
+            };
+        }
+
+        const shift = getPeriodShifter(timelineGranularity[spec.source] || spec.granularity, period, comparison.period);
+        const referenceLabels = labels.map(label => shift(String(label)));
+        return {
+            values: referenceLabels.map(key => key !== null ? (extracted[key] || 0) : null),
+            referenceLabels: referenceLabels
+        };
+    }
+
+    // Distribution charts in relative mode show percentages of the total
+    let values = labels.map(label => extracted[label] || 0);
+    if (spec.distribution && getAggregationMode() === 'relative') {
+        const total = values.reduce((sum, value) => sum + value, 0);
+        values = values.map(value => total > 0 ? (value / total) * 100 : 0);
+    }
+
+    return { values, referenceLabels: labels.slice() };
+}
+
+// Rank movement text: ▲2 (moved up), ▼1 (moved down), = (same), "new" (not in reference top list)
+function formatRankMovement(movement) {
+    if (movement === null) return LensT.newEntry;
+    if (movement > 0) return '▲' + movement;
+    if (movement < 0) return '▼' + Math.abs(movement);
+    return '=';
+}
+
+function formatDelta(value, referenceValue) {
+    const delta = value - referenceValue;
+    const rounded = Math.round(delta * 100) / 100;
+    let text = (rounded > 0 ? '+' : '') + rounded;
+    if (referenceValue) {
+        const percent = Math.round((delta / referenceValue) * 1000) / 10;
+        text += ' (' + (percent > 0 ? '+' : '') + percent + '%)';
+    }
+    return text;
+}
+
+/**
+ * Rank of each label in a {label: value} map sorted by value (1 = highest)
+ */
+function getRanks(entries) {
+    const ranks = {};
+    entries.slice().sort((a, b) => b[1] - a[1]).forEach(([label], i) => {
+        ranks[label] = i + 1;
+    });
+    return ranks;
+}
+
+/**
+ * Overlay reference data on one chart
+ */
+function applyComparisonOverlay(overlayKey, spec, comparison, period) {
+    const chart = getComparisonChart(spec.chart || overlayKey);
+    const referenceData = comparison.data ? comparison.data[spec.source] : undefined;
+    if (!chart || referenceData === undefined || referenceData === null) return;
+
+    // Remove a previous overlay of the same series
+    chart.data.datasets = chart.data.datasets.filter(ds => ds.comparisonKey !== overlayKey);
+
+    const { values, referenceLabels } = alignComparisonValues(spec, chart, referenceData, comparison, period);
+    const chartType = chart.config.type;
+    const isCircular = chartType === 'pie' || chartType === 'doughnut';
+    const isHorizontal = chart.options.indexAxis === 'y';
+
+    // Distribution charts split by year have no single current series to compare with
+    let compareDatasetIndex = spec.datasetIndex !== undefined ? spec.datasetIndex : 0;
+    if (spec.distribution && getAggregationMode() === null) {
+        compareDatasetIndex = null;
+    }
+
+    const dataset = {
+        label: LensT.referencePeriod + (spec.seriesLabel ? ': ' + spec.seriesLabel() : ''),
+        data: values,
+        isComparison: true,
+        comparisonKey: overlayKey,
+        comparisonFor: compareDatasetIndex,
+        referenceLabels: referenceLabels
+    };
+
+    if (isCircular) {
+        // Inner ring in the same colors, faded
+        const current = chart.data.datasets[0];
+        Object.assign(dataset, {
+            backgroundColor: Array.isArray(current.backgroundColor)
+                ? current.backgroundColor.map(color => color.replace('rgb(', 'rgba(').replace(')', ', 0.5)'))
+                : current.backgroundColor,
+            borderWidth: 1,
+            weight: 0.6
+        });
+    } else if (isHorizontal || chartType === 'bar') {
+        Object.assign(dataset, {
+            type: isHorizontal ? 'bar' : 'line',
+            backgroundColor: isHorizontal ? comparisonFillColor : 'transparent',
+            borderColor: comparisonColor,
+            borderWidth: isHorizontal ? 1 : 2,
+            borderDash: [5, 5],
+            pointRadius: isHorizontal ? 0 : 2,
+            order: 0
+        });
+    } else {
+        Object.assign(dataset, {
+            borderColor: comparisonColor,
+            backgroundColor: 'transparent',
+            borderDash: [5, 5],
+            fill: false,
+            pointRadius: 2,
+            tension: 0.4
+        });
+    }
+
+    chart.data.datasets.push(dataset);
+
+    // Legend is hidden on single-series charts - show it so the reference series can be told apart
+    if (!isCircular && chart.options.plugins.legend && chart.options.plugins.legend.display === false) {
+        chart.options.plugins.legend.display = true;
+        chart.options.plugins.legend.position = 'top';
+    }
+
+    // Rank movement for top lists
+    let movements = null;
+    if (spec.ranks) {
+        const current = chart.data.datasets[0];
+        const currentRanks = getRanks(chart.data.labels.map((label, i) => [label, current.data[i]]));
+        const referenceRanks = getRanks(Object.entries(spec.extract(referenceData)));
+        movements = {};
+        for (const label of chart.data.labels) {
+            movements[label] = referenceRanks[label] !== undefined ? referenceRanks[label] - currentRanks[label] : null;
+        }
+
+        const ticks = chart.options.scales.y.ticks;
+        if (!originalTickCallbacks.has(chart)) {
+            originalTickCallbacks.set(chart, ticks.callback);
+        }
+        const originalCallback = originalTickCallbacks.get(chart);
+        ticks.callback = function(value, index, allTicks) {
+            const text = originalCallback ? originalCallback.call(this, value, index, allTicks) : this.getLabelForValue(value);
+            const label = this.getLabelForValue(value);
+            return movements[label] !== undefined ? text + ' ' + formatRankMovement(movements[label]) : text;
+        };
+    }
+
+    // Deltas in tooltips
+    chart.options.plugins.tooltip = chart.options.plugins.tooltip || {};
+    chart.options.plugins.tooltip.callbacks = chart.options.plugins.tooltip.callbacks || {};
+    chart.options.plugins.tooltip.callbacks.afterLabel = function(context) {
+        const datasets = context.chart.data.datasets;
+        const ds = datasets[context.datasetIndex];
+
+        if (ds.isComparison) {
+            const referenceLabel = ds.referenceLabels[context.dataIndex];
+            return referenceLabel && referenceLabel !== context.chart.data.labels[context.dataIndex]
+                ? '(' + referenceLabel + ')'
+                : '';
+        }
+
+        const lines = [];
+        const reference = datasets.find(item => item.isComparison && item.comparisonFor === context.datasetIndex);
+        if (reference && reference.data[context.dataIndex] !== null && reference.data[context.dataIndex] !== undefined) {
+            lines.push(LensT.difference + ': ' + formatDelta(context.raw, reference.data[context.dataIndex]));
+        }
+        if (movements && context.datasetIndex === 0) {
+            const label = context.chart.data.labels[context.dataIndex];
+            lines.push(LensT.rank + ': ' + (context.dataIndex + 1) + ' (' + formatRankMovement(movements[label]) + ')');
+        }
+        return lines;
+    };
+
+    chart.update();
+}
+
+/**
+ * Overlay the reference period on the charts of a tab section and describe it next to the compare selector
+ *
+ * @param {string} tab 'content' or 'patterns'
+ * @param {object} data Response of the data endpoint (one section of the tab)
+ */
+function applyComparison(tab, data) {
+    const info = document.getElementById('comparisonInfo');
+
+    if (data.comparison === undefined) {
+        comparisonByTab[tab] = null;
+        if (info) info.textContent = '';
+        return;
+    }
+
+    if (data.comparison === null) {
+        comparisonByTab[tab] = null;
+        if (info) info.textContent = LensT.comparisonNeedsLimitedPeriod;
+        return;
+    }
+
+    // Sections arrive one by one - keep the reference data of all of them for reapplyDistributionComparison()
+    const stored = comparisonByTab[tab];
+    const referenceData = Object.assign({}, stored ? stored.comparison.data : {}, data.comparison.data);
+    comparisonByTab[tab] = { comparison: Object.assign({}, data.comparison, { data: referenceData }), period: data.period };
+    if (info) info.textContent = LensT.comparedWithPeriod.replace('__PERIOD__', formatPeriod(data.comparison.period));
+
+    for (const [overlayKey, spec] of Object.entries(comparisonOverlays)) {
+        applyComparisonOverlay(overlayKey, spec, data.comparison, data.period);
+    }
+}
+
+// Charts created after scrolling into view get the overlays of the active tab
+document.addEventListener('DOMContentLoaded', function() {
+    onLazyChartCreated(function(instanceKey) {
+        const stored = comparisonByTab[getActiveTabKey()];
+        if (!stored) return;
+
+        for (const [overlayKey, spec] of Object.entries(comparisonOverlays)) {
+            if ((spec.chart || overlayKey) === instanceKey) {
+                applyComparisonOverlay(overlayKey, spec, stored.comparison, stored.period);
+            }
+        }
+    });
+});
+
+/**
+ * Re-apply overlays of the distribution charts after their datasets were rebuilt
+ */
+function reapplyDistributionComparison() {
+    const stored = comparisonByTab[getActiveTabKey()];
+    if (!stored) return;
+
+    for (const [overlayKey, spec] of Object.entries(comparisonOverlays)) {
+        if (spec.distribution) {
+            applyComparisonOverlay(overlayKey, spec, stored.comparison, stored.period);
+        }
+    }
+}
+
+// Compare selector - show custom range inputs and reload data
+document.addEventListener('DOMContentLoaded', function() {
+    const compareMode = document.getElementById('compareMode');
+    const customRange = document.getElementById('compareCustomRange');
+    const compareFrom = document.getElementById('compareFrom');
+    const compareTo = document.getElementById('compareTo');
+
+    if (!compareMode) return;
+
+    compareMode.addEventListener('change', function() {
+        if (customRange) {
+            customRange.style.display = compareMode.value === 'custom' ? '' : 'none';
+        }
+
+        // Custom comparison waits until both dates are picked, but the mode already belongs to the URL state
+        if (compareMode.value === 'custom' && (!compareFrom.value || !compareTo.value)) {
+            pushDashboardState();
+            return;
+        }
+
+        reloadActiveTab();
+    });
+
+    [compareFrom, compareTo].forEach(input => {
+        if (!input) return;
+        input.addEventListener('change', function() {
+            if (compareMode.value === 'custom' && compareFrom.value && compareTo.value) {
+                reloadActiveTab();
+            } else {
+                pushDashboardState();
+            }
+        });
+    });
+});
@@ -6,11 +6,16 @@
 // AJAX DATA LOADING
 // =============================================================================
 
-function loadChartsData(formData) {
-    const overlay = document.getElementById('chartsLoadingOverlay');
-    overlay.classList.add('active');
-    startLoadingTimer();
+// Data endpoint sections of Tab 1 => "no data" overlays of their cards
+const dataContentSections = {
+    records: ['recordTypeChartNoData', 'mostEditedIndividualsChartNoData'],
+    facts: ['mostEditedFactsChartNoData', 'mostAddedFactsChartNoData', 'mostDeletedFactsNoData', 'mostChangedFactsPerIndividualChartNoData'],
+    largestChanges: ['largestChangesChartNoData'],
+    factCompleteness: ['factCompletenessChartNoData'],
+    creationVsModification: ['creationVsModificationChartNoData']
+};
 
+function loadChartsData(formData) {
     const params = new URLSearchParams(formData);
 
     // Remove parameters already in route URL
@@ -18,57 +23,16 @@ function loadChartsData(formData) {
     params.delete('module');
     params.delete('tree');
 
-    // Set tab parameter for Tab 1 (Data Content)
-    params.set('tab', 'content');
-
-    // Collect selected years
-    const selectedYears = Array.from(document.querySelectorAll('.year-checkbox:checked')).map(cb => cb.value);
-
-    // Mutual exclusion: if years selected, remove days parameter
-    if (selectedYears.length > 0) {
-        params.delete('days');
-        selectedYears.forEach(year => params.append('years[]', year));
-    } else {
-        if (!params.has('days')) {
-            params.set('days', LensConfig.defaultDays);
-        }
-    }
-
-    let dataEndpointUrl = LensConfig.dataEndpointUrl;
-    const separator = dataEndpointUrl.includes('?') ? '&' : '?';
-    const endpointUrl = dataEndpointUrl + separator + params.toString();
+    // Global date filter (date range, years or days - mutually exclusive)
+    appendDateFilterParams(params);
 
-    fetch(endpointUrl)
-        .then(response => {
-            return response.text().then(text => {
-                try {
-                    const data = JSON.parse(text);
+    // Comparison overlays are collected again section by section
+    comparisonByTab.content = null;
 
-                    if (!response.ok) {
-                        throw new Error(data.message || data.error || 'HTTP ' + response.status);
-                    }
-
-                    return data;
-                } catch (parseError) {
-                    console.error('[ERROR] JSON parse failed:', parseError);
-                    console.error('[ERROR] Full response text:', text);
-                    throw new Error('Invalid JSON response - check console for details');
-                }
-            });
-        })
-        .then(data => {
-            updateDataContentCharts(data);
-            updateActiveButton(data.days);
-
-            stopLoadingTimer();
-            overlay.classList.remove('active');
-        })
-        .catch(error => {
-            console.error('[ERROR] Fetch failed:', error);
-            stopLoadingTimer();
-            overlay.classList.remove('active');
-            alert(LensT.errorLoadingData + ': ' + error.message);
-        });
+    loadTabSections('content', params, dataContentSections, data => {
+        updateDataContentCharts(data);
+        updateActiveButton(data.days);
+    });
 }
 
 // =============================================================================
@@ -76,55 +40,45 @@ function loadChartsData(formData) {
 // =============================================================================
 
 function updateDataContentCharts(data) {
-    // Step 1: Destroy all existing charts
-    destroyDataContentCharts();
-
-    // Step 2: Store original data for aggregation
-    if (data.hourStats) originalHourStats = data.hourStats;
-    if (data.dayStats) originalDayStats = data.dayStats;
-    if (data.dayOfMonthStats) originalDayOfMonthStats = data.dayOfMonthStats;
-    if (data.monthStats) originalMonthStats = data.monthStats;
-
-    // Step 3: Render all charts from data
-    renderRecordTypeChart(data.recordTypeStats);
-    renderUserChart(data.userStats);
-    renderHourChart(data.hourStats);
-    renderDayChart(data.dayStats);
-    renderDayOfMonthChart(data.dayOfMonthStats);
-    renderMonthChart(data.monthStats);
-    renderYearChart(data.yearStats);
-    renderMostEditedIndividualsChart(data.mostEditedIndividuals);
-    renderMostEditedFactsChart(data.mostEditedFacts);
-    renderMostAddedFactsChart(data.mostAddedFacts);
-    renderMostDeletedFactsChart(data.mostDeletedFacts);
-    renderMostChangedFactsPerIndividualChart(data.mostChangedFactsPerIndividual);
-    renderLargestChangesChart(data.largestChanges);
-
-    // Step 4: Render advanced charts if data provided
+    // Step 1: Render the charts of the sections in this response
+    // (sections arrive one by one - createUnifiedChart replaces the previous chart of each card)
+    if ('recordTypeStats' in data) {
+        renderRecordTypeChart(data.recordTypeStats);
+        renderMostEditedIndividualsChart(data.mostEditedIndividuals, data.mostEditedIndividualsXrefs);
+    }
+    if ('mostEditedFacts' in data) {
+        renderMostEditedFactsChart(data.mostEditedFacts);
+        renderMostAddedFactsChart(data.mostAddedFacts);
+        renderMostDeletedFactsChart(data.mostDeletedFacts);
+        renderMostChangedFactsPerIndividualChart(data.mostChangedFactsPerIndividual);
+    }
+    if ('largestChanges' in data) {
+        renderLargestChangesChart(data.largestChanges, data.largestChangesDetails);
+    }
+
+    // Step 2: Render advanced charts if data provided
     if (data.factCompleteness) renderFactCompletenessChart(data.factCompleteness);
     if (data.creationVsModification) renderCreationVsModificationChart(data.creationVsModification);
+
+    // Step 3: Overlay the reference period when comparing
+    applyComparison('content', data);
+
+    // Step 4: Show the sections that failed on the server
+    showSectionErrors(data);
 }
 
 // Function to update all charts with new data
 function updateAllCharts(data) {
-    // Destroy all existing chart instances
-    Object.keys(dataContentChartInstances).forEach(key => {
-        if (dataContentChartInstances[key]) {
-            dataContentChartInstances[key].destroy();
-            delete dataContentChartInstances[key];
-        }
-    });
-
-    // Render all charts using render functions
+    // Render all charts using render functions (createUnifiedChart replaces the previous chart of each card)
     if (data.recordTypeStats) renderRecordTypeChart(data.recordTypeStats);
-    if (data.largestChanges) renderLargestChangesChart(data.largestChanges);
-    if (data.userStats) renderUserChart(data.userStats);
+    if (data.largestChanges) renderLargestChangesChart(data.largestChanges, data.largestChangesDetails);
+    if (data.userStats) renderUserChart(data.userStats, data.userStatsIds);
     if (data.hourStats) renderHourChart(data.hourStats);
     if (data.dayStats) renderDayChart(data.dayStats);
     if (data.dayOfMonthStats) renderDayOfMonthChart(data.dayOfMonthStats);
     if (data.monthStats) renderMonthChart(data.monthStats);
     if (data.yearStats) renderYearChart(data.yearStats);
-    if (data.mostEditedIndividuals) renderMostEditedIndividualsChart(data.mostEditedIndividuals);
+    if (data.mostEditedIndividuals) renderMostEditedIndividualsChart(data.mostEditedIndividuals, data.mostEditedIndividualsXrefs);
     if (data.mostEditedFacts) renderMostEditedFactsChart(data.mostEditedFacts);
     if (data.mostAddedFacts) renderMostAddedFactsChart(data.mostAddedFacts);
     if (data.mostDeletedFacts) renderMostDeletedFactsChart(data.mostDeletedFacts);
@@ -155,6 +109,7 @@ function renderRecordTypeChart(data) {
             options: {
                 responsive: true,
                 maintainAspectRatio: true,
+                ...crossFilterChartOptions('recordTypes', (index) => Object.keys(data)[index]),
                 plugins: {
                     legend: { position: 'top' },
                     title: { display: false }
@@ -164,7 +119,7 @@ function renderRecordTypeChart(data) {
     });
 }
 
-function renderUserChart(data) {
+function renderUserChart(data, userIds = {}) {
     createUnifiedChart({
         instanceKey: 'userChart',
         canvasId: 'userChart',
@@ -183,6 +138,10 @@ function renderUserChart(data) {
             options: {
                 responsive: true,
                 maintainAspectRatio: true,
+                ...crossFilterChartOptions('users', (index) => {
+                    const userId = userIds[Object.keys(data)[index]];
+                    return userId !== undefined ? String(userId) : null;
+                }),
                 plugins: {
                     legend: { display: false }
                 },
@@ -462,7 +421,7 @@ function renderYearChart(data) {
 // HORIZONTAL BAR CHART FACTORY
 // =============================================================================
 
-function renderHorizontalBarChart(id, data, xAxisLabel, yAxisLabel, color, overlayIdOverride = null) {
+function renderHorizontalBarChart(id, data, xAxisLabel, yAxisLabel, color, overlayIdOverride = null, extraOptions = {}) {
     createUnifiedChart({
         instanceKey: id,
         canvasId: id,
@@ -482,6 +441,7 @@ function renderHorizontalBarChart(id, data, xAxisLabel, yAxisLabel, color, overl
                 indexAxis: 'y',
                 responsive: true,
                 maintainAspectRatio: false,
+                ...extraOptions,
                 plugins: { legend: { display: false } },
                 scales: {
                     x: {
@@ -506,12 +466,17 @@ function renderHorizontalBarChart(id, data, xAxisLabel, yAxisLabel, color, overl
 }
 
 // Wrapper functions for backwards compatibility
-function renderMostEditedIndividualsChart(data) {
-    renderHorizontalBarChart('mostEditedIndividualsChart', data, LensT.numberOfChanges, LensT.individual, chartColors.purple);
+function renderMostEditedIndividualsChart(data, xrefs = {}) {
+    renderHorizontalBarChart('mostEditedIndividualsChart', data, LensT.numberOfChanges, LensT.individual, chartColors.purple, null,
+        drillDownChartOptions((index, chart) => {
+            const name = chart.data.labels[index];
+            return xrefs[name] ? { title: LensT.mostEditedIndividuals + ': ' + name, xref: xrefs[name] } : null;
+        }));
 }
 
 function renderMostEditedFactsChart(data) {
-    renderHorizontalBarChart('mostEditedFactsChart', data, LensT.numberOfChanges, LensT.factType, chartColors.orange);
+    renderHorizontalBarChart('mostEditedFactsChart', data, LensT.numberOfChanges, LensT.factType, chartColors.orange, null,
+        crossFilterChartOptions('facts', (index, chart) => chart.data.labels[index]));
 }
 
 function renderMostAddedFactsChart(data) {
@@ -526,7 +491,7 @@ function renderMostChangedFactsPerIndividualChart(data) {
     renderHorizontalBarChart('mostChangedFactsPerIndividualChart', data, LensT.averageChangesPerIndividual, LensT.factType, chartColors.teal);
 }
 
-function renderLargestChangesChart(data) {
+function renderLargestChangesChart(data, details = {}) {
     createUnifiedChart({
         instanceKey: 'largestChangesChart',
         canvasId: 'largestChangesChart',
@@ -548,6 +513,20 @@ function renderLargestChangesChart(data) {
                     indexAxis: 'y',
                     responsive: true,
                     maintainAspectRatio: false,
+                    // A bar is one change - show its diff, or the changes of that record made in the same minute
+                    ...drillDownChartOptions((index, chart) => {
+                        const label = chart.data.labels[index];
+                        const detail = details[label];
+                        if (!detail) return null;
+                        const minute = detail.time.substring(0, 16).replace(' ', 'T');
+                        return {
+                            title: LensT.largestChanges + ': ' + label,
+                            xref: detail.xref,
+                            periodFrom: minute,
+                            periodTo: minute,
+                            changeId: detail.id
+                        };
+                    }),
                     plugins: {
                         legend: { display: false }
                     },
@@ -575,9 +554,9 @@ function renderLargestChangesChart(data) {
 }
 
 function renderFactCompletenessChart(data) {
-    // Fill missing months with zeros if timeline_display is 'show_zeros'
+    // Fill missing periods with zeros if timeline_display is 'show_zeros'
     if (LensConfig.timelineDisplay === 'show_zeros') {
-        data = fillMissingMonthsFactCompleteness(data);
+        data = fillTimeline(data, timelineGranularity.factCompleteness, { before_avg: 0, after_avg: 0, net_gain: 0 });
     }
 
     createUnifiedChart({
@@ -628,7 +607,7 @@ function renderFactCompletenessChart(data) {
                     },
                     scales: {
                         x: {
-                            title: { display: true, text: LensT.month }
+                            title: { display: true, text: LensT.timePeriod }
                         },
                         y: {
                             beginAtZero: true,
@@ -643,9 +622,9 @@ function renderFactCompletenessChart(data) {
 }
 
 function renderCreationVsModificationChart(data) {
-    // Fill missing months with zeros if timeline_display is 'show_zeros'
+    // Fill missing periods with zeros if timeline_display is 'show_zeros'
     if (LensConfig.timelineDisplay === 'show_zeros') {
-        data = fillMissingMonthsCreationMod(data);
+        data = fillTimeline(data, timelineGranularity.creationVsModification, { creations: 0, modifications: 0 });
     }
 
     createUnifiedChart({
@@ -691,7 +670,7 @@ function renderCreationVsModificationChart(data) {
                     scales: {
                         x: {
                             stacked: false,
-                            title: { display: true, text: LensT.month }
+                            title: { display: true, text: LensT.timePeriod }
                         },
                         y: {
                             stacked: false,
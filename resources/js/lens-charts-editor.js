@@ -6,6 +6,17 @@
 // AJAX DATA LOADING
 // =============================================================================
 
+// Data endpoint sections of Tab 2 => "no data" overlays of their cards
+const workPatternsSections = {
+    editorPatterns: ['userChartNoData', 'biggestWorkSessionsChartNoData', 'hourChartNoData', 'dayChartNoData', 'dayOfMonthChartNoData', 'monthChartNoData', 'yearChartNoData'],
+    editingActivityOverTime: ['editingActivityOverTimeChartNoData'],
+    contributionCalendar: ['contributionCalendarChartNoData'],
+    commitSizeDistribution: ['commitSizeChartNoData'],
+    changeStatusStats: ['changeStatusChartNoData'],
+    editVelocity: ['editVelocityChartNoData'],
+    sessionDuration: ['sessionDurationChartNoData']
+};
+
 function loadWorkPatternsData() {
     const form = document.getElementById('chartsFilterForm');
     if (!form) {
@@ -21,35 +32,16 @@ function loadWorkPatternsData() {
     params.delete('module');
     params.delete('tree');
 
-    // Set tab parameter for Tab 2 (Work Patterns)
-    params.set('tab', 'patterns');
+    // Global date filter (date range, years or days - mutually exclusive)
+    appendDateFilterParams(params);
 
-    // Collect selected years (if any)
-    const selectedYears = Array.from(document.querySelectorAll('.year-checkbox:checked')).map(cb => cb.value);
+    // Comparison overlays are collected again section by section
+    comparisonByTab.patterns = null;
 
-    // Mutual exclusion: if years selected, remove days parameter
-    if (selectedYears.length > 0) {
-        params.delete('days');
-        selectedYears.forEach(year => params.append('years[]', year));
-    } else {
-        if (!params.has('days')) {
-            params.set('days', LensConfig.defaultDays);
-        }
-    }
-
-    let dataEndpointUrl = LensConfig.dataEndpointUrl;
-    const separator = dataEndpointUrl.includes('?') ? '&' : '?';
-    const endpointUrl = dataEndpointUrl + separator + params.toString();
-
-    fetch(endpointUrl)
-        .then(response => response.json())
-        .then(data => {
-            updateWorkPatternsCharts(data);
-            updateActiveButton(data.days);
-        })
-        .catch(error => {
-            console.error('Error loading Work Patterns data:', error);
-        });
+    loadTabSections('patterns', params, workPatternsSections, data => {
+        updateWorkPatternsCharts(data);
+        updateActiveButton(data.days);
+    });
 }
 
 // =============================================================================
@@ -71,13 +63,13 @@ function updateWorkPatternsCharts(data) {
         originalMonthStats = data.monthStats;
     }
 
-    // Step 2: Destroy Tab 2-specific charts
-    destroyWorkPatternsCharts();
-
-    // Step 3: Reuse updateAllCharts() for common charts
-    updateAllCharts(data);
+    // Step 2: Reuse updateAllCharts() for the charts of the editor patterns section
+    // (sections arrive one by one - createUnifiedChart replaces the previous chart of each card)
+    if ('userStats' in data) {
+        updateAllCharts(data);
+    }
 
-    // Step 4: Render Tab 2-specific charts
+    // Step 3: Render Tab 2-specific charts
     if (data.biggestWorkSessions) {
         renderBiggestSessionsChart(data.biggestWorkSessions);
     }
@@ -94,6 +86,10 @@ function updateWorkPatternsCharts(data) {
         renderEditingActivityChart(data.editingActivityOverTime);
     }
 
+    if (data.contributionCalendar) {
+        renderContributionCalendarChart(data.contributionCalendar);
+    }
+
     if (data.editVelocity) {
         renderEditVelocityChart(data.editVelocity);
     }
@@ -102,12 +98,18 @@ function updateWorkPatternsCharts(data) {
         renderSessionDurationChart(data.sessionDuration);
     }
 
+    // Step 4: Overlay the reference period when comparing
+    applyComparison('patterns', data);
+
     // Step 5: Re-apply aggregation if checkbox is checked
     const aggregateCheckbox = document.getElementById('aggregateDataCheckbox');
-    if (aggregateCheckbox && aggregateCheckbox.checked) {
+    if ('hourStats' in data && aggregateCheckbox && aggregateCheckbox.checked) {
         const selectedYears = Array.from(document.querySelectorAll('.year-checkbox:checked')).map(cb => cb.value);
         toggleAggregationMode(true, selectedYears.length > 0 ? selectedYears : null);
     }
+
+    // Step 6: Show the sections that failed on the server
+    showSectionErrors(data);
 }
 
 // =============================================================================
@@ -143,6 +145,10 @@ function renderBiggestSessionsChart(data) {
                 options: {
                     responsive: true,
                     maintainAspectRatio: true,
+                    ...drillDownChartOptions((index) => {
+                        const date = Object.keys(data)[index];
+                        return { title: LensT.biggestWorkSessions + ': ' + date, periodFrom: date, periodTo: date };
+                    }),
                     plugins: {
                         legend: { display: false }
                     },
@@ -232,18 +238,13 @@ function renderCommitSizeChart(data) {
 function renderChangeStatusChart(data) {
     const total = (data.accepted || 0) + (data.rejected || 0) + (data.pending || 0);
 
-    // Only render if there's data
-    if (total === 0) {
-        const overlay = document.getElementById('changeStatusChartNoData');
-        if (overlay) overlay.style.display = 'flex';
-        return;
-    }
-
     createUnifiedChart({
         instanceKey: 'changeStatus',
         canvasId: 'changeStatusChart',
         overlayId: 'changeStatusChartNoData',
         data: data,
+        // Only render if there's data
+        hasDataCheck: () => total > 0,
         buildChartConfig: (data) => {
             return {
                 type: 'doughnut',
@@ -270,6 +271,10 @@ function renderChangeStatusChart(data) {
                 options: {
                     responsive: true,
                     maintainAspectRatio: true,
+                    ...drillDownChartOptions((index) => {
+                        const status = ['accepted', 'rejected', 'pending'][index];
+                        return { title: LensT.changeStatus + ': ' + LensT[status], status: status };
+                    }),
                     plugins: {
                         legend: { display: true, position: 'top' },
                         tooltip: {
@@ -291,9 +296,9 @@ function renderChangeStatusChart(data) {
 
 // Render Editing Activity Over Time Chart (Line)
 function renderEditingActivityChart(data) {
-    // Fill missing weeks with zeros if timeline_display is 'show_zeros'
+    // Fill missing periods with zeros if timeline_display is 'show_zeros'
     if (LensConfig.timelineDisplay === 'show_zeros') {
-        data = fillMissingWeeks(data);
+        data = fillTimeline(data, timelineGranularity.editingActivityOverTime);
     }
 
     createUnifiedChart({
@@ -318,6 +323,16 @@ function renderEditingActivityChart(data) {
                 options: {
                     responsive: true,
                     maintainAspectRatio: true,
+                    ...drillDownChartOptions((index, chart) => {
+                        const period = chart.data.labels[index];
+                        const days = getTimelinePeriodDays(period, timelineGranularity.editingActivityOverTime);
+                        if (!days) return null;
+                        return {
+                            title: LensT.editingActivityOverTime + ': ' + period,
+                            periodFrom: days.from,
+                            periodTo: days.to
+                        };
+                    }),
                     plugins: {
                         legend: { display: false }
                     },
@@ -337,11 +352,191 @@ function renderEditingActivityChart(data) {
     }, workPatternsChartInstances);
 }
 
+// Contribution calendar: color of days without changes, then of the four activity levels (quartiles of the active days)
+const contributionCalendarColors = ['#ebedf0', '#9be9a8', '#40c463', '#30a14e', '#216e39'];
+
+// Height of one weekday row of the contribution calendar (pixels); each year block has 7 rows and a gap row
+const CONTRIBUTION_CALENDAR_ROW_HEIGHT = 14;
+
+/**
+ * Cells of the contribution calendar: one per day, x = week of the year (weeks start on Monday),
+ * y = row (year blocks from the latest year down, 8 rows each: Monday to Sunday and a gap)
+ *
+ * @param {object<string,number>} days Date (YYYY-MM-DD) => number of changes
+ * @param {string} today Date of the server (YYYY-MM-DD), later days are left out
+ * @return {{cells: object[], years: number[]}}
+ */
+function getContributionCalendarCells(days, today) {
+    const dates = Object.keys(days).sort();
+    const firstYear = parseInt(dates[0], 10);
+    const lastYear = parseInt(dates[dates.length - 1], 10);
+    const end = Date.parse(today + 'T00:00:00Z');
+    const years = [];
+    const cells = [];
+
+    for (let year = lastYear; year >= firstYear; year--) {
+        const block = years.length;
+        const start = Date.UTC(year, 0, 1);
+        const startWeekday = (new Date(start).getUTCDay() + 6) % 7;
+        years.push(year);
+
+        for (let time = start; time < Date.UTC(year + 1, 0, 1) && time <= end; time += 86400000) {
+            const dayOfYear = Math.round((time - start) / 86400000);
+            const date = new Date(time).toISOString().slice(0, 10);
+            cells.push({
+                x: Math.floor((dayOfYear + startWeekday) / 7),
+                y: block * 8 + (dayOfYear + startWeekday) % 7,
+                v: days[date] || 0,
+                date: date
+            });
+        }
+    }
+
+    return { cells: cells, years: years };
+}
+
+// Render Contribution Calendar (Matrix: weeks x weekdays, one block per year)
+function renderContributionCalendarChart(data) {
+    const activeDays = data.days && !Array.isArray(data.days) ? Object.keys(data.days).length : 0;
+
+    // Update stats row
+    const statsRow = document.getElementById('contributionCalendarStatsRow');
+    if (statsRow) {
+        statsRow.style.display = activeDays > 0 ? 'flex' : 'none';
+        document.getElementById('contributionCalendarCurrentStreak').textContent = data.currentStreakLabel;
+        document.getElementById('contributionCalendarLongestStreak').textContent = data.longestStreakLabel;
+        document.getElementById('contributionCalendarActiveDays').textContent = data.activeDays;
+    }
+
+    const calendar = activeDays > 0 ? getContributionCalendarCells(data.days, data.today) : { cells: [], years: [] };
+    const rows = calendar.years.length * 8 - 1;
+    const container = document.getElementById('contributionCalendarContainer');
+    if (container && rows > 0) {
+        // Room for the axes below and left of the cells
+        container.style.height = (rows * CONTRIBUTION_CALENDAR_ROW_HEIGHT + 50) + 'px';
+    }
+
+    // Activity levels: quartiles of the days with changes
+    const counts = calendar.cells.map(d => d.v).filter(v => v > 0).sort((a, b) => a - b);
+    const limits = [0.25, 0.5, 0.75].map(q => counts[Math.floor(q * (counts.length - 1))]);
+    const getLevel = value => value === 0 ? 0 : 1 + limits.filter(limit => value > limit).length;
+
+    // Month names above the first week of each month (weeks of the latest year)
+    const lang = document.documentElement.lang || undefined;
+    const monthWeeks = {};
+    if (calendar.years.length > 0) {
+        const year = calendar.years[0];
+        const startWeekday = (new Date(Date.UTC(year, 0, 1)).getUTCDay() + 6) % 7;
+        for (let month = 0; month < 12; month++) {
+            const dayOfYear = Math.round((Date.UTC(year, month, 1) - Date.UTC(year, 0, 1)) / 86400000);
+            monthWeeks[Math.floor((dayOfYear + startWeekday) / 7)] = new Date(Date.UTC(year, month, 1))
+                .toLocaleDateString(lang, { month: 'short', timeZone: 'UTC' });
+        }
+    }
+
+    createUnifiedChart({
+        instanceKey: 'contributionCalendar',
+        canvasId: 'contributionCalendarChart',
+        overlayId: 'contributionCalendarChartNoData',
+        data: calendar,
+        hasDataCheck: (d) => d.cells.length > 0,
+        buildChartConfig: (calendar) => {
+            return {
+                type: 'matrix',
+                data: {
+                    datasets: [{
+                        label: LensT.numberOfChanges,
+                        data: calendar.cells,
+                        // One row per day in data exports (see getCalendarExportTable)
+                        calendar: true,
+                        backgroundColor: function(context) {
+                            const value = context.dataset.data[context.dataIndex]?.v || 0;
+                            return contributionCalendarColors[getLevel(value)];
+                        },
+                        borderWidth: 0,
+                        width: function(context) {
+                            const area = context.chart.chartArea;
+                            if (!area) return 10;
+                            return (area.right - area.left) / 54 - 2;
+                        },
+                        height: function(context) {
+                            const area = context.chart.chartArea;
+                            if (!area) return 10;
+                            return (area.bottom - area.top) / rows - 2;
+                        }
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    ...drillDownChartOptions((index, chart) => {
+                        const d = chart.data.datasets[0].data[index];
+                        if (d.v === 0) return null;
+                        return { title: LensT.contributionCalendar + ': ' + d.date, periodFrom: d.date, periodTo: d.date };
+                    }),
+                    plugins: {
+                        legend: { display: false },
+                        tooltip: {
+                            callbacks: {
+                                title: function(items) {
+                                    const d = items[0].dataset.data[items[0].dataIndex];
+                                    return new Date(d.date + 'T00:00:00Z').toLocaleDateString(lang, {
+                                        weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC'
+                                    });
+                                },
+                                label: function(context) {
+                                    return LensT.numberOfChanges + ': ' + context.dataset.data[context.dataIndex].v;
+                                }
+                            }
+                        }
+                    },
+                    scales: {
+                        x: {
+                            type: 'linear',
+                            position: 'top',
+                            min: -0.5,
+                            max: 53.5,
+                            grid: { display: false },
+                            border: { display: false },
+                            ticks: {
+                                stepSize: 1,
+                                autoSkip: false,
+                                maxRotation: 0,
+                                callback: value => monthWeeks[value] || ''
+                            }
+                        },
+                        y: {
+                            type: 'linear',
+                            reverse: true,
+                            min: -0.5,
+                            max: rows - 0.5,
+                            grid: { display: false },
+                            border: { display: false },
+                            ticks: {
+                                stepSize: 1,
+                                autoSkip: false,
+                                // The year in the middle (Thursday) row of its block
+                                callback: value => value % 8 === 3 ? String(calendar.years[Math.floor(value / 8)]) : ''
+                            }
+                        }
+                    }
+                }
+            };
+        }
+    }, workPatternsChartInstances);
+}
+
 // Render Edit Velocity Trend Chart (Line with moving average)
 function renderEditVelocityChart(data) {
-    // Fill missing weeks with zeros if timeline_display is 'show_zeros'
+    // Fill missing periods with zeros if timeline_display is 'show_zeros'
     if (LensConfig.timelineDisplay === 'show_zeros') {
-        data = fillMissingWeeksVelocity(data);
+        data = fillTimeline(data, timelineGranularity.editVelocity, { count: 0, moving_avg: null });
+
+        // Recalculate the 4-period moving average over the filled periods
+        const counts = Object.values(data).map(values => values.count);
+        Object.values(data).forEach((values, i) => {
+            values.moving_avg = i < 3 ? null : (counts[i] + counts[i - 1] + counts[i - 2] + counts[i - 3]) / 4;
+        });
     }
 
     createUnifiedChart({
@@ -0,0 +1,635 @@
+// =============================================================================
+// LENS CHARTS - CHART EXPORT (per-card menu: PNG and SVG images, CSV, JSON and XLSX data)
+// =============================================================================
+
+// Exported images get a white background and a header with the card title, the active filters
+// and (for charts without their own legend) a legend, so they can be pasted into documents as they are.
+// Exported data is read from the chart itself, so it holds exactly the series shown: filled timelines,
+// the aggregation mode, the selected years and the comparison period.
+
+// svgcanvas records canvas drawing as SVG; the copy in resources/js/vendor is loaded on the first SVG export
+let svgCanvasModule = null;
+
+// SheetJS writes XLSX workbooks; the copy in resources/js/vendor is loaded on the first XLSX export
+let sheetJsModule = null;
+
+// Header layout of exported images (CSS pixels)
+const EXPORT_PADDING = 16;
+const EXPORT_TITLE_FONT = 'bold 16px sans-serif';
+const EXPORT_TEXT_FONT = '12px sans-serif';
+const EXPORT_TITLE_LINE_HEIGHT = 22;
+const EXPORT_TEXT_LINE_HEIGHT = 16;
+const EXPORT_LEGEND_SWATCH = 12;
+// Small multiples of a faceted heatmap per row of an exported image
+const EXPORT_FACET_COLUMNS = 3;
+
+// Formats of the export menu: format => { group, label, run(charts, title) }, grouped under a divider
+const chartExportFormats = {
+    png: { group: 'image', label: () => LensT.pngImage, run: exportChartPng },
+    svg: { group: 'image', label: () => LensT.svgImage, run: exportChartSvg },
+    csv: { group: 'data', label: () => LensT.csvFile, run: exportChartCsv },
+    json: { group: 'data', label: () => LensT.jsonFile, run: exportChartJson },
+    xlsx: { group: 'data', label: () => LensT.xlsxFile, run: exportChartXlsx }
+};
+
+/**
+ * Find the chart drawn on a canvas in the chart instances of the dashboard tabs
+ */
+function getExportableChart(canvasId) {
+    const instanceMaps = [dataContentChartInstances, workPatternsChartInstances];
+    if (typeof heatmapChartInstances !== 'undefined') instanceMaps.push(heatmapChartInstances);
+    if (typeof activityLogChartInstances !== 'undefined') instanceMaps.push(activityLogChartInstances);
+
+    for (const instances of instanceMaps) {
+        const chart = Object.values(instances).find(instance => instance && instance.canvas && instance.canvas.id === canvasId);
+        if (chart) return chart;
+    }
+    return null;
+}
+
+/**
+ * Charts of a card to export: its chart, or the small multiples of a faceted heatmap (canvases with a facet label)
+ *
+ * @return {object[]} Empty until the card has been drawn
+ */
+function getCardExportCharts(card) {
+    const facetCanvases = card.querySelectorAll('canvas[data-facet-label]');
+    const canvases = facetCanvases.length > 0 ? Array.from(facetCanvases) : [card.querySelector('canvas')];
+
+    return canvases
+        .map(canvas => canvas ? getExportableChart(canvas.id) : null)
+        .filter(chart => chart !== null);
+}
+
+/**
+ * Describe the active filters, one line per filter
+ */
+function getExportFilterSummary() {
+    const state = getDashboardState();
+    const lines = [];
+
+    if (state.from || state.to) {
+        lines.push(LensT.timePeriod + ': ' + (state.from || '…').replace('T', ' ') + ' – ' + (state.to || '…').replace('T', ' '));
+    } else if (state.years.length > 0) {
+        lines.push(LensT.year + ': ' + state.years.join(', '));
+    } else if (state.days > 0) {
+        lines.push(LensT.analyzingChangesFromTheLastDays.replace('__DAYS__', state.days));
+    } else {
+        lines.push(LensT.showingStatisticsForAllTime);
+    }
+
+    if (state.users.length > 0) {
+        const names = state.users.map(userId => {
+            const checkbox = document.querySelector('.user-checkbox[value="' + CSS.escape(userId) + '"]');
+            const label = checkbox ? document.querySelector('label[for="' + checkbox.id + '"]') : null;
+            return label ? label.textContent.trim() : userId;
+        });
+        lines.push(LensT.users + ': ' + names.join(', '));
+    } else {
+        lines.push(LensT.showingDataForAllUsers);
+    }
+
+    // Record type and fact filters do not apply to the Activity Log
+    if (state.tab !== 'activity') {
+        if (state.recordTypes.length > 0) {
+            lines.push(LensT.recordType + ': ' + state.recordTypes.map(translateRecordType).join(', '));
+        }
+        if (state.facts.length > 0) {
+            lines.push(LensT.factType + ': ' + state.facts.join(', '));
+        }
+    }
+
+    const stored = comparisonByTab[state.tab];
+    if (stored && stored.comparison && stored.comparison.period) {
+        lines.push(LensT.comparedWithPeriod.replace('__PERIOD__', formatPeriod(stored.comparison.period)));
+    }
+
+    return lines;
+}
+
+/**
+ * Legend entries for charts that do not show their own legend ({text, color})
+ */
+function getExportLegendItems(chart) {
+    // The heatmap colors cells by value, a legend by dataset would not help
+    if (!chart.legend || chart.legend.options.display || chart.config.type === 'matrix') {
+        return [];
+    }
+
+    return chart.legend.options.labels.generateLabels(chart)
+        .filter(item => item.text && !item.hidden)
+        .map(item => ({
+            text: item.text,
+            color: typeof item.fillStyle === 'string' ? item.fillStyle : (item.strokeStyle || chartColors.blue)
+        }));
+}
+
+/**
+ * Split text into lines no wider than maxWidth (in the current font of the context)
+ */
+function wrapExportText(ctx, text, maxWidth) {
+    const lines = [];
+    let line = '';
+
+    String(text).split(' ').forEach(word => {
+        const candidate = line === '' ? word : line + ' ' + word;
+        if (line !== '' && ctx.measureText(candidate).width > maxWidth) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    });
+    lines.push(line);
+
+    return lines;
+}
+
+/**
+ * Lay out the header of an exported chart: title, filter summary and legend
+ *
+ * @return {{width: number, height: number, lines: object[], legend: object[]}} Positions in CSS pixels
+ */
+function layoutExportHeader(chart, title, width = chart.width) {
+    const ctx = document.createElement('canvas').getContext('2d');
+    const maxWidth = width - 2 * EXPORT_PADDING;
+    const lines = [];
+    const legend = [];
+    let y = EXPORT_PADDING;
+
+    ctx.font = EXPORT_TITLE_FONT;
+    wrapExportText(ctx, title, maxWidth).forEach(text => {
+        lines.push({ text, y, font: EXPORT_TITLE_FONT, color: '#212529' });
+        y += EXPORT_TITLE_LINE_HEIGHT;
+    });
+
+    ctx.font = EXPORT_TEXT_FONT;
+    getExportFilterSummary().forEach(summary => {
+        wrapExportText(ctx, summary, maxWidth).forEach(text => {
+            lines.push({ text, y, font: EXPORT_TEXT_FONT, color: '#6c757d' });
+            y += EXPORT_TEXT_LINE_HEIGHT;
+        });
+    });
+
+    // Legend entries side by side, wrapped to the chart width
+    const items = getExportLegendItems(chart);
+    if (items.length > 0) {
+        y += EXPORT_TEXT_LINE_HEIGHT / 2;
+        let x = EXPORT_PADDING;
+        items.forEach(item => {
+            const itemWidth = EXPORT_LEGEND_SWATCH + 6 + ctx.measureText(item.text).width;
+            if (x > EXPORT_PADDING && x + itemWidth > width - EXPORT_PADDING) {
+                x = EXPORT_PADDING;
+                y += EXPORT_TEXT_LINE_HEIGHT;
+            }
+            legend.push({ text: item.text, color: item.color, x, y });
+            x += itemWidth + EXPORT_PADDING;
+        });
+        y += EXPORT_TEXT_LINE_HEIGHT;
+    }
+
+    return { width, height: y + EXPORT_PADDING / 2, lines, legend };
+}
+
+/**
+ * Lay out an exported image: the header, then the chart - or the small multiples in a grid, each below its facet label
+ *
+ * @return {{header: object, height: number, cells: {chart: object, caption: string|null, x: number, y: number}[]}}
+ */
+function layoutExportFigure(charts, title) {
+    const faceted = charts[0].canvas.dataset.facetLabel !== undefined;
+    const columns = faceted ? Math.min(charts.length, EXPORT_FACET_COLUMNS) : 1;
+    const captionHeight = faceted ? EXPORT_TITLE_LINE_HEIGHT : 0;
+    const cellWidth = Math.max(...charts.map(chart => chart.width));
+    const cellHeight = captionHeight + Math.max(...charts.map(chart => chart.height));
+
+    const header = layoutExportHeader(charts[0], title, columns * cellWidth + (columns - 1) * EXPORT_PADDING);
+    const cells = charts.map((chart, index) => ({
+        chart,
+        caption: faceted ? chart.canvas.dataset.facetLabel : null,
+        x: (index % columns) * (cellWidth + EXPORT_PADDING),
+        y: header.height + Math.floor(index / columns) * (cellHeight + EXPORT_PADDING) + captionHeight
+    }));
+    const rows = Math.ceil(charts.length / columns);
+
+    return { header, height: header.height + rows * (cellHeight + EXPORT_PADDING), cells };
+}
+
+/**
+ * Draw the background and header of an exported chart (canvas or svgcanvas context)
+ */
+function drawExportHeader(ctx, layout, height) {
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, layout.width, height);
+
+    ctx.textBaseline = 'top';
+    layout.lines.forEach(line => {
+        ctx.font = line.font;
+        ctx.fillStyle = line.color;
+        ctx.fillText(line.text, EXPORT_PADDING, line.y);
+    });
+
+    ctx.font = EXPORT_TEXT_FONT;
+    layout.legend.forEach(item => {
+        ctx.fillStyle = item.color;
+        ctx.fillRect(item.x, item.y + 1, EXPORT_LEGEND_SWATCH, EXPORT_LEGEND_SWATCH);
+        ctx.fillStyle = '#212529';
+        ctx.fillText(item.text, item.x + EXPORT_LEGEND_SWATCH + 6, item.y);
+    });
+}
+
+/**
+ * Draw the facet labels above the small multiples of an exported image
+ */
+function drawExportCaptions(ctx, figure) {
+    ctx.font = EXPORT_TITLE_FONT;
+    ctx.fillStyle = '#212529';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    figure.cells.filter(cell => cell.caption !== null).forEach(cell => {
+        ctx.fillText(cell.caption, cell.x + cell.chart.width / 2, cell.y - 4);
+    });
+    ctx.textAlign = 'left';
+}
+
+/**
+ * File name for an export: the chart title and today's date
+ */
+function getExportFileName(title, extension) {
+    const slug = title.toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+
+    return (slug || 'chart') + '-' + dateToDayString(new Date()) + '.' + extension;
+}
+
+/**
+ * Save a blob as a file download
+ */
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * PNG image of the charts as drawn on screen, at the screen's pixel density
+ */
+function exportChartPng(charts, title) {
+    const figure = layoutExportFigure(charts, title);
+    const ratio = charts[0].currentDevicePixelRatio || window.devicePixelRatio || 1;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(figure.header.width * ratio);
+    canvas.height = Math.round(figure.height * ratio);
+
+    const ctx = canvas.getContext('2d');
+    ctx.scale(ratio, ratio);
+    drawExportHeader(ctx, figure.header, figure.height);
+    drawExportCaptions(ctx, figure);
+    figure.cells.forEach(cell => ctx.drawImage(cell.chart.canvas, cell.x, cell.y, cell.chart.width, cell.chart.height));
+
+    canvas.toBlob(blob => downloadBlob(blob, getExportFileName(title, 'png')), 'image/png');
+}
+
+/**
+ * SVG image of the charts: each chart is drawn again into an SVG recording context
+ */
+function exportChartSvg(charts, title) {
+    if (svgCanvasModule === null) {
+        svgCanvasModule = import(LensConfig.svgCanvasUrl);
+    }
+
+    svgCanvasModule
+        .then(({ Context, Element }) => {
+            const figure = layoutExportFigure(charts, title);
+
+            const header = new Context({ width: figure.header.width, height: figure.height });
+            drawExportHeader(header, figure.header, figure.height);
+            drawExportCaptions(header, figure);
+
+            figure.cells.forEach(({ chart, x, y }) => {
+                // Same config, drawn once at the on-screen size without animation or interaction
+                const element = new Element({ width: chart.width, height: chart.height });
+                const copy = new Chart(element, {
+                    type: chart.config.type,
+                    data: chart.config.data,
+                    options: Object.assign({}, chart.config.options, {
+                        animation: false,
+                        responsive: false,
+                        maintainAspectRatio: false,
+                        devicePixelRatio: 1,
+                        events: []
+                    }),
+                    plugins: chart.config.plugins,
+                    platform: Chart.BasicPlatform
+                });
+                const chartSvg = element.svg.cloneNode(true);
+                copy.destroy();
+
+                chartSvg.setAttribute('x', x);
+                chartSvg.setAttribute('y', y);
+                header.getSvg().appendChild(chartSvg);
+            });
+
+            const blob = new Blob([header.getSerializedSvg(true)], { type: 'image/svg+xml;charset=utf-8' });
+            downloadBlob(blob, getExportFileName(title, 'svg'));
+        })
+        .catch(error => {
+            // Allow another attempt to load the library
+            svgCanvasModule = null;
+            console.error('[ERROR] SVG export failed:', error);
+            alert(LensT.exportFailed + ': ' + error.message);
+        });
+}
+
+// =============================================================================
+// DATA EXPORT
+// =============================================================================
+
+/**
+ * Table of the values shown in the charts of a card; the tables of small multiples are stacked behind a facet column
+ *
+ * @return {{columns: string[], rows: Array<Array<string|number|null>>}}
+ */
+function getCardExportTable(charts) {
+    const facetDimension = charts[0].canvas.dataset.facetDimension;
+    if (facetDimension === undefined) {
+        return getChartExportTable(charts[0]);
+    }
+
+    const tables = charts.map(chart => getChartExportTable(chart));
+
+    return {
+        columns: [facetDimension].concat(tables[0].columns),
+        rows: tables.flatMap((table, index) => table.rows.map(row => [charts[index].canvas.dataset.facetLabel].concat(row)))
+    };
+}
+
+/**
+ * Table of the values shown in a chart: one row per label, one column per visible dataset
+ *
+ * @return {{columns: string[], rows: Array<Array<string|number|null>>}}
+ */
+function getChartExportTable(chart) {
+    if (chart.config.type === 'matrix') {
+        return chart.data.datasets[0].calendar ? getCalendarExportTable(chart) : getMatrixExportTable(chart);
+    }
+
+    const datasets = chart.data.datasets.filter((dataset, index) => chart.isDatasetVisible(index));
+    const labels = chart.data.labels || [];
+
+    return {
+        columns: [getExportCategoryHeader(chart)].concat(getExportSeriesHeaders(datasets)),
+        rows: labels.map((label, index) => [Array.isArray(label) ? label.join(' ') : label]
+            .concat(datasets.map(dataset => getExportValue(dataset.data[index]))))
+    };
+}
+
+/**
+ * Pivot table of a heatmap: rows = Y axis labels, columns = X axis labels
+ */
+function getMatrixExportTable(chart) {
+    const scales = chart.options.scales;
+    const xLabels = scales.x.labels || [];
+    const yLabels = scales.y.labels || [];
+
+    const values = {};
+    chart.data.datasets[0].data.forEach(point => {
+        values[point.y + '\u0000' + point.x] = point.v;
+    });
+
+    const table = {
+        columns: [scales.y.title.text + ' / ' + scales.x.title.text].concat(xLabels),
+        rows: yLabels.map(yLabel => [yLabel].concat(xLabels.map(xLabel => values[yLabel + '\u0000' + xLabel] || 0)))
+    };
+
+    // Marginal totals as last column and row (see heatmapMarginalsPlugin); they only match raw values
+    const marginals = chart.config.options.plugins.heatmapMarginals;
+    const normalization = chart.data.datasets[0].normalization;
+    if (marginals && marginals.xTotals && marginals.yTotals && (!normalization || normalization === 'raw')) {
+        table.columns.push(LensT.total);
+        table.rows.forEach((row, index) => row.push(marginals.yTotals[index]));
+        table.rows.push([LensT.total].concat(marginals.xTotals, [marginals.total]));
+    }
+
+    return table;
+}
+
+/**
+ * Table of a contribution calendar: one row per day with changes
+ */
+function getCalendarExportTable(chart) {
+    const dataset = chart.data.datasets[0];
+
+    return {
+        columns: [LensT.date, dataset.label],
+        rows: dataset.data
+            .filter(point => point.v > 0)
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .map(point => [point.date, point.v])
+    };
+}
+
+/**
+ * Header of the label column: the title of the category axis
+ */
+function getExportCategoryHeader(chart) {
+    const scales = chart.options.scales || {};
+    const axis = scales[chart.options.indexAxis === 'y' ? 'y' : 'x'];
+    const title = axis && axis.title;
+
+    return title && title.display && title.text ? String(title.text) : LensT.category;
+}
+
+/**
+ * Headers of the dataset columns; a min-max band is drawn as a labelled upper and an unlabelled lower dataset
+ */
+function getExportSeriesHeaders(datasets) {
+    return datasets.map((dataset, index) => {
+        const next = datasets[index + 1];
+        const previous = datasets[index - 1];
+
+        if (dataset.fill === '+1' && next && !next.label) {
+            return dataset.label + ' (' + LensT.maximum + ')';
+        }
+        if (!dataset.label && previous && previous.fill === '+1') {
+            return previous.label + ' (' + LensT.minimum + ')';
+        }
+        return dataset.label || LensT.count;
+    });
+}
+
+/**
+ * Value of one data point as a number (or null for a gap)
+ */
+function getExportValue(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'object') {
+        return value.v ?? value.y ?? null;
+    }
+    return value;
+}
+
+/**
+ * One CSV field; text that a spreadsheet would read as a formula is prefixed with an apostrophe
+ */
+function formatCsvField(value) {
+    if (value === null) return '';
+    if (typeof value === 'number') return String(value);
+
+    let text = String(value);
+    if (/^[=+\-@]/.test(text)) {
+        text = "'" + text;
+    }
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+/**
+ * CSV file of the chart data (UTF-8 with BOM, so spreadsheets detect the encoding)
+ */
+function exportChartCsv(charts, title) {
+    const table = getCardExportTable(charts);
+    const csv = [table.columns].concat(table.rows)
+        .map(row => row.map(formatCsvField).join(','))
+        .join('\r\n');
+
+    downloadBlob(new Blob(['\ufeff' + csv + '\r\n'], { type: 'text/csv;charset=utf-8' }), getExportFileName(title, 'csv'));
+}
+
+/**
+ * JSON file of the chart data with its title and the active filters
+ */
+function exportChartJson(charts, title) {
+    const table = getCardExportTable(charts);
+    const json = JSON.stringify({
+        title: title,
+        filters: getExportFilterSummary(),
+        columns: table.columns,
+        rows: table.rows
+    }, null, 2);
+
+    downloadBlob(new Blob([json], { type: 'application/json' }), getExportFileName(title, 'json'));
+}
+
+/**
+ * XLSX workbook of the chart data: the table on the first sheet, the active filters on the second
+ */
+function exportChartXlsx(charts, title) {
+    // Read the charts now - they may be released while the library loads
+    const table = getCardExportTable(charts);
+    const filters = getExportFilterSummary();
+
+    if (sheetJsModule === null) {
+        sheetJsModule = import(LensConfig.sheetJsUrl);
+    }
+
+    sheetJsModule
+        .then(({ utils, write }) => {
+            const workbook = utils.book_new();
+            // Sheet names are limited to 31 characters without []:*?/\
+            const sheetName = title.replace(/[\[\]:*?\/\\]/g, ' ').slice(0, 31).trim() || 'Data';
+            utils.book_append_sheet(workbook, utils.aoa_to_sheet([table.columns].concat(table.rows)), sheetName);
+            utils.book_append_sheet(workbook, utils.aoa_to_sheet([[title]].concat(filters.map(line => [line]))), LensT.filters);
+
+            const bytes = write(workbook, { bookType: 'xlsx', type: 'array' });
+            const blob = new Blob([bytes], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+            downloadBlob(blob, getExportFileName(title, 'xlsx'));
+        })
+        .catch(error => {
+            // Allow another attempt to load the library
+            sheetJsModule = null;
+            console.error('[ERROR] XLSX export failed:', error);
+            alert(LensT.exportFailed + ': ' + error.message);
+        });
+}
+
+// =============================================================================
+// EXPORT MENU
+// =============================================================================
+
+/**
+ * Export the charts of a card in one of the chartExportFormats
+ */
+function exportCardChart(card, format) {
+    const charts = getCardExportCharts(card);
+    if (charts.length === 0) return;
+
+    const titleElement = card.querySelector('.card-title');
+    const title = titleElement ? titleElement.textContent.trim() : charts[0].canvas.id;
+
+    try {
+        chartExportFormats[format].run(charts, title);
+    } catch (error) {
+        console.error('[ERROR] Chart export failed:', error);
+        alert(LensT.exportFailed + ': ' + error.message);
+    }
+}
+
+/**
+ * Add the export menu to the header of a chart card
+ */
+function addChartExportMenu(card) {
+    const header = card.querySelector('.card-header');
+    if (!header || header.querySelector('.lens-chart-export')) return;
+
+    const menu = document.createElement('div');
+    // Cards with a granularity switcher already push their controls to the right
+    menu.className = 'dropdown lens-chart-export me-2' + (header.querySelector('.timeline-granularity') ? '' : ' ms-auto');
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'btn btn-sm btn-link text-muted p-0';
+    toggle.setAttribute('data-bs-toggle', 'dropdown');
+    toggle.setAttribute('aria-expanded', 'false');
+    toggle.title = LensT.exportChart;
+    toggle.setAttribute('aria-label', LensT.exportChart);
+    toggle.innerHTML = '<i class="fas fa-download fa-fw" aria-hidden="true"></i>';
+    menu.appendChild(toggle);
+
+    const list = document.createElement('ul');
+    list.className = 'dropdown-menu dropdown-menu-end';
+    let group = null;
+    Object.entries(chartExportFormats).forEach(([format, exportFormat]) => {
+        if (group !== null && exportFormat.group !== group) {
+            const divider = document.createElement('li');
+            divider.innerHTML = '<hr class="dropdown-divider">';
+            list.appendChild(divider);
+        }
+        group = exportFormat.group;
+
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'dropdown-item';
+        button.textContent = exportFormat.label();
+        button.addEventListener('click', () => exportCardChart(card, format));
+        item.appendChild(button);
+        list.appendChild(item);
+    });
+    menu.appendChild(list);
+
+    // Until the chart has been drawn there is nothing to export
+    toggle.addEventListener('show.bs.dropdown', function() {
+        const disabled = getCardExportCharts(card).length === 0;
+        list.querySelectorAll('.dropdown-item').forEach(button => button.disabled = disabled);
+    });
+
+    const help = header.querySelector('.wt-icon-help');
+    header.insertBefore(menu, help);
+}
+
+// Export menu on every chart card of the dashboard tabs
+document.addEventListener('DOMContentLoaded', function() {
+    document.querySelectorAll('#statsTabsContent .card').forEach(card => {
+        if (card.querySelector('canvas')) {
+            addChartExportMenu(card);
+        }
+    });
+});
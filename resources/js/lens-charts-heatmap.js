@@ -1,6 +1,7 @@
 // =============================================================================
 // HEATMAP FUNCTIONALITY (Tab 3) - Lazy-loaded when Tab 3 is activated
-// Dependencies: LensT, LensConfig, chartColors, createUnifiedChart (from lens-charts-common.js)
+// Dependencies: LensT, LensConfig, chartColors, createUnifiedChart (from lens-charts-common.js),
+//               openChangeList (from lens-charts-changes.js)
 // =============================================================================
 
 // Tab 3 (Custom Heatmap) chart instances
@@ -10,15 +11,93 @@ const heatmapChartInstances = {};
 let currentHeatmapData = null;
 let currentHeatmapConfig = null;
 
+// Request parameters of currentHeatmapData - a clicked cell lists its changes with the same filters
+let currentHeatmapParams = null;
+
 // Mapping of dimension keys to translated labels for axis titles
 const dimensionLabels = {
     'hour': LensT.hour,
     'dayOfWeek': LensT.dayOfWeek,
     'dayOfMonth': LensT.dayOfMonth,
+    'isoWeek': LensT.isoWeek,
     'month': LensT.month,
+    'quarter': LensT.quarter,
     'year': LensT.year,
     'user': LensT.user,
-    'recordType': LensT.recordType
+    'recordType': LensT.recordType,
+    'fact': LensT.fact,
+    'recordTypeFact': LensT.recordTypeAndFact,
+    'status': LensT.changeStatus,
+    'commitSize': LensT.commitSize
+};
+
+// Measure => translated label for the chart title and tooltips
+const heatmapMeasureLabels = {
+    'changes': LensT.numberOfChanges,
+    'uniqueRecords': LensT.uniqueRecords,
+    'uniqueUsers': LensT.uniqueUsers,
+    'uniqueDays': LensT.uniqueDays,
+    'avgCommitSize': LensT.averageChangesPerCommit,
+    'sizeDelta': LensT.gedcomSizeChange,
+    'avgSizeDelta': LensT.averageGedcomSizeChange,
+    'factsAdded': LensT.factsAdded,
+    'factsDeleted': LensT.factsDeleted,
+    'netFactGain': LensT.netFactGain,
+    'rejectRate': LensT.rejectionRate
+};
+
+// Measure => suffix of its values in the legend, totals and tooltips
+const heatmapMeasureUnits = {
+    'rejectRate': '%'
+};
+
+// Averages and rates: their cells do not add up, so tooltips show no share of the total
+const heatmapAverageMeasures = ['avgCommitSize', 'avgSizeDelta', 'rejectRate'];
+
+// Normalization => suffix of normalized values in the legend and tooltips
+const heatmapNormalizationUnits = {
+    raw: '',
+    rowPercent: '%',
+    columnPercent: '%',
+    totalPercent: '%',
+    rowZScore: ''
+};
+
+// Measures that can be negative (shrinking records, fact losses): a share of their sum can be negative or above 100%
+const heatmapSignedMeasures = ['sizeDelta', 'avgSizeDelta', 'netFactGain'];
+
+// Normalizations that show each cell as a share of a sum - meaningless for averages, rates and signed measures
+const heatmapShareNormalizations = ['rowPercent', 'columnPercent', 'totalPercent'];
+
+// Color palettes: color stops from the lowest to the highest value
+const heatmapPalettes = {
+    blues: ['#f7fbff', '#c6dbef', '#6baed6', '#2171b5', '#08306b'],
+    // Perceptually uniform and readable with color vision deficiencies
+    viridis: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'],
+    // Low values blue, the middle of the scale white, high values red
+    diverging: ['#2166ac', '#92c5de', '#f7f7f7', '#f4a582', '#b2182b']
+};
+
+// Quantile scale: values are split into this many buckets of (about) the same number of cells
+const HEATMAP_QUANTILE_BUCKETS = 5;
+
+// Space right of the cells for the color legend, and its bar width (pixels)
+const HEATMAP_LEGEND_SPACE = 90;
+const HEATMAP_LEGEND_BAR = 12;
+
+// Depth of the marginal total strips above and right of the cells, and their gap to the cells (pixels)
+const HEATMAP_MARGINAL_SIZE = 60;
+const HEATMAP_MARGINAL_GAP = 4;
+const HEATMAP_MARGINAL_COLOR = 'rgba(108, 117, 125, 0.35)';
+
+// Height of each small multiple when the heatmap is faceted (pixels)
+const HEATMAP_FACET_HEIGHT = 300;
+
+// Dimensions whose cells can be clicked to filter the dashboard => filter kind (see CROSS-FILTERING in common.js)
+const heatmapFilterKinds = {
+    'user': 'users',
+    'recordType': 'recordTypes',
+    'fact': 'facts'
 };
 
 // TomSelect instance for record search
@@ -99,11 +178,92 @@ function getThemePrimaryColors() {
         heatmapX.addEventListener('change', validateAxisCombination);
         heatmapY.addEventListener('change', validateAxisCombination);
     }
+    const heatmapFacet = document.getElementById('heatmapFacet');
+    if (heatmapFacet) {
+        heatmapFacet.addEventListener('change', validateAxisCombination);
+    }
+
+    // Averages and rates offer no percentage normalizations
+    const heatmapMeasure = document.getElementById('heatmapMeasure');
+    if (heatmapMeasure) {
+        heatmapMeasure.addEventListener('change', updateNormalizationOptions);
+        updateNormalizationOptions();
+    }
+
+    // Normalization, color scale and palette - redraw the current heatmap without loading it again
+    ['heatmapNormalization', 'heatmapScale', 'heatmapPalette'].forEach(id => {
+        const select = document.getElementById(id);
+        if (!select) return;
+
+        select.addEventListener('change', function() {
+            pushDashboardState();
+            if (currentHeatmapData !== null && currentHeatmapConfig !== null) {
+                renderHeatmap(currentHeatmapData, currentHeatmapConfig.xAxis, currentHeatmapConfig.yAxis, currentHeatmapConfig.measure);
+            }
+        });
+    });
 
     // Initialize unified record selector with TomSelect
     initRecordSelector();
+
+    // Restore heatmap settings from a deep link and generate it right away
+    if (pendingHeatmapState !== null) {
+        applyHeatmapState(pendingHeatmapState);
+        pendingHeatmapState = null;
+        generateHeatmap();
+    }
 })();
 
+/**
+ * Apply heatmap settings (from the URL state) to the configuration controls
+ *
+ * @param {object|null} state Null when the state has no heatmap: the heatmap is no longer configured
+ */
+function applyHeatmapState(state) {
+    if (state === null) {
+        currentHeatmapConfig = null;
+        return;
+    }
+
+    const selects = {
+        heatmapX: state.x,
+        heatmapY: state.y,
+        heatmapMeasure: state.measure,
+        heatmapFacet: state.facet || '',
+        heatmapNormalization: state.normalization,
+        heatmapScale: state.scale,
+        heatmapPalette: state.palette
+    };
+
+    for (const [id, value] of Object.entries(selects)) {
+        const select = document.getElementById(id);
+        if (select && select.querySelector('option[value="' + CSS.escape(value) + '"]')) {
+            select.value = value;
+        }
+    }
+
+    if (heatmapRecordsTomSelect) {
+        // Only XREFs are kept in the URL - use them as option text until the user searches again
+        state.records.forEach(xref => {
+            if (!heatmapRecordsTomSelect.options[xref]) {
+                heatmapRecordsTomSelect.addOption({ value: xref, text: xref, type: '', optgroup: '' });
+            }
+        });
+        heatmapRecordsTomSelect.setValue(state.records, true);
+    }
+
+    validateAxisCombination();
+    updateNormalizationOptions();
+
+    // Mark the heatmap as configured, so tab switches and filter changes (re)generate it
+    currentHeatmapConfig = {
+        xAxis: document.getElementById('heatmapX').value,
+        yAxis: document.getElementById('heatmapY').value,
+        measure: document.getElementById('heatmapMeasure').value,
+        facet: document.getElementById('heatmapFacet').value
+    };
+}
+
 /**
  * Initialize TomSelect for unified record search (INDI, FAM, SOUR, etc.)
  */
@@ -174,15 +334,47 @@ function initRecordSelector() {
     });
 }
 
+/**
+ * Whether the cells of a measure add up to a non-negative sum, so they can be shown as percentages of it
+ */
+function heatmapMeasureHasShares(measure) {
+    return !heatmapAverageMeasures.includes(measure) && !heatmapSignedMeasures.includes(measure);
+}
+
+/**
+ * Disable the percentage normalizations for averages, rates and signed measures,
+ * falling back to raw values when one of them was selected
+ */
+function updateNormalizationOptions() {
+    const measure = document.getElementById('heatmapMeasure').value;
+    const normalizationSelect = document.getElementById('heatmapNormalization');
+    const hasShares = heatmapMeasureHasShares(measure);
+
+    heatmapShareNormalizations.forEach(mode => {
+        const option = normalizationSelect.querySelector('option[value="' + mode + '"]');
+        if (option) {
+            option.disabled = !hasShares;
+        }
+    });
+
+    if (!hasShares && heatmapShareNormalizations.includes(normalizationSelect.value)) {
+        normalizationSelect.value = 'raw';
+    }
+}
+
 function validateAxisCombination() {
     const xAxis = document.getElementById('heatmapX').value;
     const yAxis = document.getElementById('heatmapY').value;
+    const facet = document.getElementById('heatmapFacet').value;
     const generateBtn = document.getElementById('generateHeatmap');
 
     // Disable same axis selection
     if (xAxis === yAxis) {
         generateBtn.disabled = true;
         generateBtn.title = LensT.xAndYAxesMustBeDifferent;
+    } else if (facet === xAxis || facet === yAxis) {
+        generateBtn.disabled = true;
+        generateBtn.title = LensT.facetMustDifferFromAxes;
     } else {
         generateBtn.disabled = false;
         generateBtn.title = '';
@@ -193,227 +385,620 @@ function generateHeatmap() {
     const xAxis = document.getElementById('heatmapX').value;
     const yAxis = document.getElementById('heatmapY').value;
     const measure = document.getElementById('heatmapMeasure').value;
+    const facet = document.getElementById('heatmapFacet').value;
 
     // Store config for potential re-use
-    currentHeatmapConfig = { xAxis, yAxis, measure };
+    currentHeatmapConfig = { xAxis, yAxis, measure, facet };
+    pushDashboardState();
 
     // Get selected records from TomSelect (multi-select)
     const selectedRecords = heatmapRecordsTomSelect ? heatmapRecordsTomSelect.getValue() : [];
 
-    // Build URL with global date filters (same as Tab 1/2/4)
-    let url = LensConfig.heatmapEndpointUrl;
-    const separator = url.includes('?') ? '&' : '?';
-    url += separator + 'x=' + encodeURIComponent(xAxis);
-    url += '&y=' + encodeURIComponent(yAxis);
-    url += '&measure=' + encodeURIComponent(measure);
-
-    // Apply global date filters (years or days)
-    const selectedYears = Array.from(document.querySelectorAll('.year-checkbox:checked')).map(cb => cb.value);
-    if (selectedYears.length > 0) {
-        selectedYears.forEach(year => url += '&years[]=' + encodeURIComponent(year));
-    } else {
-        // Use days filter if no years selected
-        const daysInput = document.querySelector('input[name="days"]');
-        const days = daysInput ? daysInput.value : LensConfig.defaultDays;
-        if (days && days > 0) {
-            url += '&days=' + encodeURIComponent(days);
-        }
-    }
+    // Build parameters with global date filters (same as Tab 1/2/4)
+    const params = new URLSearchParams();
+    params.set('x', xAxis);
+    params.set('y', yAxis);
+    params.set('measure', measure);
+    if (facet !== '') params.set('facet', facet);
+
+    // Apply global date filters (date range, years or days) and cross-filter chips
+    appendCrossFilterParams(appendDateFilterParams(params));
 
     // Apply global user filter from main form checkboxes
-    const globalUsers = Array.from(document.querySelectorAll('.user-checkbox:checked')).map(cb => cb.value);
-    if (globalUsers.length > 0) {
-        globalUsers.forEach(u => url += '&users[]=' + encodeURIComponent(u));
-    }
+    document.querySelectorAll('.user-checkbox:checked').forEach(cb => params.append('users[]', cb.value));
 
     // Add heatmap-specific filter for selected records (multi-select)
-    if (selectedRecords.length > 0) {
-        selectedRecords.forEach(xref => {
-            url += '&records[]=' + encodeURIComponent(xref);
-        });
-    }
+    selectedRecords.forEach(xref => params.append('records[]', xref));
+
+    const separator = LensConfig.heatmapEndpointUrl.includes('?') ? '&' : '?';
+    const url = LensConfig.heatmapEndpointUrl + separator + params.toString();
 
     // Show loading state
     const overlay = document.getElementById('heatmapChartNoData');
     if (overlay) {
+        clearCardError(overlay);
         overlay.querySelector('p').textContent = LensT.loading;
         overlay.style.display = 'flex';
     }
 
     // Fetch data
-    fetch(url)
-        .then(response => {
-            if (!response.ok) {
-                throw new Error('HTTP ' + response.status);
-            }
-            return response.text();
-        })
-        .then(text => {
-            try {
-                return JSON.parse(text);
-            } catch (e) {
-                throw new Error('Invalid JSON: ' + text.substring(0, 200));
-            }
-        })
+    lensFetch('heatmap', url, { cache: true })
         .then(data => {
+            if (data === null) return;
+
             currentHeatmapData = data;
+            currentHeatmapParams = params;
             renderHeatmap(data, xAxis, yAxis, measure);
         })
         .catch(error => {
-            if (overlay) {
-                overlay.querySelector('p').textContent = LensT.errorLoadingHeatmap + ': ' + error.message;
-                overlay.style.display = 'flex';
-            }
+            console.error('[Tab 3] Error loading heatmap:', error);
+            const message = error.code === 'NETWORK_ERROR' ? LensT.networkError : LensT.errorLoadingHeatmap + ': ' + error.message;
+            showCardError(overlay, message, generateHeatmap);
         });
 }
 
 /**
- * Get heatmap color based on value using logarithmic scale
+ * Cells of the heatmap with their value normalized: v = shown value, raw = measured value
+ *
+ * Percentages of a row or column are shares of the sum of its cells. The z-score compares a cell with the mean
+ * and standard deviation of its row, counting columns without a cell as 0.
+ *
+ * @param {object} data Heatmap endpoint response
+ * @param {string} mode Key of heatmapNormalizationUnits
+ * @return {object[]}
+ */
+function normalizeHeatmapData(data, mode) {
+    const cells = data.data || [];
+    const rowSums = {};
+    const columnSums = {};
+    const rowSquares = {};
+    let total = 0;
+
+    cells.forEach(d => {
+        rowSums[d.y] = (rowSums[d.y] || 0) + d.v;
+        columnSums[d.x] = (columnSums[d.x] || 0) + d.v;
+        rowSquares[d.y] = (rowSquares[d.y] || 0) + d.v * d.v;
+        total += d.v;
+    });
+
+    const columnCount = data.xLabels.length || 1;
+    const share = (value, sum) => sum > 0 ? value / sum * 100 : 0;
+
+    return cells.map(d => {
+        let value = d.v;
+
+        if (mode === 'rowPercent') {
+            value = share(d.v, rowSums[d.y]);
+        } else if (mode === 'columnPercent') {
+            value = share(d.v, columnSums[d.x]);
+        } else if (mode === 'totalPercent') {
+            value = share(d.v, total);
+        } else if (mode === 'rowZScore') {
+            const mean = rowSums[d.y] / columnCount;
+            const deviation = Math.sqrt(Math.max(0, rowSquares[d.y] / columnCount - mean * mean));
+            value = deviation > 0 ? (d.v - mean) / deviation : 0;
+        }
+
+        return Object.assign({}, d, { v: value, raw: d.v });
+    });
+}
+
+/**
+ * Color scale of the heatmap: maps cell values to a position 0..1 in the palette
+ *
+ * @param {number[]} values Cell values
+ * @param {string} type 'linear', 'log' or 'quantile'
+ * @param {boolean} [centerOnZero] Linear scale with 0 in the middle (z-scores, for diverging palettes)
+ * @return {{ratio: function(number): number, ticks: Array<{value: number, position: number}>, buckets: number}}
+ *         ticks: legend labels at a position 0..1 of the legend bar; buckets: number of discrete colors (0 = continuous)
+ */
+function getHeatmapColorScale(values, type, centerOnZero = false) {
+    let min = values.length > 0 ? Math.min(...values) : 0;
+    let max = values.length > 0 ? Math.max(...values) : 0;
+
+    if (type === 'quantile') {
+        const sorted = values.slice().sort((a, b) => a - b);
+        const breaks = [];
+        for (let i = 1; i < HEATMAP_QUANTILE_BUCKETS; i++) {
+            const value = sorted[Math.floor(i / HEATMAP_QUANTILE_BUCKETS * (sorted.length - 1))];
+            // Many equal values give fewer buckets
+            if (value !== undefined && value > min && !breaks.includes(value)) breaks.push(value);
+        }
+        const buckets = breaks.length + 1;
+
+        return {
+            ratio: value => buckets === 1 ? 1 : breaks.filter(limit => value >= limit).length / (buckets - 1),
+            ticks: [min].concat(breaks, [max]).map((value, index) => ({ value: value, position: index / buckets })),
+            buckets: buckets
+        };
+    }
+
+    if (type === 'log') {
+        const logMin = Math.log(min + 1);
+        const logMax = Math.log(max + 1);
+        const ratio = value => max === min ? 1 : (Math.log(value + 1) - logMin) / (logMax - logMin);
+
+        // Powers of ten between the lowest and the highest value
+        const ticks = [min];
+        for (let value = 1; value < max; value *= 10) {
+            if (value > min) ticks.push(value);
+        }
+        ticks.push(max);
+
+        return { ratio: ratio, ticks: ticks.map(value => ({ value: value, position: ratio(value) })), buckets: 0 };
+    }
+
+    if (centerOnZero) {
+        max = Math.max(Math.abs(min), Math.abs(max));
+        min = -max;
+    }
+
+    const ratio = value => max === min ? 1 : (value - min) / (max - min);
+    const isInteger = values.every(Number.isInteger);
+    const ticks = [];
+    for (let i = 0; i <= 4; i++) {
+        const value = min + (max - min) * i / 4;
+        ticks.push(isInteger ? Math.round(value) : value);
+    }
+
+    return { ratio: ratio, ticks: ticks.map(value => ({ value: value, position: ratio(value) })), buckets: 0 };
+}
+
+/**
+ * Color at a position 0..1 of a palette (stops are interpolated)
  */
-function getHeatmapColor(value, min, max) {
-    if (max === min) return 'rgba(54, 162, 235, 0.5)';
+function getPaletteColor(palette, ratio) {
+    const scaled = Math.min(Math.max(ratio, 0), 1) * (palette.length - 1);
+    const index = Math.min(Math.floor(scaled), palette.length - 2);
+    const from = hexToRgb(palette[index]);
+    const to = hexToRgb(palette[index + 1]);
+    const t = scaled - index;
+
+    return 'rgb(' + from.map((channel, i) => Math.round(channel + (to[i] - channel) * t)).join(', ') + ')';
+}
 
-    // Use logarithmic scale to handle extreme values better
-    const logMin = Math.log(min + 1);
-    const logMax = Math.log(max + 1);
-    const logValue = Math.log(value + 1);
+function hexToRgb(hex) {
+    return [1, 3, 5].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+}
+
+function formatHeatmapValue(value, unit = '') {
+    return value.toLocaleString(document.documentElement.lang || undefined, { maximumFractionDigits: unit === '%' ? 1 : 2 }) + unit;
+}
 
-    const ratio = (logValue - logMin) / (logMax - logMin);
+/**
+ * Chart.js plugin drawing the color legend right of the cells: a gradient (or color blocks for quantiles) with values.
+ * It is drawn on the canvas, so exported images and printed reports include it.
+ *
+ * @param {boolean} [afterMarginals] Leave room for the row totals between the cells and the legend
+ */
+function createHeatmapLegendPlugin(colorScale, palette, unit, afterMarginals = true) {
+    return {
+        id: 'heatmapLegend',
+        afterDraw: function(chart) {
+            const area = chart.chartArea;
+            if (!area) return;
 
-    // Color gradient from light to dark (white -> blue -> dark blue)
-    const r = Math.round(255 - ratio * 201);  // 255 -> 54
-    const g = Math.round(255 - ratio * 93);   // 255 -> 162
-    const b = Math.round(255 - ratio * 20);   // 255 -> 235
-    const alpha = 0.4 + ratio * 0.6;
+            const ctx = chart.ctx;
+            const x = area.right + (afterMarginals ? HEATMAP_MARGINAL_GAP + HEATMAP_MARGINAL_SIZE : 0) + 16;
+            const height = area.bottom - area.top;
 
-    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+            ctx.save();
+
+            if (colorScale.buckets > 0) {
+                for (let i = 0; i < colorScale.buckets; i++) {
+                    ctx.fillStyle = getPaletteColor(palette, colorScale.buckets === 1 ? 1 : i / (colorScale.buckets - 1));
+                    ctx.fillRect(x, area.bottom - height * (i + 1) / colorScale.buckets, HEATMAP_LEGEND_BAR, height / colorScale.buckets);
+                }
+            } else {
+                const gradient = ctx.createLinearGradient(0, area.bottom, 0, area.top);
+                palette.forEach((color, index) => gradient.addColorStop(index / (palette.length - 1), color));
+                ctx.fillStyle = gradient;
+                ctx.fillRect(x, area.top, HEATMAP_LEGEND_BAR, height);
+            }
+
+            ctx.strokeStyle = 'rgba(0, 0, 0, 0.25)';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(x, area.top, HEATMAP_LEGEND_BAR, height);
+
+            // Tick values; a tick too close to one already drawn is skipped (lowest and highest first)
+            ctx.font = Chart.helpers.toFont(Chart.defaults.font).string;
+            ctx.fillStyle = Chart.defaults.color;
+            ctx.strokeStyle = Chart.defaults.color;
+            ctx.textBaseline = 'middle';
+
+            const ticks = colorScale.ticks;
+            const ordered = [ticks[0], ticks[ticks.length - 1]].concat(ticks.slice(1, -1));
+            const drawn = [];
+            ordered.forEach(tick => {
+                const y = area.bottom - tick.position * height;
+                if (drawn.some(other => Math.abs(other - y) < 14)) return;
+                drawn.push(y);
+
+                ctx.beginPath();
+                ctx.moveTo(x + HEATMAP_LEGEND_BAR, y);
+                ctx.lineTo(x + HEATMAP_LEGEND_BAR + 4, y);
+                ctx.stroke();
+                ctx.fillText(formatHeatmapValue(tick.value, unit), x + HEATMAP_LEGEND_BAR + 6, y);
+            });
+
+            ctx.restore();
+        }
+    };
 }
 
+/**
+ * Chart.js plugin drawing the marginal totals (options: xTotals, yTotals, total from the heatmap endpoint, unit of the measure):
+ * a bar per column above the cells, a bar per row right of them and the grand total in the corner.
+ * Negative totals (size or fact losses) are drawn by their magnitude.
+ */
+const heatmapMarginalsPlugin = {
+    id: 'heatmapMarginals',
+    afterDraw: function(chart, args, options) {
+        const area = chart.chartArea;
+        if (!area || !options.xTotals || !options.yTotals) return;
+
+        const ctx = chart.ctx;
+        const xScale = chart.scales.x;
+        const yScale = chart.scales.y;
+        const cellWidth = (area.right - area.left) / options.xTotals.length;
+        const cellHeight = (area.bottom - area.top) / options.yTotals.length;
+        const unit = options.unit || '';
+        const maxX = Math.max(0, ...options.xTotals.map(Math.abs));
+        const maxY = Math.max(0, ...options.yTotals.map(Math.abs));
+        // Room for the value above the column bars
+        const columnBarSize = HEATMAP_MARGINAL_SIZE - 14;
+
+        ctx.save();
+        ctx.font = Chart.helpers.toFont({ ...Chart.defaults.font, size: 10 }).string;
+
+        options.xTotals.forEach((total, index) => {
+            const center = xScale.getPixelForValue(index);
+            const barHeight = maxX > 0 ? Math.abs(total) / maxX * columnBarSize : 0;
+            const bottom = area.top - HEATMAP_MARGINAL_GAP;
+
+            ctx.fillStyle = HEATMAP_MARGINAL_COLOR;
+            ctx.fillRect(center - cellWidth / 2 + 1, bottom - barHeight, cellWidth - 2, barHeight);
+
+            const text = formatHeatmapValue(total, unit);
+            if (ctx.measureText(text).width <= cellWidth) {
+                ctx.fillStyle = Chart.defaults.color;
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'bottom';
+                ctx.fillText(text, center, bottom - barHeight - 1);
+            }
+        });
+
+        options.yTotals.forEach((total, index) => {
+            const center = yScale.getPixelForValue(index);
+            const barWidth = maxY > 0 ? Math.abs(total) / maxY * HEATMAP_MARGINAL_SIZE : 0;
+            const left = area.right + HEATMAP_MARGINAL_GAP;
+
+            ctx.fillStyle = HEATMAP_MARGINAL_COLOR;
+            ctx.fillRect(left, center - cellHeight / 2 + 1, barWidth, cellHeight - 2);
+
+            // The value is written over the bar when the row is high enough
+            if (cellHeight >= 11) {
+                ctx.fillStyle = Chart.defaults.color;
+                ctx.textAlign = 'left';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(formatHeatmapValue(total, unit), left + 2, center);
+            }
+        });
+
+        ctx.font = Chart.helpers.toFont({ ...Chart.defaults.font, size: 10, weight: 'bold' }).string;
+        ctx.fillStyle = Chart.defaults.color;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(LensT.total + ': ' + formatHeatmapValue(options.total, unit), area.right + HEATMAP_MARGINAL_GAP, area.top - HEATMAP_MARGINAL_GAP);
+
+        ctx.restore();
+    }
+};
+
 /**
  * Render heatmap using createUnifiedChart() for consistency with other tabs
+ *
+ * A faceted heatmap (data.facets) is drawn as small multiples instead, see renderHeatmapFacets().
  */
 function renderHeatmap(data, xAxis, yAxis, measure) {
-    // Find min/max values for color scale (needed in buildChartConfig)
-    const values = data.data ? data.data.map(d => d.v) : [];
-    const minValue = values.length > 0 ? Math.min(...values) : 0;
-    const maxValue = values.length > 0 ? Math.max(...values) : 0;
+    // Normalized cells, color scale, palette and total for the cell colors, legend and tooltips (needed in buildChartConfig)
+    const normalizationSelect = document.getElementById('heatmapNormalization');
+    // The rendered measure may differ from the measure select until the heatmap is generated again
+    const normalization = heatmapNormalizationUnits[normalizationSelect.value] !== undefined &&
+        (heatmapMeasureHasShares(measure) || !heatmapShareNormalizations.includes(normalizationSelect.value))
+        ? normalizationSelect.value
+        : 'raw';
+    const measureUnit = heatmapMeasureUnits[measure] || '';
+    const facets = Array.isArray(data.facets) ? data.facets : null;
+    // Small multiples are normalized one by one on the shared labels
+    const facetCells = facets ? facets.map(facet => normalizeHeatmapData({ data: facet.data, xLabels: data.xLabels }, normalization)) : [];
+    const cells = facets ? [] : normalizeHeatmapData(data, normalization);
+    const allCells = facets ? facetCells.flat() : cells;
+    const values = allCells.map(d => d.v);
+    // Z-scores below the row mean and shrinking records (size or fact losses) are negative,
+    // which a logarithmic scale cannot show
+    const centerOnZero = normalization === 'rowZScore' || values.some(value => value < 0);
+    const scaleType = centerOnZero && document.getElementById('heatmapScale').value === 'log'
+        ? 'linear'
+        : document.getElementById('heatmapScale').value;
+
+    // Settings of the matrix charts (see buildHeatmapChartConfig); small multiples share one color scale
+    const view = {
+        xAxis: xAxis,
+        yAxis: yAxis,
+        measure: measure,
+        normalization: normalization,
+        normalizationLabel: normalizationSelect.selectedOptions[0].text,
+        measureUnit: measureUnit,
+        unit: normalization === 'raw' ? measureUnit : heatmapNormalizationUnits[normalization],
+        colorScale: getHeatmapColorScale(values, scaleType, centerOnZero),
+        palette: heatmapPalettes[document.getElementById('heatmapPalette').value] || heatmapPalettes.blues,
+        showShare: !heatmapAverageMeasures.includes(measure) && allCells.every(d => d.raw >= 0),
+        // Labels come pre-translated from backend - no frontend translation needed
+        xLabels: data.xLabels,
+        yLabels: data.yLabels
+    };
 
-    // Labels come pre-translated from backend - no frontend translation needed
-    const xLabels = data.xLabels;
-    const yLabels = data.yLabels;
+    renderHeatmapFacets(facets, facetCells, view);
+    document.getElementById('heatmapContainer').style.display = facets ? 'none' : '';
 
     const chart = createUnifiedChart({
         instanceKey: 'heatmap',
         canvasId: 'heatmapChart',
         overlayId: 'heatmapChartNoData',
         data: data,
-        hasDataCheck: (d) => d && d.data && d.data.length > 0,
-        buildChartConfig: (data) => {
-            // Create matrix data
-            const matrixData = data.data.map(d => ({
-                x: d.x,
-                y: d.y,
-                v: d.v
-            }));
-
-            return {
-                type: 'matrix',
-                data: {
-                    datasets: [{
-                        label: measure,
-                        data: matrixData,
-                        backgroundColor: function(context) {
-                            const value = context.dataset.data[context.dataIndex]?.v || 0;
-                            return getHeatmapColor(value, minValue, maxValue);
-                        },
-                        borderColor: 'rgba(255, 255, 255, 0.5)',
-                        borderWidth: 1,
-                        width: function(context) {
-                            const chart = context.chart;
-                            const area = chart.chartArea;
-                            if (!area) return 20;
-                            return (area.right - area.left) / xLabels.length - 1;
-                        },
-                        height: function(context) {
-                            const chart = context.chart;
-                            const area = chart.chartArea;
-                            if (!area) return 20;
-                            return (area.bottom - area.top) / yLabels.length - 1;
-                        }
-                    }]
+        hasDataCheck: (d) => d && d.data && d.data.length > 0 && !facets,
+        // The result is checked below to tell "no data" apart from "loading"
+        lazy: false,
+        buildChartConfig: (data) => buildHeatmapChartConfig(cells, view, {
+            // Totals measured by the server (older cached responses have none)
+            xTotals: data.xTotals,
+            yTotals: data.yTotals,
+            total: data.total,
+            unit: measureUnit
+        }, null)
+    }, heatmapChartInstances);
+
+    // Handle empty data - update overlay text from "Loading" to "No data"
+    const overlay = document.getElementById('heatmapChartNoData');
+    if (facets && facets.length > 0) {
+        overlay.style.display = 'none';
+    } else if (!chart && overlay) {
+        const p = overlay.querySelector('p');
+        if (p) p.textContent = LensT.noDataAvailableForThisCombination;
+    }
+
+    // Update title
+    const titleElement = document.getElementById('heatmapTitle');
+    if (titleElement) {
+        titleElement.textContent = (heatmapMeasureLabels[measure] || measure) +
+            (normalization !== 'raw' ? ' (' + view.normalizationLabel + ')' : '') +
+            (facets ? ' – ' + LensT.facetedBy.replace('__DIMENSION__', dimensionLabels[currentHeatmapConfig.facet] || currentHeatmapConfig.facet) : '');
+    }
+}
+
+/**
+ * Draw the small multiples of a faceted heatmap: one matrix per facet value with the same axes and color scale,
+ * without marginal totals (the facet total is in its heading)
+ *
+ * @param {object[]|null} facets Facets of the heatmap endpoint response (null = not faceted, removes the grid)
+ * @param {object[][]} facetCells Normalized cells of each facet
+ * @param {object} view See renderHeatmap()
+ */
+function renderHeatmapFacets(facets, facetCells, view) {
+    const grid = document.getElementById('heatmapFacets');
+
+    Object.keys(heatmapChartInstances).filter(key => key.startsWith('facet')).forEach(key => {
+        heatmapChartInstances[key].destroy();
+        delete heatmapChartInstances[key];
+    });
+    grid.innerHTML = '';
+    grid.style.display = facets ? '' : 'none';
+
+    if (!facets) return;
+
+    facets.forEach((facet, index) => {
+        const column = document.createElement('div');
+        column.className = 'col-md-6 col-xl-4';
+
+        const heading = document.createElement('h4');
+        heading.className = 'h6 text-center mb-1';
+        heading.textContent = facet.label + ' (' + formatHeatmapValue(facet.total, view.measureUnit) + ')';
+        column.appendChild(heading);
+
+        const container = document.createElement('div');
+        container.style.height = HEATMAP_FACET_HEIGHT + 'px';
+        const canvas = document.createElement('canvas');
+        canvas.id = 'heatmapFacetChart' + index;
+        // Read by the export and the report, which show the small multiples together
+        canvas.dataset.facetLabel = facet.label;
+        canvas.dataset.facetDimension = dimensionLabels[currentHeatmapConfig.facet] || currentHeatmapConfig.facet;
+        container.appendChild(canvas);
+        column.appendChild(container);
+
+        grid.appendChild(column);
+
+        createUnifiedChart({
+            instanceKey: 'facet' + index,
+            canvasId: canvas.id,
+            data: facet,
+            hasDataCheck: (d) => d.data.length > 0,
+            lazy: false,
+            buildChartConfig: () => buildHeatmapChartConfig(facetCells[index], view, null, facet)
+        }, heatmapChartInstances);
+    });
+}
+
+/**
+ * Chart.js configuration of a heatmap matrix
+ *
+ * @param {object[]} cells Normalized cells (see normalizeHeatmapData)
+ * @param {object} view See renderHeatmap()
+ * @param {object|null} marginals Options of heatmapMarginalsPlugin (null = no marginal totals)
+ * @param {object|null} facet Facet of the small multiple (its cells list their changes within the facet)
+ * @return {object}
+ */
+function buildHeatmapChartConfig(cells, view, marginals, facet) {
+    const { xAxis, yAxis, measure, normalization, measureUnit, unit, colorScale, palette, xLabels, yLabels } = view;
+    const total = cells.reduce((sum, d) => sum + d.raw, 0);
+    const filterable = Boolean(heatmapFilterKinds[xAxis] || heatmapFilterKinds[yAxis]);
+
+    // Create matrix data
+    const matrixData = cells.map(d => ({
+        x: d.x,
+        y: d.y,
+        v: d.v,
+        raw: d.raw,
+        xKey: d.xKey,
+        yKey: d.yKey,
+        xVal: d.xVal,
+        yVal: d.yVal
+    }));
+
+    return {
+        type: 'matrix',
+        data: {
+            datasets: [{
+                label: measure,
+                data: matrixData,
+                // Normalized cells do not add up to the marginal totals (see getMatrixExportTable)
+                normalization: normalization,
+                backgroundColor: function(context) {
+                    const value = context.dataset.data[context.dataIndex]?.v || 0;
+                    return getPaletteColor(palette, colorScale.ratio(value));
+                },
+                borderColor: 'rgba(255, 255, 255, 0.5)',
+                borderWidth: 1,
+                width: function(context) {
+                    const chart = context.chart;
+                    const area = chart.chartArea;
+                    if (!area) return 20;
+                    return (area.right - area.left) / xLabels.length - 1;
                 },
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    plugins: {
-                        legend: {
-                            display: false
+                height: function(context) {
+                    const chart = context.chart;
+                    const area = chart.chartArea;
+                    if (!area) return 20;
+                    return (area.bottom - area.top) / yLabels.length - 1;
+                }
+            }]
+        },
+        plugins: marginals
+            ? [heatmapMarginalsPlugin, createHeatmapLegendPlugin(colorScale, palette, unit)]
+            : [createHeatmapLegendPlugin(colorScale, palette, unit, false)],
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            layout: {
+                padding: marginals
+                    ? {
+                        top: HEATMAP_MARGINAL_SIZE + HEATMAP_MARGINAL_GAP,
+                        right: HEATMAP_MARGINAL_GAP + HEATMAP_MARGINAL_SIZE + HEATMAP_LEGEND_SPACE
+                    }
+                    : { right: HEATMAP_LEGEND_SPACE }
+            },
+            // A cell lists its changes; Ctrl/Cmd+click on user and record type axes filters the whole dashboard
+            onClick: function(event, elements, chart) {
+                if (elements.length === 0) return;
+                const d = chart.data.datasets[0].data[elements[0].index];
+                const native = event.native;
+                if (filterable && native && (native.ctrlKey || native.metaKey)) {
+                    addCrossFilters([
+                        { kind: heatmapFilterKinds[xAxis], value: d.xKey },
+                        { kind: heatmapFilterKinds[yAxis], value: d.yKey }
+                    ]);
+                } else {
+                    openHeatmapCellChanges(d, facet);
+                }
+            },
+            onHover: function(event, elements) {
+                event.native.target.style.cursor = elements.length > 0 ? 'pointer' : 'default';
+            },
+            plugins: {
+                legend: {
+                    display: false
+                },
+                heatmapMarginals: marginals || false,
+                tooltip: {
+                    callbacks: {
+                        title: function(items) {
+                            const d = items[0].dataset.data[items[0].dataIndex];
+                            return (facet ? facet.label + ': ' : '') + `${d.y}, ${d.x}`;
+                        },
+                        label: function(context) {
+                            const d = context.dataset.data[context.dataIndex];
+                            return (heatmapMeasureLabels[measure] || measure) + ': ' + formatHeatmapValue(d.raw, measureUnit);
                         },
-                        tooltip: {
-                            callbacks: {
-                                title: function() {
-                                    return '';
-                                },
-                                label: function(context) {
-                                    const d = context.dataset.data[context.dataIndex];
-                                    return `${d.y}, ${d.x}: ${d.v}`;
-                                }
+                        afterLabel: function(context) {
+                            const d = context.dataset.data[context.dataIndex];
+                            const lines = [];
+                            if (view.showShare) {
+                                const share = total > 0 ? d.raw / total * 100 : 0;
+                                lines.push(LensT.shareOfTotal + ': ' + formatHeatmapValue(share, '%'));
                             }
-                        }
-                    },
-                    scales: {
-                        x: {
-                            type: 'category',
-                            labels: xLabels,
-                            offset: true,
-                            grid: {
-                                display: false
-                            },
-                            ticks: {
-                                maxRotation: 45,
-                                minRotation: 45
-                            },
-                            title: {
-                                display: true,
-                                text: dimensionLabels[xAxis] || xAxis
+                            if (normalization !== 'raw') {
+                                lines.push(view.normalizationLabel + ': ' + formatHeatmapValue(d.v, unit));
                             }
+                            return lines;
                         },
-                        y: {
-                            type: 'category',
-                            labels: yLabels,
-                            offset: true,
-                            grid: {
-                                display: false
-                            },
-                            title: {
-                                display: true,
-                                text: dimensionLabels[yAxis] || yAxis
-                            }
+                        footer: function() {
+                            return filterable ? LensT.ctrlClickToFilter : '';
                         }
                     }
                 }
-            };
-        }
-    }, heatmapChartInstances);
-
-    // Handle empty data - update overlay text from "Loading" to "No data"
-    if (!chart) {
-        const overlay = document.getElementById('heatmapChartNoData');
-        if (overlay) {
-            const p = overlay.querySelector('p');
-            if (p) p.textContent = LensT.noDataAvailableForThisCombination;
+            },
+            scales: {
+                x: {
+                    type: 'category',
+                    labels: xLabels,
+                    offset: true,
+                    grid: {
+                        display: false
+                    },
+                    ticks: {
+                        maxRotation: 45,
+                        minRotation: 45
+                    },
+                    title: {
+                        display: true,
+                        text: dimensionLabels[xAxis] || xAxis
+                    }
+                },
+                y: {
+                    type: 'category',
+                    labels: yLabels,
+                    offset: true,
+                    grid: {
+                        display: false
+                    },
+                    title: {
+                        display: true,
+                        text: dimensionLabels[yAxis] || yAxis
+                    }
+                }
+            }
         }
-    }
-
-    // Update title
-    const measureLabels = {
-        'changes': LensT.numberOfChanges,
-        'uniqueRecords': LensT.uniqueRecords,
-        'uniqueUsers': LensT.uniqueUsers,
-        'uniqueDays': LensT.uniqueDays
     };
-    const titleElement = document.getElementById('heatmapTitle');
-    if (titleElement) {
-        titleElement.textContent = measureLabels[measure] || measure;
-    }
+}
+
+/**
+ * Open the change list of a heatmap cell, with the filters the heatmap was loaded with
+ *
+ * @param {object} d Matrix cell with the raw dimension values (xVal/yVal, null = "N/A")
+ * @param {object|null} [facet] Facet of a small multiple, with its raw value
+ */
+function openHeatmapCellChanges(d, facet = null) {
+    if (currentHeatmapParams === null) return;
+
+    const params = new URLSearchParams(currentHeatmapParams);
+    params.set('cell', '1');
+    if (d.xVal !== null) params.set('cellX', d.xVal);
+    if (d.yVal !== null) params.set('cellY', d.yVal);
+    if (facet && facet.value !== null) params.set('cellFacet', facet.value);
+
+    openChangeList({
+        title: (facet ? facet.label + ': ' : '') + `${d.y}, ${d.x}`,
+        endpointUrl: LensConfig.heatmapEndpointUrl,
+        params: params
+    });
 }
@@ -0,0 +1,235 @@
+// =============================================================================
+// RECORD HISTORY - Tab 5 (Lazy-loaded)
+// Dependencies: LensT, LensConfig (from charts.phtml), openChangeDiff (from lens-charts-changes.js)
+// =============================================================================
+
+// TomSelect instance for the record picker
+let historyRecordTomSelect = null;
+
+// XREF of the record whose history is shown ('' = none)
+let currentHistoryXref = '';
+
+// Initialize record history immediately (DOM is already ready when lazy-loaded)
+(function initRecordHistory() {
+    initHistoryRecordSelector();
+
+    // Restore the record from a deep link and load its history right away
+    if (pendingHistoryRecord !== '') {
+        applyHistoryRecord(pendingHistoryRecord);
+        pendingHistoryRecord = '';
+    }
+    loadRecordHistory();
+})();
+
+/**
+ * Initialize TomSelect for the record picker (single record of any type)
+ */
+function initHistoryRecordSelector() {
+    const recordSelect = document.getElementById('historyRecord');
+    if (!recordSelect || historyRecordTomSelect) return;
+
+    const searchUrl = recordSelect.dataset.searchUrl;
+    if (!searchUrl) {
+        console.warn('historyRecord: missing data-search-url attribute');
+        return;
+    }
+
+    historyRecordTomSelect = new TomSelect('#historyRecord', {
+        valueField: 'value',
+        labelField: 'text',
+        searchField: ['text', 'value'],
+        optgroupField: 'optgroup',
+        optgroupLabelField: 'optgroup',
+        optgroupValueField: 'optgroup',
+        lockOptgroupOrder: true,
+        maxItems: 1,
+        placeholder: recordSelect.getAttribute('placeholder') || '',
+        highlight: false, // Disable automatic highlight to prevent raw HTML in results
+        load: function(query, callback) {
+            if (query.length < 2) {
+                callback();
+                return;
+            }
+            const url = searchUrl + (searchUrl.includes('?') ? '&' : '?') + 'query=' + encodeURIComponent(query);
+            fetch(url)
+                .then(response => response.json())
+                .then(json => {
+                    callback(json.data || []);
+                })
+                .catch(() => callback());
+        },
+        render: {
+            option: function(data, escape) {
+                return '<div class="d-flex align-items-center py-1">' +
+                    '<span class="badge text-bg-secondary me-2" style="font-size:0.75em;min-width:40px">' + escape(data.type) + '</span>' +
+                    '<span>' + escape(data.text) + '</span>' +
+                '</div>';
+            },
+            optgroup_header: function(data, escape) {
+                return '<div class="optgroup-header fw-bold text-primary border-bottom pb-1 mb-1">' +
+                    escape(data.optgroup) +
+                '</div>';
+            }
+        },
+        onChange: function(value) {
+            currentHistoryXref = value || '';
+            pushDashboardState();
+            loadRecordHistory();
+        }
+    });
+}
+
+/**
+ * Select a record (from the URL state) without loading its history
+ */
+function applyHistoryRecord(xref) {
+    currentHistoryXref = xref;
+
+    if (!historyRecordTomSelect) return;
+
+    if (xref === '') {
+        historyRecordTomSelect.clear(true);
+        return;
+    }
+
+    // Only the XREF is kept in the URL - use it as option text until the history is loaded
+    if (!historyRecordTomSelect.options[xref]) {
+        historyRecordTomSelect.addOption({ value: xref, text: xref, type: '', optgroup: '' });
+    }
+    historyRecordTomSelect.setValue(xref, true);
+}
+
+/**
+ * Load the history of the selected record (the user filter applies, the period filters do not)
+ */
+function loadRecordHistory() {
+    const timeline = document.getElementById('recordHistoryTimeline');
+    const summary = document.getElementById('recordHistorySummary');
+    if (!timeline) return;
+
+    timeline.innerHTML = '';
+    document.getElementById('recordHistoryTitle').textContent = LensT.changes;
+
+    if (currentHistoryXref === '') {
+        cancelLensRequest('history');
+        summary.textContent = LensT.selectRecordToSeeHistory;
+        return;
+    }
+
+    summary.textContent = LensT.loading;
+
+    const params = new URLSearchParams();
+    params.set('xref', currentHistoryXref);
+    document.querySelectorAll('.user-checkbox:checked').forEach(cb => params.append('users[]', cb.value));
+
+    const url = LensConfig.recordHistoryEndpointUrl;
+    const separator = url.includes('?') ? '&' : '?';
+
+    lensFetch('history', url + separator + params.toString())
+        .then(data => {
+            if (data === null) return;
+
+            renderRecordHistory(data);
+        })
+        .catch(error => {
+            console.error('[Tab 5] Error loading record history:', error);
+            summary.textContent = LensT.errorLoadingData + ': ' + error.message;
+        });
+}
+
+function renderRecordHistory(data) {
+    const record = data.record;
+    const title = document.getElementById('recordHistoryTitle');
+    const timeline = document.getElementById('recordHistoryTimeline');
+
+    title.textContent = '';
+    if (record.url) {
+        const link = document.createElement('a');
+        link.href = record.url;
+        link.textContent = record.name;
+        title.appendChild(link);
+    } else {
+        title.textContent = record.name;
+    }
+    title.appendChild(document.createTextNode(' (' + translateRecordType(record.type) + ' · ' + record.xref + ')'));
+
+    // Replace the XREF placeholder from a deep link with the record name
+    if (historyRecordTomSelect && historyRecordTomSelect.options[record.xref]?.text === record.xref) {
+        historyRecordTomSelect.updateOption(record.xref, { value: record.xref, text: record.name, type: '', optgroup: '' });
+    }
+
+    document.getElementById('recordHistorySummary').textContent = data.changes.length > 0
+        ? LensT.changes + ': ' + data.changes.length
+        : LensT.noChangesFoundForThisRecord;
+
+    timeline.innerHTML = '';
+    data.changes.forEach(change => {
+        const item = document.createElement('li');
+        item.className = 'status-' + change.status;
+
+        const header = document.createElement('div');
+        header.className = 'd-flex flex-wrap align-items-center gap-2';
+
+        const time = document.createElement('strong');
+        time.textContent = change.time;
+        header.appendChild(time);
+
+        const user = document.createElement('span');
+        user.textContent = change.user;
+        header.appendChild(user);
+
+        if (change.status !== 'accepted') {
+            const status = document.createElement('span');
+            status.className = 'badge ' + (change.status === 'pending' ? 'text-bg-warning' : 'text-bg-secondary');
+            status.textContent = LensT[change.status] || change.status;
+            header.appendChild(status);
+        }
+
+        const factCount = document.createElement('span');
+        factCount.className = 'text-muted small';
+        factCount.textContent = LensT.factsBeforeAfter
+            .replace('__BEFORE__', change.factsBefore)
+            .replace('__AFTER__', change.factsAfter);
+        header.appendChild(factCount);
+
+        if (LensConfig.canViewDiff) {
+            const diffButton = document.createElement('button');
+            diffButton.type = 'button';
+            diffButton.className = 'btn btn-sm btn-outline-secondary py-0';
+            diffButton.textContent = LensT.showDiff;
+            diffButton.addEventListener('click', function() {
+                openChangeDiff(change.id);
+            });
+            header.appendChild(diffButton);
+        }
+
+        item.appendChild(header);
+
+        const facts = document.createElement('div');
+        facts.className = 'small mt-1';
+        [
+            { tags: change.added, label: LensT.added, badgeClass: 'text-bg-success' },
+            { tags: change.edited, label: LensT.edited, badgeClass: 'text-bg-warning' },
+            { tags: change.deleted, label: LensT.deleted, badgeClass: 'text-bg-danger' }
+        ].forEach(group => {
+            if (group.tags.length === 0) return;
+
+            const label = document.createElement('span');
+            label.className = 'text-muted me-1';
+            label.textContent = group.label + ':';
+            facts.appendChild(label);
+
+            group.tags.forEach(tag => {
+                const badge = document.createElement('span');
+                badge.className = 'badge ' + group.badgeClass;
+                badge.textContent = tag;
+                facts.appendChild(badge);
+            });
+        });
+        if (facts.childNodes.length > 0) {
+            item.appendChild(facts);
+        }
+
+        timeline.appendChild(item);
+    });
+}
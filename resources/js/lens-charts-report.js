@@ -0,0 +1,323 @@
+// =============================================================================
+// LENS CHARTS - PRINTABLE REPORT (selected tabs laid out for printing or saving as PDF)
+// Dependencies: getCardExportCharts, getExportFilterSummary, getCardExportTable (from lens-charts-export.js)
+// =============================================================================
+
+// Hidden tabs print as blank canvases, so the report shows each selected tab in turn, waits for its data,
+// draws all of its charts and copies them as images into a print-only page with a cover page.
+
+// Tabs that can be part of the report => true once their data has been rendered
+// (Heatmap and Activity Log also wait for their lazy-loaded script)
+const reportTabReady = {
+    content: () => !tabSectionLoads.content,
+    patterns: () => !tabSectionLoads.patterns,
+    heatmap: () => typeof generateHeatmap === 'function' && !lensRequests.heatmap,
+    activity: () => typeof loadAllActivityLogCharts === 'function' && !tabSectionLoads.activity
+};
+
+// Interval at which a tab is checked for finished loading (milliseconds)
+const REPORT_READY_POLL_INTERVAL = 100;
+
+// Rows of a summary table; longer tables end with a note (the full data is in the CSV/XLSX export)
+const REPORT_TABLE_MAX_ROWS = 40;
+
+let reportGenerating = false;
+
+/**
+ * Build the report for the selected tabs and open the print dialog
+ *
+ * @param {string[]} tabKeys Keys of reportTabReady, in dashboard order
+ * @param {string} paperSize CSS page size ('A4' or 'letter')
+ */
+function generateReport(tabKeys, paperSize) {
+    if (reportGenerating || tabKeys.length === 0) return;
+
+    reportGenerating = true;
+    setReportButtonBusy(true);
+
+    // The report switches tabs to draw them - that is not navigation, so it stays out of the browser history
+    applyingUrlState = true;
+
+    const originalTab = getActiveTabKey();
+    const report = document.createElement('div');
+    report.className = 'lens-report';
+    report.appendChild(buildReportCover());
+
+    tabKeys
+        .reduce((previous, tabKey) => previous
+            .then(() => showReportTab(tabKey))
+            .then(() => appendReportTab(report, tabKey)), Promise.resolve())
+        .then(() => restoreReportTab(originalTab))
+        .then(() => printReport(report, paperSize))
+        .catch(error => {
+            console.error('[ERROR] Report generation failed:', error);
+            alert(LensT.reportFailed + ': ' + error.message);
+        })
+        .then(() => restoreReportTab(originalTab))
+        .finally(() => {
+            applyingUrlState = false;
+            reportGenerating = false;
+            setReportButtonBusy(false);
+        });
+}
+
+/**
+ * Show the tab the user was on before the report, resolved once its "shown" handlers have run
+ */
+function restoreReportTab(tabKey) {
+    return new Promise(resolve => {
+        if (!activateDashboardTab(tabKey, resolve)) {
+            resolve();
+        }
+    });
+}
+
+function setReportButtonBusy(isBusy) {
+    const button = document.getElementById('reportButton');
+    if (button) button.disabled = isBusy;
+}
+
+/**
+ * Show a tab and wait until its data has been rendered
+ */
+function showReportTab(tabKey) {
+    return new Promise(resolve => {
+        const button = document.getElementById(dashboardTabs[tabKey].buttonId);
+        if (button.classList.contains('active')) {
+            resolve();
+            return;
+        }
+
+        // The tab starts loading its data in its own "shown" handler
+        button.addEventListener('shown.bs.tab', () => resolve(), { once: true });
+        activateDashboardTab(tabKey);
+    }).then(() => new Promise(resolve => {
+        (function check() {
+            if (reportTabReady[tabKey]()) {
+                resolve();
+            } else {
+                setTimeout(check, REPORT_READY_POLL_INTERVAL);
+            }
+        })();
+    }));
+}
+
+/**
+ * Cover page: tree, report title, active filters and generation date
+ */
+function buildReportCover() {
+    const cover = document.createElement('section');
+    cover.className = 'lens-report-cover';
+
+    const tree = document.createElement('h1');
+    tree.textContent = LensConfig.treeTitle;
+    cover.appendChild(tree);
+
+    const title = document.createElement('p');
+    title.className = 'lead';
+    title.textContent = LensT.changeStatisticsReport;
+    cover.appendChild(title);
+
+    const filters = document.createElement('ul');
+    filters.className = 'list-unstyled';
+    getExportFilterSummary().forEach(line => {
+        const item = document.createElement('li');
+        item.textContent = line;
+        filters.appendChild(item);
+    });
+    cover.appendChild(filters);
+
+    const generated = document.createElement('p');
+    generated.className = 'text-muted';
+    generated.textContent = LensT.generatedOn.replace('__DATE__', new Date().toLocaleString(document.documentElement.lang || undefined));
+    cover.appendChild(generated);
+
+    return cover;
+}
+
+/**
+ * Add the visible cards of a tab to the report, each on its own page
+ */
+function appendReportTab(report, tabKey) {
+    const tab = dashboardTabs[tabKey];
+    const pane = document.getElementById(tab.paneId);
+
+    // Charts far from the viewport have not been drawn yet
+    createLazyCharts(pane);
+
+    let first = true;
+    pane.querySelectorAll('.card').forEach(card => {
+        if (card.offsetParent === null) return;
+
+        const section = buildReportCard(card);
+        if (section === null) return;
+
+        if (first) {
+            const heading = document.createElement('h2');
+            heading.className = 'lens-report-tab';
+            heading.textContent = document.getElementById(tab.buttonId).textContent.trim();
+            section.insertBefore(heading, section.firstChild);
+            first = false;
+        }
+        report.appendChild(section);
+    });
+}
+
+/**
+ * Report page of one card: the chart as an image and its values as a table
+ *
+ * @return {HTMLElement|null} null for cards that only hold controls (heatmap configuration)
+ */
+function buildReportCard(card) {
+    const canvas = card.querySelector('canvas');
+    const body = card.querySelector('.card-body');
+    if (!canvas && (!body || body.querySelector('form, select, input'))) return null;
+
+    const section = document.createElement('section');
+    section.className = 'lens-report-card';
+
+    const titleElement = card.querySelector('.card-title');
+    const title = document.createElement('h3');
+    title.textContent = titleElement ? titleElement.textContent.trim() : '';
+    section.appendChild(title);
+
+    // Cards without a chart (failed logins) are copied as they are
+    if (!canvas) {
+        Array.from(body.children).forEach(child => section.appendChild(child.cloneNode(true)));
+        return section;
+    }
+
+    const charts = getCardExportCharts(card);
+    if (charts.length === 0) {
+        const overlayText = card.querySelector('[id$="NoData"] p');
+        const message = document.createElement('p');
+        message.className = 'text-muted';
+        message.textContent = overlayText && overlayText.textContent.trim() !== '' ? overlayText.textContent.trim() : LensT.noDataAvailable;
+        section.appendChild(message);
+        return section;
+    }
+
+    // The small multiples of a faceted heatmap follow each other, each below its facet label
+    charts.forEach(chart => {
+        const facetLabel = chart.canvas.dataset.facetLabel;
+        if (facetLabel !== undefined) {
+            const caption = document.createElement('h4');
+            caption.className = 'h6';
+            caption.textContent = facetLabel;
+            section.appendChild(caption);
+        }
+
+        const image = document.createElement('img');
+        image.src = getReportChartImage(chart);
+        image.width = chart.width;
+        image.alt = facetLabel !== undefined ? title.textContent + ' – ' + facetLabel : title.textContent;
+        section.appendChild(image);
+    });
+
+    section.appendChild(buildReportTable(getCardExportTable(charts)));
+
+    return section;
+}
+
+/**
+ * PNG data URL of a chart on a white background
+ */
+function getReportChartImage(chart) {
+    // Draw the final state right away instead of a frame of the initial animation
+    chart.stop();
+    chart.update('none');
+
+    const canvas = document.createElement('canvas');
+    canvas.width = chart.canvas.width;
+    canvas.height = chart.canvas.height;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(chart.canvas, 0, 0);
+
+    return canvas.toDataURL('image/png');
+}
+
+/**
+ * Summary table of a chart (see getChartExportTable)
+ */
+function buildReportTable(data) {
+    const table = document.createElement('table');
+    table.className = 'table table-sm lens-report-table';
+
+    const headRow = table.createTHead().insertRow();
+    data.columns.forEach(column => {
+        const th = document.createElement('th');
+        th.textContent = column;
+        headRow.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    data.rows.slice(0, REPORT_TABLE_MAX_ROWS).forEach(row => {
+        const tr = body.insertRow();
+        row.forEach(value => {
+            const cell = tr.insertCell();
+            cell.textContent = formatReportValue(value);
+            if (typeof value === 'number') cell.className = 'text-end';
+        });
+    });
+
+    if (data.rows.length > REPORT_TABLE_MAX_ROWS) {
+        const cell = body.insertRow().insertCell();
+        cell.colSpan = data.columns.length;
+        cell.className = 'text-muted';
+        cell.textContent = LensT.andMoreRows.replace('__COUNT__', data.rows.length - REPORT_TABLE_MAX_ROWS);
+    }
+
+    return table;
+}
+
+function formatReportValue(value) {
+    if (value === null) return '';
+    if (typeof value === 'number') {
+        return value.toLocaleString(document.documentElement.lang || undefined, { maximumFractionDigits: 2 });
+    }
+    return String(value);
+}
+
+/**
+ * Print the report on its own (see the .lens-report styles) and remove it afterwards
+ */
+function printReport(report, paperSize) {
+    const pageStyle = document.createElement('style');
+    pageStyle.textContent = '@page { size: ' + paperSize + '; margin: 15mm; }';
+    document.head.appendChild(pageStyle);
+
+    document.body.appendChild(report);
+    document.body.classList.add('lens-report-printing');
+
+    window.addEventListener('afterprint', function() {
+        report.remove();
+        pageStyle.remove();
+        document.body.classList.remove('lens-report-printing');
+    }, { once: true });
+
+    // Chart images must be decoded, or they may print blank
+    const images = Array.from(report.querySelectorAll('img')).map(image => image.decode().catch(() => null));
+
+    return Promise.all(images).then(() => window.print());
+}
+
+// Report dialog - the Generate button also closes the dialog (data-bs-dismiss), so it is not printed
+document.addEventListener('DOMContentLoaded', function() {
+    const generateButton = document.getElementById('generateReport');
+    if (!generateButton) return;
+
+    const checkboxes = document.querySelectorAll('.report-tab-checkbox');
+    checkboxes.forEach(checkbox => {
+        checkbox.addEventListener('change', function() {
+            generateButton.disabled = !Array.from(checkboxes).some(cb => cb.checked);
+        });
+    });
+
+    generateButton.addEventListener('click', function() {
+        const tabKeys = Array.from(checkboxes).filter(cb => cb.checked).map(cb => cb.value);
+        generateReport(tabKeys, document.getElementById('reportPaperSize').value);
+    });
+});
@@ -0,0 +1,197 @@
+// =============================================================================
+// LENS CHARTS - SAVED VIEWS (named dashboard presets)
+// =============================================================================
+
+// A saved view is a name plus the dashboard URL query string (see URL STATE in common.js):
+// tab, period/years, users, aggregation mode and heatmap settings with selected records.
+
+// localStorage key used when views cannot be stored on the server (guests)
+const savedViewsStorageKey = 'insightLens.savedViews';
+
+let savedViews = [];
+
+/**
+ * Load saved views from the page config (signed-in users) or localStorage (guests)
+ */
+function loadSavedViews() {
+    if (LensConfig.savedViewsServerSide) {
+        savedViews = LensConfig.savedViews;
+        return;
+    }
+
+    try {
+        savedViews = JSON.parse(localStorage.getItem(savedViewsStorageKey)) || [];
+    } catch (e) {
+        savedViews = [];
+    }
+
+    if (!Array.isArray(savedViews)) {
+        savedViews = [];
+    }
+}
+
+/**
+ * Persist the list of saved views. Returns a promise resolved with the stored list.
+ */
+function storeSavedViews(views) {
+    if (!LensConfig.savedViewsServerSide) {
+        localStorage.setItem(savedViewsStorageKey, JSON.stringify(views));
+        return Promise.resolve(views);
+    }
+
+    const body = new FormData();
+    body.append('_csrf', LensConfig.csrfToken);
+    body.append('views', JSON.stringify(views));
+
+    return fetch(LensConfig.savedViewsEndpointUrl, { method: 'POST', body: body })
+        .then(response => {
+            return response.json().then(data => {
+                if (!response.ok) {
+                    throw new Error(data.error || 'HTTP ' + response.status);
+                }
+                return data.views;
+            });
+        });
+}
+
+/**
+ * Store views, then refresh the menu. Errors keep the previous list.
+ */
+function updateSavedViews(views) {
+    storeSavedViews(views)
+        .then(stored => {
+            savedViews = stored;
+            renderSavedViewsList();
+        })
+        .catch(error => {
+            console.error('[ERROR] Saving views failed:', error);
+            alert(LensT.errorSavingViews + ': ' + error.message);
+        });
+}
+
+/**
+ * Save the current dashboard state under a name (replaces a view with the same name)
+ */
+function saveCurrentView(name) {
+    name = name.trim();
+    if (name === '') return;
+
+    const query = dashboardStateToParams(getDashboardState()).toString();
+    const existing = savedViews.findIndex(view => view.name === name);
+
+    if (existing !== -1 && !confirm(LensT.replaceSavedView.replace('__NAME__', name))) {
+        return;
+    }
+
+    const views = savedViews.slice();
+    if (existing !== -1) {
+        views[existing] = { name, query };
+    } else {
+        views.push({ name, query });
+    }
+
+    updateSavedViews(views);
+}
+
+function deleteSavedView(index) {
+    updateSavedViews(savedViews.filter((view, i) => i !== index));
+}
+
+/**
+ * Apply a saved view and load data for its tab
+ */
+function applySavedView(view) {
+    const state = paramsToDashboardState(new URLSearchParams(view.query));
+
+    applyDashboardState(state);
+    if (!activateDashboardTab(state.tab)) {
+        reloadActiveTab();
+    }
+}
+
+function renderSavedViewsList() {
+    const list = document.getElementById('savedViewsList');
+    if (!list) return;
+
+    list.innerHTML = '';
+
+    if (savedViews.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'text-muted small mb-0';
+        empty.textContent = LensT.noSavedViews;
+        list.appendChild(empty);
+        return;
+    }
+
+    savedViews.forEach((view, index) => {
+        const item = document.createElement('div');
+        item.className = 'saved-view-item';
+
+        const applyBtn = document.createElement('button');
+        applyBtn.type = 'button';
+        applyBtn.className = 'btn btn-sm btn-outline-secondary saved-view-apply';
+        applyBtn.textContent = view.name;
+        applyBtn.title = view.name;
+        applyBtn.addEventListener('click', function() {
+            document.getElementById('savedViewsDropdown').classList.remove('show');
+            applySavedView(view);
+        });
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'btn btn-sm btn-outline-danger';
+        deleteBtn.title = LensT.delete;
+        deleteBtn.setAttribute('aria-label', LensT.delete + ': ' + view.name);
+        deleteBtn.textContent = '×';
+        deleteBtn.addEventListener('click', function() {
+            deleteSavedView(index);
+        });
+
+        item.appendChild(applyBtn);
+        item.appendChild(deleteBtn);
+        list.appendChild(item);
+    });
+}
+
+// Saved views dropdown handling
+document.addEventListener('DOMContentLoaded', function() {
+    const dropdownButton = document.getElementById('savedViewsButton');
+    const dropdown = document.getElementById('savedViewsDropdown');
+    const nameInput = document.getElementById('savedViewName');
+    const saveButton = document.getElementById('saveCurrentView');
+
+    if (!dropdownButton || !dropdown) return;
+
+    loadSavedViews();
+    renderSavedViewsList();
+
+    dropdownButton.addEventListener('click', function(event) {
+        event.stopPropagation();
+        dropdown.classList.toggle('show');
+    });
+
+    dropdown.addEventListener('click', function(event) {
+        event.stopPropagation();
+    });
+
+    document.addEventListener('click', function() {
+        dropdown.classList.remove('show');
+    });
+
+    if (nameInput && saveButton) {
+        function submitSavedView() {
+            saveCurrentView(nameInput.value);
+            nameInput.value = '';
+        }
+
+        saveButton.addEventListener('click', submitSavedView);
+
+        // Enter would otherwise submit the filter form
+        nameInput.addEventListener('keypress', function(event) {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                submitSavedView();
+            }
+        });
+    }
+});